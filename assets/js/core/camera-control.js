@@ -0,0 +1,112 @@
+/**
+ * Camera Control Core
+ *
+ * Shared implementation behind the three front-ends (index.php JS_MODE):
+ * camera-control.js (normal), camera-control-vanilla.js (fast) and
+ * camera-control-ultra.js (ultra) are presets that pick configuration,
+ * transport, renderer and optional features. Behaviour lives here once.
+ *
+ *   createCameraControl({
+ *       name: 'Fast',
+ *       config: { LIVE_UPDATE_INTERVAL: 1000 },       // overrides of core/config.js
+ *       transport: config => createHttpTransport(config),
+ *       renderer: createDomRenderer,
+ *       features: [setupMotion, setupTimelapse]
+ *   });
+ *
+ * The default transport uses the WebSocket relay (window.CameraWS) when it
+ * is connected and HTTP polling otherwise.
+ *
+ * Globals kept for inline handlers and other scripts: captureImage,
+ * toggleWebLive, updateLiveQuality, saveImageToDevice, extractTextFromImage,
+ * plus window.CameraControl (the running instance).
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+import { createConfig } from './config.js';
+import { createImagePool } from './images.js';
+import { createHttpTransport } from './transport-http.js';
+import { createWsTransport } from './transport-ws.js';
+import { createDomRenderer } from './renderer-dom.js';
+import { createNotifications } from './notifications.js';
+import { createLive } from './live.js';
+import { createStatus } from './status.js';
+import { createCapture } from './capture.js';
+import { createOcr } from './ocr.js';
+import { setupControls } from './controls.js';
+
+/**
+ * @param {Object} options { name, config, transport, renderer, features }
+ * @returns {Object} The instance (also window.CameraControl)
+ */
+export function createCameraControl(options) {
+    const config = createConfig(options.config);
+
+    const app = {
+        name: options.name || 'Camera Control',
+        config: config
+    };
+
+    app.renderer = options.renderer ? options.renderer(config) : createDomRenderer();
+    app.transport = options.transport
+        ? options.transport(config)
+        : createWsTransport(config, createHttpTransport(config));
+    app.images = createImagePool(config);
+    app.notifications = createNotifications(config);
+    app.live = createLive(app);
+    app.status = createStatus(app);
+    app.capture = createCapture(app);
+
+    window.captureImage = app.capture.capture;
+    window.saveImageToDevice = app.capture.save;
+    window.toggleWebLive = app.live.toggle;
+    window.updateLiveQuality = app.live.setQuality;
+    window.extractTextFromImage = createOcr(app);
+    window.CameraControl = app;
+
+    let hooks = [];
+
+    function init() {
+        app.notifications.requestPermission();
+        setupControls(app);
+        hooks = (options.features || []).map(setup => setup(app) || {});
+
+        app.live.restore();
+        app.status.load();
+        app.status.start();
+        app.images.start();
+
+        if (config.ENABLE_PAGE_VISIBILITY && typeof document.hidden !== 'undefined') {
+            document.addEventListener('visibilitychange', () => {
+                console.log(`[${config.CAM}] 👁️ Page ${document.hidden ? 'hidden - reducing activity' : 'visible - resuming'}`);
+                app.live.setHidden(document.hidden);
+                if (!document.hidden) app.status.load();
+            });
+        }
+
+        window.addEventListener('beforeunload', () => {
+            app.status.stop();
+            app.live.unload();
+            app.images.stop();
+            hooks.forEach(hook => {
+                if (hook.unload) hook.unload();
+            });
+        });
+
+        console.log(`[${config.CAM}] ⚡ ${app.name} ready (transport: ${app.transport.name})`);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    return app;
+}
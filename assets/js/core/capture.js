@@ -0,0 +1,149 @@
+/**
+ * Camera Control Core - Image capture
+ *
+ * One capture at a time. The live stream is handed back to the camera
+ * first and restarted once the image is in. How the capture reaches the
+ * camera and how completion is detected is up to the transport.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+import { request } from './http.js';
+
+const IMAGE_RETRIES = 3;
+
+/**
+ * @param {Object} app { config, renderer, transport, images, live }
+ */
+export function createCapture(app) {
+    const { config, renderer } = app;
+    let locked = false;
+    const listeners = [];
+
+    /**
+     * Capture image from camera
+     *
+     * @param {Object} [options]
+     * @param {boolean} [options.quiet] No alert() on failure (time-lapse, motion)
+     * @param {Function} [options.onComplete] Called with (error, timestamp) once the capture ends
+     * @param {boolean} [options.history] false: not for the gallery (time-lapse keeps its own frames)
+     */
+    function capture(options) {
+        options = options || {};
+
+        if (locked) {
+            console.log(`[${config.CAM}] ⚠️ captureImage() ignored: capture already in progress`);
+            if (options.onComplete) options.onComplete('Capture already in progress');
+            return;
+        }
+
+        locked = true;
+        const wasLiveActive = app.live.suspend();
+        renderer.setCapturing(true);
+
+        const settings = renderer.getCaptureSettings();
+        app.transport.capture(settings)
+            .then(result => {
+                const captureTime = result.duration.toFixed(2);
+                console.log(`[${config.CAM}] ✅ Image received in ${captureTime}s via ${app.transport.name}`);
+
+                finish();
+                showImage(captureTime);
+                if (options.onComplete) options.onComplete(null, result.timestamp);
+                listeners.forEach(listener => listener({
+                    settings: settings,
+                    duration: result.duration,
+                    timestamp: result.timestamp,
+                    options: options
+                }));
+
+                if (wasLiveActive) {
+                    setTimeout(app.live.resume, config.CAPTURE_RESTORE_DELAY);
+                }
+            }, error => {
+                console.warn(`[${config.CAM}] ⚠️ Capture failed (${error.code || 'error'}): ${error.message}`);
+
+                finish();
+                if (wasLiveActive) app.live.resume();
+                if (!options.quiet) renderer.alert(error.message);
+                if (options.onComplete) options.onComplete(error.message);
+            })
+            .catch(error => {
+                // A throwing handler or onComplete callback must not leave the button locked
+                console.error(`[${config.CAM}] ❌ Capture handling failed:`, error);
+                if (locked) finish();
+            });
+    }
+
+    function finish() {
+        locked = false;
+        renderer.setCapturing(false);
+    }
+
+    /**
+     * Load the new pic.jpg (a few retries - the upload may still be settling),
+     * then its file size
+     */
+    function showImage(captureTime) {
+        renderer.prepareCapturedImage();
+
+        let retryCount = 0;
+        const load = () => app.images.preload('pic.jpg?v=' + app.images.cacheBuster())
+            .then(src => {
+                renderer.showCapturedImage(src);
+                return request({ url: 'index.php?get_image_size=1' })
+                    .catch(() => 'Unknown')
+                    .then(size => renderer.showCaptureDetails({ size: size, captureTime: captureTime }));
+            }, () => {
+                retryCount++;
+                if (retryCount > IMAGE_RETRIES) {
+                    renderer.showCaptureMessage('Error: Could not load image');
+                    return;
+                }
+                renderer.showCaptureMessage(`Loading image... (${retryCount}/${IMAGE_RETRIES})`);
+                setTimeout(load, 1000);
+            });
+
+        load();
+    }
+
+    /**
+     * Download pic.jpg as "<camera>_<date>_<time>.jpg"
+     */
+    function save() {
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-').replace('T', '_');
+        const filename = config.CAM + '_' + timestamp + '.jpg';
+
+        const link = document.createElement('a');
+        link.href = 'pic.jpg?download=' + app.images.cacheBuster();
+        link.download = filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        console.log(`[${config.CAM}] 💾 Saving image as: ${filename}`);
+    }
+
+    /**
+     * Run a function after every successful capture (gallery)
+     *
+     * @param {Function} listener Called with { settings, duration, timestamp, options }
+     */
+    function onCapture(listener) {
+        listeners.push(listener);
+    }
+
+    return {
+        capture,
+        save,
+        onCapture,
+        isBusy: () => locked
+    };
+}
@@ -0,0 +1,67 @@
+/**
+ * Camera Control Core - Configuration
+ *
+ * One set of defaults for every front-end preset. Presets only override
+ * the values they tune (see camera-control-ultra.js).
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+/**
+ * Default configuration
+ * @type {Object}
+ */
+export const DEFAULT_CONFIG = {
+    CAM: window.CAMERA_NAME || 'Camera',
+    STATUS_UPDATE_INTERVAL: 2000,
+    LIVE_UPDATE_INTERVAL: 1500,
+    LIVE_START_DELAY: 800,
+    LIVE_ERROR_THRESHOLD: 7,            // failed live.jpg loads before pausing
+    CAPTURE_CHECK_FAST: 25,             // poll delay while no image exists yet
+    CAPTURE_CHECK_SLOW: 200,            // poll delay while the old image is still there
+    CAPTURE_TIMEOUT: 30000,             // ms from the capture request to giving up
+    CAPTURE_RESTORE_DELAY: 500,
+    OFFLINE_THRESHOLD: 7,               // seconds without camera update = offline
+    SESSION_HEARTBEAT_INTERVAL: 10000,
+    SESSION_CONFLICT_AGE: 30000,        // another session newer than this owns the live stream
+    SESSION_RESUME_AGE: 60000,          // our own session newer than this resumes after a refresh
+    // Memory management
+    MAX_IMAGE_OBJECTS: 5,
+    CLEANUP_INTERVAL: 30000,
+    // Page Visibility (from PHP config)
+    ENABLE_PAGE_VISIBILITY: window.ENABLE_PAGE_VISIBILITY !== false,
+    HIDDEN_LIVE_SLOWDOWN: 3,            // live refresh interval multiplier while the tab is hidden
+    GALLERY_URL: 'gallery.php',
+    TIMELAPSE_URL: 'timelapse.php',
+    TIMELAPSE_INTERVALS: [10, 30, 60, 300, 900, 3600],           // seconds
+    TIMELAPSE_DURATIONS: [300, 900, 1800, 3600, 10800, 21600, 43200, 86400],
+    MOTION_WIDTH: 160,                  // frames are compared at this width
+    MOTION_SAMPLE_INTERVAL: 1000,
+    MOTION_ALERT_COOLDOWN: 10000,
+    MOTION_CAPTURE_COOLDOWN: 30000,
+    ZOOM_MAX: 8                         // zoom limit (1:1 pixels goes further on large images)
+};
+
+/**
+ * Quality presets for live streaming: [width, height, quality]
+ * @type {Object}
+ */
+export const QUALITY_PRESETS = {
+    'very-low': [480, 360, 8],
+    'low': [640, 480, 16],
+    'medium': [800, 600, 24],
+    'high': [1024, 768, 32]
+};
+
+/**
+ * @param {Object} [overrides] Preset values
+ * @returns {Object} Frozen configuration
+ */
+export function createConfig(overrides) {
+    return Object.freeze({ ...DEFAULT_CONFIG, ...overrides });
+}
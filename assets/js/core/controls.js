@@ -0,0 +1,128 @@
+/**
+ * Camera Control Core - Buttons and keyboard shortcuts
+ *
+ * Shortcuts (ignored while typing in a form field):
+ *   Space / C  capture      S  save image      O  copy text (OCR)
+ *   L          toggle live  R  refresh status
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+import { ajax } from './http.js';
+
+const ADMIN_ACTIONS = {
+    rebootButton: {
+        url: 'admin/reboot.php',
+        confirm: 'Are you sure you want to reboot the camera?',
+        busyText: 'Rebooting...',
+        failure: 'Failed to reboot camera'
+    },
+    shutdownButton: {
+        url: 'admin/shutdown.php',
+        confirm: 'If you turn off the camera, it will not work unless you turn it off and then on again via the switch.\nAre you sure?',
+        busyText: 'Shutting down...',
+        failure: 'Failed to shutdown camera'
+    }
+};
+
+/**
+ * @param {Object} app { config, renderer, live, status }
+ */
+export function setupControls(app) {
+    const { config, renderer } = app;
+    const $ = (selector) => document.querySelector(selector);
+
+    // ========================================================================
+    // FORM
+    // ========================================================================
+
+    const liveSelect = $('#webLiveSelect');
+    if (liveSelect) liveSelect.addEventListener('change', () => window.toggleWebLive());
+
+    const qualitySelect = $('#liveQuality');
+    if (qualitySelect) qualitySelect.addEventListener('change', () => window.updateLiveQuality(true));
+
+    const captureButton = $('#myBut');
+    if (captureButton) captureButton.addEventListener('click', () => window.captureImage());
+
+    // ========================================================================
+    // ADMIN BUTTONS
+    // ========================================================================
+
+    Object.keys(ADMIN_ACTIONS).forEach(id => {
+        const button = document.getElementById(id);
+        const action = ADMIN_ACTIONS[id];
+        if (!button) return;
+
+        button.addEventListener('click', function() {
+            if (!renderer.confirm(action.confirm)) return;
+
+            const originalText = button.textContent;
+            button.disabled = true;
+            button.textContent = action.busyText;
+
+            ajax({
+                url: action.url + '?token=' + encodeURIComponent(window.ADMIN_TOKEN),
+                dataType: 'json',
+                success: data => renderer.alert(data.message || data.error || 'Operation completed'),
+                error: () => renderer.alert(action.failure),
+                complete: () => {
+                    button.disabled = false;
+                    button.textContent = originalText;
+                }
+            });
+        });
+    });
+
+    const clearButton = $('#clearFilesButton');
+    if (clearButton) {
+        clearButton.addEventListener('click', () => {
+            window.location.href = 'admin/clear.php';
+        });
+    }
+
+    // ========================================================================
+    // KEYBOARD SHORTCUTS
+    // ========================================================================
+
+    document.addEventListener('keydown', function(e) {
+        if (e.target.matches('input, textarea, select') || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        switch (e.key.toLowerCase()) {
+            case ' ':
+            case 'c':
+                e.preventDefault();
+                window.captureImage();
+                break;
+
+            case 's':
+                e.preventDefault();
+                window.saveImageToDevice();
+                break;
+
+            case 'o':
+                // The OCR module binds O itself
+                if (window.MODULE_KEYBINDINGS && window.MODULE_KEYBINDINGS.o) return;
+                e.preventDefault();
+                window.extractTextFromImage();
+                break;
+
+            case 'l':
+                e.preventDefault();
+                renderer.setLiveSelect(renderer.getLiveSelect() === 'on' ? 'off' : 'on');
+                window.toggleWebLive();
+                break;
+
+            case 'r':
+                e.preventDefault();
+                app.status.load();
+                console.log(`[${config.CAM}] ⌨️ Status refreshed (R)`);
+                break;
+        }
+    });
+}
@@ -0,0 +1,408 @@
+/**
+ * Camera Control Core - Capture gallery
+ *
+ * Each capture overwrites pic.jpg, so gallery.php keeps a copy with the
+ * settings it was taken with. The panel shows the kept images as a
+ * thumbnail strip; the selected one can be viewed full screen, compared
+ * side by side with another, downloaded, deleted or sent to OCR.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+import { ajax } from './http.js';
+import { copyTextFromImage } from './ocr.js';
+
+const RESULT_DISPLAY_TIME = 2000;
+
+/**
+ * @param {Object} app { config, renderer, capture }
+ * @returns {Object} Feature hooks
+ */
+export function setupGallery(app) {
+    const { config, renderer } = app;
+    const $ = (selector) => document.querySelector(selector);
+
+    const gallery = {
+        images: [],         // newest first, as listed by gallery.php
+        more: false,        // older images left on the server
+        selected: null,     // image in the viewer
+        compared: null,     // image on the right while comparing
+        comparing: false,
+        loaded: false       // first page fetched (panel opened once)
+    };
+
+    /**
+     * Build the gallery panel (hidden until the toggle button is pressed)
+     */
+    function buildPanel() {
+        const captureButton = $('#myBut');
+        const form = $('form');
+        const formPanel = form ? form.closest('.glass-panel') : null;
+        if (!captureButton || !formPanel) return;
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.id = 'galleryToggle';
+        toggle.className = 'glass-red-button gallery-toggle';
+        toggle.textContent = 'Gallery';
+        captureButton.insertAdjacentElement('afterend', toggle);
+
+        const panel = document.createElement('div');
+        panel.id = 'galleryPanel';
+        panel.className = 'glass-panel gallery-panel';
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <div id="galleryStrip" class="gallery-strip"></div>
+            <p id="galleryStatus" class="data-text gallery-status"></p>
+            <button id="galleryMore" type="button" class="save-btn" style="display:none;">Load more</button>
+            <div id="galleryViewer" class="gallery-viewer" style="display:none;">
+                <div class="gallery-images">
+                    <figure class="gallery-figure">
+                        <img id="galleryImage" alt="Gallery image" class="captured-image">
+                        <figcaption id="galleryInfo" class="data-text"></figcaption>
+                    </figure>
+                    <figure id="galleryCompare" class="gallery-figure" style="display:none;">
+                        <img id="galleryCompareImage" alt="Compared image" class="captured-image">
+                        <figcaption id="galleryCompareInfo" class="data-text"></figcaption>
+                    </figure>
+                </div>
+                <div class="gallery-actions">
+                    <button id="galleryFull" type="button" class="save-btn" title="Full screen">⛶</button>
+                    <button id="galleryCompareToggle" type="button" class="save-btn" title="Compare with another image">⇆</button>
+                    <a id="galleryDownload" class="save-btn" title="Download">💾</a>
+                    <button id="galleryOcr" type="button" class="save-btn" title="Copy text">📋</button>
+                    <button id="galleryDelete" type="button" class="save-btn" title="Delete">🗑️</button>
+                </div>
+            </div>
+        `;
+        formPanel.insertAdjacentElement('afterend', panel);
+
+        const lightbox = document.createElement('div');
+        lightbox.id = 'galleryLightbox';
+        lightbox.className = 'gallery-lightbox';
+        lightbox.style.display = 'none';
+        lightbox.innerHTML = `
+            <img id="galleryLightboxImage" alt="Gallery image">
+            <p id="galleryLightboxInfo" class="data-text"></p>
+            <button id="galleryLightboxClose" type="button" class="gallery-lightbox-close" title="Close (Esc)">✕</button>
+        `;
+        document.body.appendChild(lightbox);
+
+        toggle.addEventListener('click', function() {
+            const hidden = panel.style.display === 'none';
+            panel.style.display = hidden ? 'block' : 'none';
+            if (hidden && !gallery.loaded) loadGalleryImages(false);
+        });
+
+        $('#galleryStrip').addEventListener('click', function(e) {
+            const thumb = e.target.closest('.gallery-thumb');
+            if (thumb) pickGalleryImage(thumb.dataset.id);
+        });
+
+        $('#galleryMore').addEventListener('click', () => loadGalleryImages(true));
+        $('#galleryFull').addEventListener('click', () => openLightbox(gallery.selected));
+        $('#galleryCompareToggle').addEventListener('click', toggleCompare);
+        $('#galleryOcr').addEventListener('click', copyGalleryText);
+        $('#galleryDelete').addEventListener('click', deleteGalleryImage);
+        $('#galleryImage').addEventListener('click', () => openLightbox(gallery.selected));
+        $('#galleryCompareImage').addEventListener('click', () => openLightbox(gallery.compared));
+
+        $('#galleryLightboxClose').addEventListener('click', closeLightbox);
+        lightbox.addEventListener('click', function(e) {
+            if (e.target === lightbox) closeLightbox();
+        });
+
+        // Capture phase: while the lightbox is open the page shortcuts (C, S, ...) stay quiet
+        window.addEventListener('keydown', onLightboxKey, true);
+    }
+
+    function galleryUrl(action) {
+        return config.GALLERY_URL + '?action=' + action + '&token=' + encodeURIComponent(window.ADMIN_TOKEN);
+    }
+
+    function setGalleryStatus(text) {
+        const status = $('#galleryStatus');
+        if (status) status.textContent = text;
+    }
+
+    function findImage(id) {
+        return gallery.images.find(image => image.id === id) || null;
+    }
+
+    // ========================================================================
+    // KEEPING CAPTURES
+    // ========================================================================
+
+    /**
+     * Ask the server to keep the image just captured, with its settings
+     */
+    function keepCapture(event) {
+        if (event.options.history === false) return;
+
+        ajax({
+            url: galleryUrl('keep'),
+            method: 'POST',
+            dataType: 'json',
+            data: Object.assign({ action: 'keep', captureTime: event.duration.toFixed(2) }, event.settings),
+            success: function(response) {
+                console.log(`[${config.CAM}] 🖼️ Kept in gallery: ${response.image.id}`);
+                if (!gallery.loaded) return;
+
+                gallery.images.unshift(response.image);
+                renderStrip();
+            },
+            error: function(error) {
+                // 409: the same pic.jpg was kept already
+                if (error.status !== 409) console.warn(`[${config.CAM}] ⚠️ Capture not kept in gallery:`, error);
+            }
+        });
+    }
+
+    // ========================================================================
+    // STRIP
+    // ========================================================================
+
+    /**
+     * Fetch a page of images (older ones after the last shown with more=true)
+     */
+    function loadGalleryImages(more) {
+        const last = gallery.images[gallery.images.length - 1];
+        let url = config.GALLERY_URL + '?action=list';
+        if (more && last) url += '&before=' + encodeURIComponent(last.id);
+
+        $('#galleryMore').disabled = true;
+
+        ajax({
+            url: url,
+            method: 'GET',
+            dataType: 'json',
+            success: function(response) {
+                gallery.images = more ? gallery.images.concat(response.images) : response.images;
+                gallery.more = response.more;
+                gallery.loaded = true;
+                renderStrip();
+
+                if (!gallery.selected && gallery.images.length) {
+                    pickGalleryImage(gallery.images[0].id);
+                }
+            },
+            error: function() {
+                setGalleryStatus('Could not load the gallery');
+            },
+            complete: function() {
+                $('#galleryMore').disabled = false;
+            }
+        });
+    }
+
+    function renderStrip() {
+        const strip = $('#galleryStrip');
+        if (!strip) return;
+
+        strip.innerHTML = '';
+        gallery.images.forEach(image => {
+            const thumb = document.createElement('button');
+            thumb.type = 'button';
+            thumb.className = 'gallery-thumb';
+            thumb.dataset.id = image.id;
+            thumb.title = formatTime(image.time);
+            thumb.classList.toggle('selected', gallery.selected !== null && image.id === gallery.selected.id);
+            thumb.classList.toggle('compared', gallery.compared !== null && image.id === gallery.compared.id);
+
+            const img = document.createElement('img');
+            img.src = image.thumb;
+            img.alt = image.id;
+            img.loading = 'lazy';
+
+            const time = document.createElement('span');
+            time.textContent = new Date(image.time * 1000).toLocaleTimeString();
+
+            thumb.append(img, time);
+            strip.appendChild(thumb);
+        });
+
+        $('#galleryMore').style.display = gallery.more ? '' : 'none';
+        setGalleryStatus(gallery.images.length ? '' : 'No images yet - captures are kept here');
+    }
+
+    // ========================================================================
+    // VIEWER
+    // ========================================================================
+
+    /**
+     * Strip click: show the image, or put it on the right while comparing
+     */
+    function pickGalleryImage(id) {
+        const image = findImage(id);
+        if (!image) return;
+
+        if (gallery.comparing && gallery.selected && image.id !== gallery.selected.id) {
+            gallery.compared = image;
+        } else {
+            gallery.selected = image;
+        }
+        renderViewer();
+        renderStrip();
+    }
+
+    function renderViewer() {
+        const image = gallery.selected;
+        $('#galleryViewer').style.display = image ? 'block' : 'none';
+        if (!image) return;
+
+        $('#galleryImage').src = image.url;
+        $('#galleryInfo').textContent = describeImage(image);
+
+        const download = $('#galleryDownload');
+        download.href = image.url;
+        download.download = config.CAM + '_' + image.id + '.jpg';
+
+        const compare = gallery.comparing ? gallery.compared : null;
+        $('#galleryCompare').style.display = gallery.comparing ? '' : 'none';
+        $('#galleryCompareToggle').classList.toggle('active', gallery.comparing);
+        if (compare) {
+            $('#galleryCompareImage').src = compare.url;
+            $('#galleryCompareInfo').textContent = describeImage(compare);
+        } else {
+            $('#galleryCompareImage').removeAttribute('src');
+            $('#galleryCompareInfo').textContent = gallery.comparing ? 'Pick an image from the strip to compare' : '';
+        }
+    }
+
+    function toggleCompare() {
+        gallery.comparing = !gallery.comparing;
+        gallery.compared = null;
+        renderViewer();
+        renderStrip();
+    }
+
+    /**
+     * "15/01/2025, 14:30:00 - 1.2 MB in 1.35s - Resolution 2592x1944, ..."
+     */
+    function describeImage(image) {
+        let text = formatTime(image.time) + ' - ' + formatSize(image.size);
+        if (image.captureTime) text += ' in ' + image.captureTime + 's';
+
+        const settings = describeSettings(image.settings || {});
+        return settings ? text + ' - ' + settings : text;
+    }
+
+    /**
+     * Settings as the capture form shows them (label and option text)
+     */
+    function describeSettings(settings) {
+        return Object.keys(settings)
+            .filter(name => settings[name] !== '')
+            .map(name => {
+                const label = $(`label[for="${name}"]`);
+                const select = $(`select[name="${name}"]`);
+                const option = select ? Array.from(select.options).find(o => o.value === settings[name]) : null;
+                return (label ? label.textContent : name) + ' ' + (option ? option.textContent : settings[name]);
+            })
+            .join(', ');
+    }
+
+    function formatTime(time) {
+        return new Date(time * 1000).toLocaleString();
+    }
+
+    function formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+        return Math.round(bytes / 1024) + ' KB';
+    }
+
+    // ========================================================================
+    // FULL SCREEN
+    // ========================================================================
+
+    function openLightbox(image) {
+        if (!image) return;
+        $('#galleryLightboxImage').src = image.url;
+        $('#galleryLightboxInfo').textContent = describeImage(image);
+        $('#galleryLightbox').dataset.id = image.id;
+        $('#galleryLightbox').style.display = 'flex';
+    }
+
+    function closeLightbox() {
+        $('#galleryLightbox').style.display = 'none';
+    }
+
+    /**
+     * Esc closes, arrows step through the strip (left = newer)
+     */
+    function onLightboxKey(e) {
+        const lightbox = $('#galleryLightbox');
+        if (!lightbox || lightbox.style.display === 'none') return;
+
+        e.stopPropagation();
+        const index = gallery.images.findIndex(image => image.id === lightbox.dataset.id);
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeLightbox();
+        } else if (e.key === 'ArrowLeft' && index > 0) {
+            e.preventDefault();
+            openLightbox(gallery.images[index - 1]);
+        } else if (e.key === 'ArrowRight' && index >= 0 && index < gallery.images.length - 1) {
+            e.preventDefault();
+            openLightbox(gallery.images[index + 1]);
+        }
+    }
+
+    // ========================================================================
+    // ACTIONS
+    // ========================================================================
+
+    function copyGalleryText() {
+        const button = $('#galleryOcr');
+        if (!gallery.selected || button.disabled) return;
+
+        const originalContent = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '⏳';
+        console.log(`[${config.CAM}] 📋 Extracting text from gallery image ${gallery.selected.id}...`);
+
+        copyTextFromImage(config, gallery.selected.url).then(result => {
+            button.innerHTML = result.icon;
+            renderer.toast(result.message);
+            setTimeout(() => {
+                button.disabled = false;
+                button.innerHTML = originalContent;
+            }, RESULT_DISPLAY_TIME);
+        });
+    }
+
+    function deleteGalleryImage() {
+        const image = gallery.selected;
+        if (!image || !renderer.confirm('Delete this image from the gallery?')) return;
+
+        ajax({
+            url: galleryUrl('delete'),
+            method: 'POST',
+            dataType: 'json',
+            data: { action: 'delete', id: image.id },
+            success: function() {
+                console.log(`[${config.CAM}] 🗑️ Gallery image ${image.id} deleted`);
+                const index = gallery.images.indexOf(image);
+                gallery.images.splice(index, 1);
+
+                gallery.selected = gallery.images[Math.min(index, gallery.images.length - 1)] || null;
+                if (gallery.compared === gallery.selected) gallery.compared = null;
+                renderViewer();
+                renderStrip();
+            },
+            error: function() {
+                renderer.alert('Failed to delete the image.');
+            }
+        });
+    }
+
+    buildPanel();
+    app.capture.onCapture(keepCapture);
+    return {};
+}
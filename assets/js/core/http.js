@@ -0,0 +1,96 @@
+/**
+ * Camera Control Core - HTTP helpers
+ *
+ * fetch() with a timeout, cache busting and form-encoded POST bodies.
+ * `request` rejects on failure; `ajax` keeps the callback style used by
+ * the UI code and never rejects.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+/**
+ * @param {Object} options { url, method, data, dataType ('json'|'text'), timeout, cache }
+ * @returns {Promise<*>} Response body; rejects with { status, error }
+ */
+export function request(options) {
+    const config = {
+        method: 'GET',
+        timeout: 5000,
+        cache: false,
+        ...options
+    };
+
+    let url = config.url;
+    if (config.cache === false && config.method === 'GET') {
+        url += (url.includes('?') ? '&' : '?') + 't=' + Date.now();
+    }
+
+    const fetchOptions = { method: config.method, cache: 'no-store' };
+    if (config.data && config.method === 'POST') {
+        fetchOptions.body = typeof config.data === 'object' ? new URLSearchParams(config.data) : config.data;
+    }
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Request timeout')), config.timeout);
+    });
+
+    return Promise.race([fetch(url, fetchOptions), timeout])
+        .then(response => {
+            if (!response.ok) {
+                throw { status: response.status, error: 'HTTP ' + response.status };
+            }
+            return config.dataType === 'json' ? response.json() : response.text();
+        })
+        .catch(error => {
+            throw error instanceof Error ? { status: 0, error: error.message } : error;
+        })
+        .finally(() => clearTimeout(timer));
+}
+
+/**
+ * Callback flavour of request()
+ *
+ * @param {Object} options request() options plus success(data), error({ status, error }), complete()
+ * @returns {Promise<*>} Resolves with the body, or undefined after an error
+ */
+export function ajax(options) {
+    return request(options)
+        .then(data => {
+            if (options.success) options.success(data);
+            return data;
+        }, error => {
+            if (options.error) options.error(error);
+        })
+        .finally(() => {
+            if (options.complete) options.complete();
+        });
+}
+
+/**
+ * Write one of the shared tmp/ files through index.php
+ *
+ * @param {string} file e.g. 'tmp/web_live.tmp'
+ * @param {string} data
+ * @returns {Promise<string>} Server reply ('OK' on success)
+ */
+export function writeTmpFile(file, data) {
+    return request({
+        url: 'index.php',
+        method: 'POST',
+        data: { action: 'write', file: file, data: data }
+    }).then(response => response.trim());
+}
+
+/**
+ * Same write, but survives page unload
+ */
+export function beaconTmpFile(file, data) {
+    const formData = new URLSearchParams({ action: 'write', file: file, data: data });
+    navigator.sendBeacon('index.php', formData);
+}
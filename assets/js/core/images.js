@@ -0,0 +1,99 @@
+/**
+ * Camera Control Core - Image preloading and memory management
+ *
+ * Every preload Image goes through one pool; the oldest finished ones are
+ * released so a page left open for days doesn't pile them up.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+/**
+ * @param {Object} config CONFIG (MAX_IMAGE_OBJECTS, CLEANUP_INTERVAL, CAM)
+ */
+export function createImagePool(config) {
+    const images = [];
+    let lastCacheBuster = 0;
+    let cleanupInterval = null;
+
+    /**
+     * Release the oldest images above the limit. Images still loading keep
+     * their handlers and are left alone until the next round.
+     */
+    function cleanup() {
+        let removed = 0;
+        while (images.length > config.MAX_IMAGE_OBJECTS) {
+            const img = images[0];
+            if (img.onload || img.onerror) break;
+            images.shift();
+            img.src = 'data:,';
+            removed++;
+        }
+        if (removed) {
+            console.log(`[${config.CAM}] 🧹 Cleaned up ${removed} old Image objects`);
+        }
+    }
+
+    /**
+     * @returns {HTMLImageElement} Tracked Image; handlers are cleared once it settles
+     */
+    function create() {
+        const img = new Image();
+        images.push(img);
+        return img;
+    }
+
+    /**
+     * Load a URL through a tracked Image
+     *
+     * @param {string} src
+     * @returns {Promise<string>} The loaded URL
+     */
+    function preload(src) {
+        const img = create();
+        return new Promise((resolve, reject) => {
+            img.onload = function() {
+                this.onload = null;
+                this.onerror = null;
+                resolve(this.src);
+            };
+            img.onerror = function() {
+                this.onload = null;
+                this.onerror = null;
+                reject(new Error('Image load failed: ' + src));
+            };
+            img.src = src;
+        });
+    }
+
+    /**
+     * Unique even when called several times in the same millisecond
+     */
+    function cacheBuster() {
+        const now = Date.now();
+        lastCacheBuster = now > lastCacheBuster ? now : lastCacheBuster + 1;
+        return lastCacheBuster + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    function start() {
+        if (cleanupInterval) clearInterval(cleanupInterval);
+        cleanupInterval = setInterval(cleanup, config.CLEANUP_INTERVAL);
+    }
+
+    function stop() {
+        if (cleanupInterval) clearInterval(cleanupInterval);
+        cleanupInterval = null;
+        images.forEach(img => {
+            img.onload = null;
+            img.onerror = null;
+            img.src = 'data:,';
+        });
+        images.length = 0;
+    }
+
+    return { preload, cacheBuster, cleanup, start, stop };
+}
@@ -0,0 +1,338 @@
+/**
+ * Camera Control Core - Live stream
+ *
+ * The camera streams while tmp/web_live.tmp says "on" and a browser keeps
+ * tmp/web_live_session.tmp fresh (session heartbeat). Only one browser may
+ * own the stream: a newer session elsewhere stops ours.
+ *
+ * Frames are polled from live.jpg unless the transport is streaming them
+ * (WebSocket binary frames).
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+import { QUALITY_PRESETS } from './config.js';
+import { request, writeTmpFile, beaconTmpFile } from './http.js';
+
+const LIVE_FILE = 'tmp/web_live.tmp';
+const SESSION_FILE = 'tmp/web_live_session.tmp';
+const QUALITY_FILE = 'tmp/web_live_quality.tmp';
+
+/**
+ * "timestamp:sessionId" -> { timestamp, id }
+ */
+function parseSession(data) {
+    const parts = (data || '').trim().split(':');
+    return { timestamp: parseInt(parts[0], 10) || 0, id: parts[1] || '' };
+}
+
+/**
+ * @param {Object} app { config, renderer, transport, images }
+ */
+export function createLive(app) {
+    const { config, renderer } = app;
+
+    const state = {
+        active: false,
+        updateInterval: null,
+        heartbeatInterval: null,
+        sessionId: null,
+        errorCount: 0,
+        currentQuality: null,
+        resumeWhenOnline: false,
+        hidden: false
+    };
+
+    // ========================================================================
+    // SESSION HEARTBEAT
+    // ========================================================================
+
+    function sendHeartbeat() {
+        if (!state.active || !state.sessionId) return;
+        writeTmpFile(SESSION_FILE, Date.now() + ':' + state.sessionId).catch(() => {});
+    }
+
+    function startHeartbeat() {
+        state.sessionId = Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        sendHeartbeat();
+
+        if (state.heartbeatInterval) clearInterval(state.heartbeatInterval);
+        state.heartbeatInterval = setInterval(sendHeartbeat, config.SESSION_HEARTBEAT_INTERVAL);
+    }
+
+    function stopHeartbeat() {
+        if (state.heartbeatInterval) clearInterval(state.heartbeatInterval);
+        state.heartbeatInterval = null;
+        state.sessionId = null;
+    }
+
+    /**
+     * Mutual exclusion: another browser opened the live stream -> stop ours
+     */
+    function checkSessionConflict() {
+        if (!state.active) return;
+
+        request({ url: SESSION_FILE, timeout: 3000 })
+            .then(data => {
+                const session = parseSession(data);
+                if (state.active && session.id && session.id !== state.sessionId &&
+                    Date.now() - session.timestamp < config.SESSION_CONFLICT_AGE) {
+                    console.log(`[${config.CAM}] Live stream opened elsewhere - stopping here (session conflict)`);
+                    renderer.setLiveSelect('off');
+                    stop();
+                }
+            }, () => {});
+    }
+
+    // ========================================================================
+    // FRAME UPDATES
+    // ========================================================================
+
+    function updateFrame() {
+        if (!state.active || renderer.getLiveSelect() !== 'on') {
+            stopUpdates();
+            return;
+        }
+
+        // Binary frames over WebSocket replace polling while they flow
+        if (app.transport.isStreaming()) return;
+
+        app.images.preload('live.jpg?v=' + app.images.cacheBuster())
+            .then(src => {
+                if (!state.active) return;
+                renderer.showLiveFrame(src);
+                if (state.errorCount > 0) {
+                    console.log(`[${config.CAM}] ✅ Live stream recovered`);
+                    state.errorCount = 0;
+                }
+            }, () => {
+                state.errorCount++;
+                console.warn(`[${config.CAM}] ⚠️ Live image load failed (${state.errorCount}/${config.LIVE_ERROR_THRESHOLD})`);
+
+                if (state.errorCount >= config.LIVE_ERROR_THRESHOLD) {
+                    console.error(`[${config.CAM}] ❌ Live stream timeout - pausing after ${config.LIVE_ERROR_THRESHOLD} failed loads`);
+                    pause();
+                }
+            });
+    }
+
+    function startUpdates() {
+        stopUpdates();
+        updateFrame();
+
+        const interval = config.LIVE_UPDATE_INTERVAL * (state.hidden ? config.HIDDEN_LIVE_SLOWDOWN : 1);
+        state.updateInterval = setInterval(updateFrame, interval);
+    }
+
+    function stopUpdates() {
+        if (state.updateInterval) clearInterval(state.updateInterval);
+        state.updateInterval = null;
+    }
+
+    // ========================================================================
+    // START / STOP
+    // ========================================================================
+
+    function start() {
+        if (state.active) return;
+
+        console.log(`[${config.CAM}] 🎥 Starting live stream...`);
+        state.active = true;
+        state.errorCount = 0;
+        startHeartbeat();
+
+        renderer.showLive();
+        renderer.showLiveLoading();
+
+        renderer.setQuality(localStorage.getItem('preferredQuality') || 'very-low');
+        setQuality(false);
+
+        writeTmpFile(LIVE_FILE, 'on')
+            .then(response => {
+                if (response !== 'OK') throw new Error(response);
+
+                console.log(`[${config.CAM}] ▶️ Live stream ready`);
+                setTimeout(() => {
+                    renderer.hideLiveLoading();
+                    if (state.active) startUpdates();
+                }, config.LIVE_START_DELAY);
+            })
+            .catch(error => {
+                const reason = error.message || error.error || 'Unknown error';
+                console.error(`[${config.CAM}] ❌ Failed to start: ${reason}`);
+                renderer.setLiveSelect('off');
+                stop();
+                renderer.alert('Failed to start live stream: ' + reason);
+            });
+    }
+
+    /**
+     * Stop live stream (user action) - the camera is told to stop
+     */
+    function stop() {
+        console.log(`[${config.CAM}] ⏹️ Live stream OFF`);
+        state.active = false;
+        state.resumeWhenOnline = false;
+        stopHeartbeat();
+        stopUpdates();
+        renderer.hideLive();
+
+        writeTmpFile(LIVE_FILE, 'off').catch(() => {});
+    }
+
+    /**
+     * Stop updating but keep the panel (connection lost, too many errors)
+     */
+    function pause() {
+        console.log(`[${config.CAM}] ⏸️ Live stream paused`);
+        state.active = false;
+        state.errorCount = 0;
+        stopHeartbeat();
+        stopUpdates();
+        renderer.showLiveFrame('buffer.jpg');
+        renderer.hideLiveLoading();
+    }
+
+    /**
+     * Global onchange handler of #webLiveSelect
+     */
+    function toggle() {
+        if (renderer.getLiveSelect() === 'on') {
+            start();
+        } else {
+            stop();
+        }
+    }
+
+    /**
+     * Hand the camera to a capture. The camera can't stream and capture at
+     * the same time.
+     *
+     * @returns {boolean} True when the stream was running (pass it to resume)
+     */
+    function suspend() {
+        if (!state.active || renderer.getLiveSelect() !== 'on') return false;
+
+        console.log(`[${config.CAM}] 🛑 Stopping live stream for capture...`);
+        state.active = false;
+        stopHeartbeat();
+        stopUpdates();
+        renderer.setLiveSelect('off');
+        writeTmpFile(LIVE_FILE, 'off').catch(() => {});
+        return true;
+    }
+
+    function resume() {
+        console.log(`[${config.CAM}] ▶️ Restarting live stream...`);
+        renderer.setLiveSelect('on');
+        start();
+    }
+
+    // ========================================================================
+    // CAMERA ONLINE / OFFLINE
+    // ========================================================================
+
+    function pauseForOffline(offlineSeconds) {
+        if (!state.active) return;
+        console.log(`[${config.CAM}] ⏸️ Camera offline for ${offlineSeconds.toFixed(0)}s - pausing live stream`);
+        state.resumeWhenOnline = true;
+        pause();
+    }
+
+    function resumeIfPaused() {
+        if (!state.resumeWhenOnline || state.active) return;
+        console.log(`[${config.CAM}] 🔄 Camera back online - restarting live stream`);
+        state.resumeWhenOnline = false;
+        resume();
+    }
+
+    // ========================================================================
+    // QUALITY
+    // ========================================================================
+
+    /**
+     * Global onchange handler of #liveQuality
+     *
+     * @param {boolean} force Send even if unchanged, and reload the feed
+     */
+    function setQuality(force) {
+        const quality = renderer.getQuality();
+        const preset = QUALITY_PRESETS[quality] || QUALITY_PRESETS['very-low'];
+        const data = preset.join(' ');
+
+        if (!force && state.currentQuality === data) return;
+
+        state.currentQuality = data;
+        localStorage.setItem('preferredQuality', quality);
+
+        writeTmpFile(QUALITY_FILE, data)
+            .then(response => {
+                if (response !== 'OK') {
+                    console.error(`[${config.CAM}] ❌ Server response: ${response}`);
+                    return;
+                }
+                console.log(`[${config.CAM}] ✅ Quality set: ${preset[0]}x${preset[1]} q=${preset[2]}`);
+
+                // Show the new quality from its first frame
+                if (force && state.active && state.updateInterval) {
+                    stopUpdates();
+                    renderer.showLiveFrame('buffer.jpg');
+                    setTimeout(() => {
+                        if (state.active) startUpdates();
+                    }, 1000);
+                }
+            }, error => {
+                console.error(`[${config.CAM}] ❌ Quality update failed:`, error.error);
+            });
+    }
+
+    // ========================================================================
+    // PAGE LIFECYCLE
+    // ========================================================================
+
+    /**
+     * After a refresh: continue the stream if our session is still fresh
+     */
+    function restore() {
+        request({ url: LIVE_FILE })
+            .then(data => {
+                const serverState = data.trim() === 'on' ? 'on' : 'off';
+                renderer.setLiveSelect(serverState);
+                if (serverState !== 'on') return;
+
+                return request({ url: SESSION_FILE }).then(sessionData => {
+                    if (Date.now() - parseSession(sessionData).timestamp < config.SESSION_RESUME_AGE) {
+                        console.log(`[${config.CAM}] Session active - starting live`);
+                        start();
+                    }
+                });
+            })
+            .catch(() => renderer.setLiveSelect('off'));
+    }
+
+    /**
+     * Slower refresh while the tab is in the background
+     */
+    function setHidden(hidden) {
+        state.hidden = hidden;
+        if (state.active && state.updateInterval) startUpdates();
+    }
+
+    function unload() {
+        stopHeartbeat();
+        stopUpdates();
+        if (state.active) beaconTmpFile(LIVE_FILE, 'off');
+    }
+
+    return {
+        start, stop, pause, toggle, suspend, resume, setQuality,
+        pauseForOffline, resumeIfPaused, checkSessionConflict,
+        restore, setHidden, unload,
+        isActive: () => state.active
+    };
+}
@@ -0,0 +1,317 @@
+/**
+ * Camera Control Core - Client-side motion detection
+ *
+ * Every frame shown in #webLiveImage (HTTP polling or WebSocket) is checked
+ * through its load event: a small grayscale copy is compared with the last
+ * sampled frame, optionally inside a region drawn on the image.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+/**
+ * @param {Object} app { config, renderer, capture, notifications }
+ * @returns {Object} Feature hooks (none)
+ */
+export function setupMotion(app) {
+    const { config, renderer } = app;
+    const $ = (selector) => document.querySelector(selector);
+
+    const motion = {
+        settings: { enabled: false, sensitivity: 50, autoCapture: false },
+        region: null,       // { x, y, w, h } fractions, null = whole image
+        drawing: false,
+        canvas: null,
+        previous: null,     // grayscale pixels of the last sampled frame
+        lastSample: 0,
+        lastAlert: 0,
+        lastCapture: 0
+    };
+
+    /**
+     * Add the motion controls and overlay to the live stream panel
+     */
+    function buildControls() {
+        const liveImage = renderer.liveImage();
+        const liveOptions = $('#liveQualityOptions');
+        if (!liveImage || !liveOptions) return;
+
+        try {
+            Object.assign(motion.settings, JSON.parse(localStorage.getItem('motionSettings') || '{}'));
+            motion.region = JSON.parse(localStorage.getItem('motionRegion') || 'null');
+        } catch (e) {
+            console.warn(`[${config.CAM}] ⚠️ Ignoring saved motion settings`);
+        }
+
+        // Overlay canvas sits exactly on top of the live image
+        const stage = document.createElement('div');
+        stage.className = 'motion-stage';
+        liveImage.parentNode.insertBefore(stage, liveImage);
+        stage.appendChild(liveImage);
+
+        const overlay = document.createElement('canvas');
+        overlay.id = 'motionOverlay';
+        overlay.className = 'motion-overlay';
+        stage.appendChild(overlay);
+
+        const controls = document.createElement('div');
+        controls.id = 'motionOptions';
+        controls.className = 'motion-options';
+        controls.innerHTML = `
+            <label class="ctl-label"><input type="checkbox" id="motionEnabled"> Motion</label>
+            <label for="motionSensitivity" class="ctl-label">Sensitivity</label>
+            <input type="range" id="motionSensitivity" min="1" max="100" class="motion-sensitivity">
+            <label class="ctl-label"><input type="checkbox" id="motionAutoCapture"> Auto capture</label>
+            <button type="button" id="motionRegion" class="save-btn" title="Draw the area to watch">🔲</button>
+            <button type="button" id="motionRegionClear" class="save-btn" title="Watch the whole image">✖️</button>
+        `;
+        liveOptions.insertAdjacentElement('afterend', controls);
+
+        $('#motionEnabled').checked = motion.settings.enabled;
+        $('#motionSensitivity').value = motion.settings.sensitivity;
+        $('#motionAutoCapture').checked = motion.settings.autoCapture;
+
+        $('#motionEnabled').addEventListener('change', function() {
+            motion.settings.enabled = this.checked;
+            motion.previous = null;
+            saveMotionSettings();
+            drawMotionOverlay(null);
+        });
+        $('#motionSensitivity').addEventListener('input', function() {
+            motion.settings.sensitivity = parseInt(this.value, 10);
+            saveMotionSettings();
+        });
+        $('#motionAutoCapture').addEventListener('change', function() {
+            motion.settings.autoCapture = this.checked;
+            saveMotionSettings();
+        });
+        $('#motionRegion').addEventListener('click', function() {
+            motion.drawing = !motion.drawing;
+            overlay.classList.toggle('drawing', motion.drawing);
+            if (motion.drawing) renderer.toast('Drag on the live image to select the area to watch');
+        });
+        $('#motionRegionClear').addEventListener('click', function() {
+            setMotionRegion(null);
+        });
+
+        setupMotionRegionDrawing(overlay);
+        liveImage.addEventListener('load', function() {
+            detectMotion(this);
+        });
+    }
+
+    function saveMotionSettings() {
+        localStorage.setItem('motionSettings', JSON.stringify(motion.settings));
+    }
+
+    /**
+     * @param {Object|null} region { x, y, w, h } as fractions of the image, null = whole image
+     */
+    function setMotionRegion(region) {
+        motion.region = region;
+        motion.previous = null;
+        if (region) {
+            localStorage.setItem('motionRegion', JSON.stringify(region));
+        } else {
+            localStorage.removeItem('motionRegion');
+        }
+        drawMotionOverlay(null);
+    }
+
+    /**
+     * Drag a rectangle on the overlay (mouse or touch) to set the region
+     */
+    function setupMotionRegionDrawing(overlay) {
+        let start = null;
+
+        function point(event) {
+            const rect = overlay.getBoundingClientRect();
+            const x = (event.clientX - rect.left) / rect.width;
+            const y = (event.clientY - rect.top) / rect.height;
+            return { x: Math.min(1, Math.max(0, x)), y: Math.min(1, Math.max(0, y)) };
+        }
+
+        function box(a, b) {
+            return {
+                x: Math.min(a.x, b.x),
+                y: Math.min(a.y, b.y),
+                w: Math.abs(a.x - b.x),
+                h: Math.abs(a.y - b.y)
+            };
+        }
+
+        overlay.addEventListener('pointerdown', function(event) {
+            if (!motion.drawing) return;
+            start = point(event);
+            overlay.setPointerCapture(event.pointerId);
+            event.preventDefault();
+            event.stopPropagation();    // not a pan of the zoom viewer
+        });
+
+        overlay.addEventListener('pointermove', function(event) {
+            if (!start) return;
+            motion.region = box(start, point(event));
+            drawMotionOverlay(null);
+        });
+
+        overlay.addEventListener('pointerup', function(event) {
+            if (!start) return;
+            const region = box(start, point(event));
+            start = null;
+            motion.drawing = false;
+            overlay.classList.remove('drawing');
+
+            // A click without a drag watches the whole image again
+            setMotionRegion(region.w > 0.02 && region.h > 0.02 ? region : null);
+        });
+    }
+
+    /**
+     * Compare the frame just shown with the previous one
+     */
+    function detectMotion(image) {
+        const now = Date.now();
+
+        if (!motion.settings.enabled || !image.naturalWidth || image.src.indexOf('buffer.jpg') !== -1) return;
+
+        // WebSocket frames can arrive several times a second - sample them
+        if (now - motion.lastSample < config.MOTION_SAMPLE_INTERVAL) return;
+
+        // After a pause (live restarted, capture) the old frame is no reference
+        if (now - motion.lastSample > config.MOTION_SAMPLE_INTERVAL * 5) motion.previous = null;
+        motion.lastSample = now;
+
+        const width = config.MOTION_WIDTH;
+        const height = Math.round(width * image.naturalHeight / image.naturalWidth);
+
+        if (!motion.canvas) {
+            motion.canvas = document.createElement('canvas');
+        }
+        const canvas = motion.canvas;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+            motion.previous = null;
+        }
+
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(image, 0, 0, width, height);
+        const pixels = context.getImageData(0, 0, width, height).data;
+
+        // Grayscale copy of this frame
+        const current = new Uint8ClampedArray(width * height);
+        for (let i = 0; i < current.length; i++) {
+            current[i] = (pixels[i * 4] * 77 + pixels[i * 4 + 1] * 150 + pixels[i * 4 + 2] * 29) >> 8;
+        }
+
+        const previous = motion.previous;
+        motion.previous = current;
+        if (!previous) return;
+
+        // Sensitivity 1..100: higher = smaller brightness change and smaller area count
+        const sensitivity = motion.settings.sensitivity;
+        const pixelThreshold = 70 - sensitivity * 0.6;
+        const areaThreshold = (101 - sensitivity) / 1000;
+
+        const region = motion.region || { x: 0, y: 0, w: 1, h: 1 };
+        const x0 = Math.floor(region.x * width);
+        const y0 = Math.floor(region.y * height);
+        const x1 = Math.ceil((region.x + region.w) * width);
+        const y1 = Math.ceil((region.y + region.h) * height);
+
+        let changed = 0;
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const i = y * width + x;
+                if (Math.abs(current[i] - previous[i]) > pixelThreshold) {
+                    changed++;
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+
+        const ratio = changed / Math.max(1, (x1 - x0) * (y1 - y0));
+        if (ratio < areaThreshold) {
+            drawMotionOverlay(null);
+            return;
+        }
+
+        drawMotionOverlay({
+            x: minX / width,
+            y: minY / height,
+            w: (maxX - minX + 1) / width,
+            h: (maxY - minY + 1) / height
+        });
+        onMotion(ratio);
+    }
+
+    /**
+     * Draw the watched region and, when given, the changed area
+     */
+    function drawMotionOverlay(changedBox) {
+        const overlay = $('#motionOverlay');
+        if (!overlay) return;
+
+        overlay.width = overlay.clientWidth;
+        overlay.height = overlay.clientHeight;
+        const context = overlay.getContext('2d');
+        const w = overlay.width;
+        const h = overlay.height;
+
+        const region = motion.region;
+        if (region && (motion.settings.enabled || motion.drawing)) {
+            context.setLineDash([6, 4]);
+            context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            context.lineWidth = 1;
+            context.strokeRect(region.x * w, region.y * h, region.w * w, region.h * h);
+            context.setLineDash([]);
+        }
+
+        if (changedBox) {
+            context.strokeStyle = '#ff4444';
+            context.lineWidth = 3;
+            context.fillStyle = 'rgba(255, 0, 0, 0.15)';
+            context.fillRect(changedBox.x * w, changedBox.y * h, changedBox.w * w, changedBox.h * h);
+            context.strokeRect(changedBox.x * w, changedBox.y * h, changedBox.w * w, changedBox.h * h);
+        }
+    }
+
+    /**
+     * Alert (and optionally capture) - rate limited so one event isn't reported every frame
+     */
+    function onMotion(ratio) {
+        const now = Date.now();
+        const percent = (ratio * 100).toFixed(1);
+
+        if (now - motion.lastAlert >= config.MOTION_ALERT_COOLDOWN) {
+            motion.lastAlert = now;
+            console.log(`[${config.CAM}] 🚨 Motion detected (${percent}% changed)`);
+            renderer.toast(`🚨 Motion detected on ${config.CAM}`);
+            app.notifications.send('🚨 ' + config.CAM + ' Motion', `Motion detected (${percent}% of the image changed)`, 'motion');
+        }
+
+        if (motion.settings.autoCapture && !app.capture.isBusy() &&
+            now - motion.lastCapture >= config.MOTION_CAPTURE_COOLDOWN) {
+            motion.lastCapture = now;
+            console.log(`[${config.CAM}] 📸 Motion auto-capture`);
+            app.capture.capture({
+                quiet: true,
+                onComplete: function(error) {
+                    if (error) console.warn(`[${config.CAM}] ⚠️ Motion auto-capture failed: ${error}`);
+                }
+            });
+        }
+    }
+
+    buildControls();
+    return {};
+}
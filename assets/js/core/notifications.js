@@ -0,0 +1,81 @@
+/**
+ * Camera Control Core - Browser notifications
+ *
+ * Tells the user when the camera goes offline or comes back, or when motion
+ * is detected, while the page is in the background.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+/**
+ * @param {Object} config CONFIG
+ */
+export function createNotifications(config) {
+    let enabled = false;
+    let previousOnlineStatus = null;
+
+    function requestPermission() {
+        if (!('Notification' in window)) {
+            console.log(`[${config.CAM}] Browser does not support notifications`);
+            return;
+        }
+
+        if (Notification.permission === 'granted') {
+            enabled = true;
+        } else if (Notification.permission !== 'denied') {
+            Notification.requestPermission().then(permission => {
+                enabled = (permission === 'granted');
+                console.log(`[${config.CAM}] 🔔 Notification permission: ${permission}`);
+            });
+        }
+    }
+
+    /**
+     * @param {string} title
+     * @param {string} body
+     * @param {string} [kind] 'status' (default) or 'motion' - a new notification
+     *                        only replaces the previous one of the same kind
+     */
+    function send(title, body, kind) {
+        if (!enabled || Notification.permission !== 'granted') return;
+
+        // The user is looking at the page already
+        if (document.visibilityState === 'visible' && document.hasFocus()) return;
+
+        const notification = new Notification(title, {
+            body: body,
+            icon: 'assets/images/logo.ico',
+            tag: config.CAM + '-' + (kind || 'status'),
+            renotify: true
+        });
+
+        setTimeout(() => notification.close(), 10000);
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+    }
+
+    /**
+     * Notify on online/offline transitions (not on the first status)
+     *
+     * @param {boolean} isOnline
+     */
+    function statusChanged(isOnline) {
+        if (previousOnlineStatus !== null && isOnline !== previousOnlineStatus) {
+            if (isOnline) {
+                send('🟢 ' + config.CAM + ' Connected', 'Camera is now online and ready');
+            } else {
+                send('🔴 ' + config.CAM + ' Disconnected', 'Camera connection lost! Please check.');
+            }
+        }
+        previousOnlineStatus = isOnline;
+    }
+
+    return { requestPermission, send, statusChanged };
+}
@@ -0,0 +1,126 @@
+/**
+ * Camera Control Core - OCR (copy text from the captured image)
+ *
+ * Built-in fallback for extractTextFromImage(). When the OCR module
+ * (modules/ocr) is enabled it loads later and replaces the global.
+ * copyTextFromImage() is also used by the gallery for kept images, and
+ * reads with the module's engine (window.recognizeText) when it is loaded.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+import { request } from './http.js';
+
+const RESULT_DISPLAY_TIME = 2000;
+
+/**
+ * Copy text to clipboard, with a fallback for non-secure pages
+ *
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+export function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        return navigator.clipboard.writeText(text);
+    }
+
+    return new Promise((resolve, reject) => {
+        const textArea = document.createElement('textarea');
+        textArea.value = text;
+        textArea.style.cssText = 'position:fixed;left:-999999px;top:-999999px;';
+        document.body.appendChild(textArea);
+        textArea.focus();
+        textArea.select();
+
+        try {
+            const successful = document.execCommand('copy');
+            document.body.removeChild(textArea);
+            successful ? resolve() : reject(new Error('Copy command failed'));
+        } catch (err) {
+            document.body.removeChild(textArea);
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Read an image with the OCR module's engine (window.recognizeText) or ocr.php
+ *
+ * @param {string} image Path relative to the site root
+ * @returns {Promise<Object>} ocr.php response { success, hasText, text, charCount, error }
+ */
+function recognizeText(image) {
+    if (typeof window.recognizeText === 'function') return window.recognizeText(image);
+
+    return request({
+        url: 'ocr.php?token=' + encodeURIComponent(window.ADMIN_TOKEN),
+        method: 'POST',
+        dataType: 'json',
+        timeout: 30000,
+        data: { image: image }
+    });
+}
+
+/**
+ * Read an image and copy the text it finds
+ *
+ * @param {Object} config
+ * @param {string} image Path relative to the site root (pic.jpg, gallery/<id>.jpg)
+ * @returns {Promise<Object>} { icon, message } for the button and toast - never rejects
+ */
+export function copyTextFromImage(config, image) {
+    return recognizeText(image).then(data => {
+        if (!data.success) {
+            console.error(`[${config.CAM}] ❌ OCR error: ${data.error}`);
+            return { icon: '❌', message: 'Error: ' + (data.error || 'Unknown') };
+        }
+        if (!data.hasText) {
+            console.log(`[${config.CAM}] ⚠️ No text found in image`);
+            return { icon: '⚠️', message: 'No text found in image' };
+        }
+        return copyToClipboard(data.text).then(() => {
+            console.log(`[${config.CAM}] ✅ Text copied to clipboard (${data.charCount} chars)`);
+            return { icon: '✅', message: 'Text copied! (' + data.charCount + ' chars)' };
+        }, err => {
+            console.error(`[${config.CAM}] ❌ Failed to copy: ${err}`);
+            return { icon: '❌', message: 'Failed to copy text' };
+        });
+    }, () => {
+        console.error(`[${config.CAM}] ❌ OCR failed: service unavailable`);
+        return { icon: '❌', message: 'OCR service unavailable' };
+    });
+}
+
+/**
+ * @param {Object} app { config, renderer }
+ * @returns {Function} extractTextFromImage()
+ */
+export function createOcr(app) {
+    const { config, renderer } = app;
+
+    return function extractTextFromImage() {
+        const button = document.querySelector('.ocr-btn');
+        if (!button || button.disabled) return;
+
+        const originalContent = button.innerHTML;
+        button.disabled = true;
+        button.innerHTML = '⏳';
+        button.classList.add('loading');
+        console.log(`[${config.CAM}] 📋 Extracting text from image...`);
+
+        copyTextFromImage(config, 'pic.jpg').then(result => {
+            button.innerHTML = result.icon;
+            button.classList.remove('loading');
+            renderer.toast(result.message);
+            setTimeout(() => {
+                button.disabled = false;
+                button.innerHTML = originalContent;
+            }, RESULT_DISPLAY_TIME);
+        });
+    };
+}
@@ -0,0 +1,246 @@
+/**
+ * Camera Control Core - DOM renderer
+ *
+ * Everything the core shows or reads on the page goes through a renderer,
+ * so a preset can change how things appear (the jQuery preset fades panels)
+ * without touching capture, live or status logic.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+const $ = (selector) => document.querySelector(selector);
+
+const CAPTURE_SETTINGS = ['res', 'comp', 'iso', 'sat', 'rot', 'fx', 'enf'];
+
+/**
+ * Execute scripts from HTML fragment (innerHTML doesn't execute them)
+ */
+function executeScripts(container) {
+    container.querySelectorAll('script').forEach(script => {
+        const newScript = document.createElement('script');
+        if (script.src) {
+            newScript.src = script.src;
+        } else {
+            newScript.textContent = script.textContent;
+        }
+        script.parentNode.replaceChild(newScript, script);
+    });
+}
+
+/**
+ * @returns {Object} Renderer
+ */
+export function createDomRenderer() {
+    let captureButtonText = null;
+
+    const renderer = {
+        // ====================================================================
+        // STATUS
+        // ====================================================================
+
+        /**
+         * mode.php fragment - its inline script sets window.cameraOnlineStatus
+         */
+        showStatus(html) {
+            const container = $('#id1');
+            if (!container) return;
+
+            container.innerHTML = html;
+            executeScripts(container);
+
+            const stateElement = $('#controlPanelState');
+            const form = $('#myForm');
+            if (stateElement && form) {
+                form.style.display = stateElement.getAttribute('data-show-panel') === 'true' ? 'block' : 'none';
+            }
+        },
+
+        showOffline() {
+            const container = $('#id1');
+            if (container) {
+                container.innerHTML = '<span class="camera-offline">Camera Offline</span>';
+            }
+        },
+
+        // ====================================================================
+        // LIVE STREAM
+        // ====================================================================
+
+        liveImage() {
+            return $('#webLiveImage');
+        },
+
+        getLiveSelect() {
+            const select = $('#webLiveSelect');
+            return select ? select.value : 'off';
+        },
+
+        setLiveSelect(value) {
+            const select = $('#webLiveSelect');
+            if (select) select.value = value;
+        },
+
+        getQuality() {
+            const select = $('#liveQuality');
+            return select ? select.value : 'very-low';
+        },
+
+        setQuality(value) {
+            const select = $('#liveQuality');
+            if (select) select.value = value;
+        },
+
+        showLive() {
+            const container = $('#webLiveContainer');
+            if (container) container.style.display = 'block';
+            renderer.showLiveFrame('buffer.jpg');
+        },
+
+        hideLive() {
+            const container = $('#webLiveContainer');
+            if (container) container.style.display = 'none';
+            renderer.hideLiveLoading();
+        },
+
+        showLiveFrame(src) {
+            const image = renderer.liveImage();
+            if (image) image.src = src;
+        },
+
+        showLiveLoading() {
+            const liveFeed = $('#liveFeed');
+            if (!liveFeed || $('#loadingIndicator')) return;
+
+            const indicator = document.createElement('div');
+            indicator.id = 'loadingIndicator';
+            indicator.className = 'loading-overlay';
+            indicator.innerHTML = `
+                <div class="spinner"></div>
+                <div class="loading-text">Starting live stream...</div>
+            `;
+            liveFeed.appendChild(indicator);
+        },
+
+        hideLiveLoading() {
+            const indicator = $('#loadingIndicator');
+            if (indicator) indicator.remove();
+        },
+
+        // ====================================================================
+        // CAPTURE
+        // ====================================================================
+
+        getCaptureSettings() {
+            const settings = {};
+            CAPTURE_SETTINGS.forEach(name => {
+                const select = $(`select[name="${name}"]`);
+                settings[name] = select ? select.value : '';
+            });
+            return settings;
+        },
+
+        setCapturing(capturing) {
+            const button = $('#myBut');
+            if (!button) return;
+
+            if (capturing) {
+                captureButtonText = button.textContent;
+                button.textContent = 'Capturing...';
+            } else if (captureButtonText !== null) {
+                button.textContent = captureButtonText;
+            }
+            button.disabled = capturing;
+            button.classList.toggle('blinking', capturing);
+        },
+
+        /**
+         * Create the captured image panels under the form on first use
+         */
+        prepareCapturedImage() {
+            if (!$('#ImageContainer')) {
+                const imageContainer = document.createElement('div');
+                imageContainer.id = 'ImageContainer';
+                imageContainer.className = 'glass-panel';
+                imageContainer.style.display = 'none';
+                imageContainer.innerHTML = '<div id="ImageFeed"><img id="Image" alt="Captured Image" loading="eager" class="captured-image"></div>';
+
+                const imageDetails = document.createElement('div');
+                imageDetails.id = 'imageDetails';
+                imageDetails.className = 'glass-panel image-details-panel';
+                imageDetails.style.display = 'none';
+
+                const form = $('form');
+                const panel = form ? form.closest('.glass-panel') : null;
+                if (!panel) return;
+                panel.insertAdjacentElement('afterend', imageContainer);
+                imageContainer.insertAdjacentElement('afterend', imageDetails);
+            }
+
+            $('#imageDetails').innerHTML = '<span id="imageSizeText" class="image-size-text">Loading image size...</span>';
+        },
+
+        showCapturedImage(src) {
+            const img = $('#Image');
+            if (!img) return;
+            img.src = src;
+            $('#ImageContainer').style.display = 'block';
+            $('#imageDetails').style.display = 'block';
+        },
+
+        showCaptureMessage(text) {
+            const sizeText = $('#imageSizeText');
+            if (sizeText) sizeText.textContent = text;
+        },
+
+        /**
+         * @param {Object} details { size, captureTime }
+         */
+        showCaptureDetails(details) {
+            const sizeText = $('#imageSizeText');
+            if (!sizeText) return;
+
+            sizeText.className = 'image-size-text data-text';
+            sizeText.innerHTML = `Image size: ${details.size} <span class="capture-time">Time: ${details.captureTime}s</span>` +
+                ' <button onclick="saveImageToDevice()" class="save-btn" title="Save to device (S)">💾</button>' +
+                ' <button onclick="extractTextFromImage()" class="ocr-btn" title="Copy text from image (O)">📋</button>';
+        },
+
+        // ====================================================================
+        // FEEDBACK
+        // ====================================================================
+
+        alert(message) {
+            window.alert(message);
+        },
+
+        confirm(message) {
+            return window.confirm(message);
+        },
+
+        /**
+         * Short message at the bottom of the page
+         */
+        toast(message) {
+            const existing = $('.ocr-notification');
+            if (existing) existing.remove();
+
+            const notification = document.createElement('div');
+            notification.className = 'ocr-notification';
+            notification.textContent = message;
+            document.body.appendChild(notification);
+
+            setTimeout(() => notification.classList.add('show'), 10);
+            setTimeout(() => {
+                notification.classList.remove('show');
+                setTimeout(() => notification.remove(), 300);
+            }, 3000);
+        }
+    };
+
+    return renderer;
+}
@@ -0,0 +1,107 @@
+/**
+ * Camera Control Core - Status monitoring
+ *
+ * mode.php is loaded every STATUS_UPDATE_INTERVAL; its inline script sets
+ * window.cameraOnlineStatus and window.secondsSinceUpdate. The live stream
+ * is paused while the camera is offline and restarted when it returns.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+import { request } from './http.js';
+
+const STATUS_RETRIES = 2;
+
+/**
+ * @param {Object} app { config, renderer, live, notifications }
+ */
+export function createStatus(app) {
+    const { config, renderer } = app;
+
+    const state = {
+        interval: null,
+        retryCount: 0,
+        firstLoad: true,
+        lastOnlineTime: Date.now()
+    };
+
+    function load() {
+        request({ url: 'mode.php', timeout: 5000 })
+            .then(html => {
+                state.retryCount = 0;
+                state.firstLoad = false;
+                renderer.showStatus(html);
+                update();
+            }, error => {
+                if (state.retryCount < STATUS_RETRIES) {
+                    state.retryCount++;
+                    setTimeout(load, 200);
+                    return;
+                }
+
+                if (!state.firstLoad) {
+                    renderer.showOffline();
+                }
+                console.log(`[${config.CAM}] mode.php load error - HTTP ${error.status}`);
+                window.cameraOnlineStatus = false;
+                window.secondsSinceUpdate = 999;
+                state.retryCount = 0;
+                state.firstLoad = false;
+                update();
+            });
+    }
+
+    function isOnline() {
+        // 0 seconds since the last update is the freshest status, not a missing one
+        const secondsSince = typeof window.secondsSinceUpdate === 'number' ? window.secondsSinceUpdate : 999;
+        return !!window.cameraOnlineStatus && secondsSince <= config.OFFLINE_THRESHOLD;
+    }
+
+    /**
+     * React to the status mode.php just reported
+     */
+    function update() {
+        const online = isOnline();
+        const now = Date.now();
+
+        app.notifications.statusChanged(online);
+
+        if (online) {
+            state.lastOnlineTime = now;
+            app.live.resumeIfPaused();
+            return;
+        }
+
+        const offlineTime = (now - state.lastOnlineTime) / 1000;
+        if (offlineTime > config.OFFLINE_THRESHOLD) {
+            app.live.pauseForOffline(offlineTime);
+        }
+    }
+
+    function checkBrowserConnection() {
+        if (!window.navigator.onLine) {
+            renderer.alert('Web browser without internet connection\n\nTry to:\nCheck network cables, modem and router\nReconnect to a Wi-Fi network');
+        }
+    }
+
+    function start() {
+        stop();
+        state.interval = setInterval(() => {
+            load();
+            checkBrowserConnection();
+            app.live.checkSessionConflict();
+        }, config.STATUS_UPDATE_INTERVAL);
+    }
+
+    function stop() {
+        if (state.interval) clearInterval(state.interval);
+        state.interval = null;
+    }
+
+    return { load, start, stop, isOnline };
+}
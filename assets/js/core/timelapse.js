@@ -0,0 +1,404 @@
+/**
+ * Camera Control Core - Time-lapse
+ *
+ * Captures on a fixed cadence while the page is open; timelapse.php keeps
+ * each frame in a server-side sequence that can be scrubbed and exported
+ * as GIF or zip.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+import { ajax } from './http.js';
+
+/**
+ * @param {Object} app { config, renderer, capture }
+ * @returns {Object} Feature hooks { unload }
+ */
+export function setupTimelapse(app) {
+    const { config, renderer } = app;
+    const $ = (selector) => document.querySelector(selector);
+    const $$ = (selector) => document.querySelectorAll(selector);
+
+    const tl = {
+        session: null,      // run in progress (server session)
+        timer: null,
+        nextAt: 0,
+        endsAt: 0,
+        kept: 0,
+        skipped: 0,
+        failed: 0,
+        viewing: null,      // session shown in the scrubber
+        frames: []
+    };
+
+    /**
+     * Build the time-lapse panel (hidden until the toggle button is pressed)
+     */
+    function buildPanel() {
+        const captureButton = $('#myBut');
+        const form = $('form');
+        const formPanel = form ? form.closest('.glass-panel') : null;
+        if (!captureButton || !formPanel) return;
+
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.id = 'timelapseToggle';
+        toggle.className = 'glass-red-button timelapse-toggle';
+        toggle.textContent = 'Time-lapse';
+        captureButton.insertAdjacentElement('afterend', toggle);
+
+        const panel = document.createElement('div');
+        panel.id = 'timelapsePanel';
+        panel.className = 'glass-panel timelapse-panel';
+        panel.style.display = 'none';
+        panel.innerHTML = `
+            <div class="timelapse-controls">
+                <label for="tlInterval" class="ctl-label">Every</label>
+                <select id="tlInterval" class="ctl-select">
+                    ${config.TIMELAPSE_INTERVALS.map(s => `<option value="${s}"${s === 60 ? ' selected' : ''}>${formatSeconds(s)}</option>`).join('')}
+                </select>
+                <label for="tlDuration" class="ctl-label">For</label>
+                <select id="tlDuration" class="ctl-select">
+                    ${config.TIMELAPSE_DURATIONS.map(s => `<option value="${s}"${s === 3600 ? ' selected' : ''}>${formatSeconds(s)}</option>`).join('')}
+                </select>
+                <button id="tlStart" type="button" class="glass-red-button">Start</button>
+            </div>
+            <p id="tlStatus" class="data-text timelapse-status">Idle</p>
+            <div class="timelapse-controls">
+                <label for="tlSessions" class="ctl-label">Sequence</label>
+                <select id="tlSessions" class="ctl-select"></select>
+            </div>
+            <div id="tlViewer" class="timelapse-viewer" style="display:none;">
+                <img id="tlFrame" alt="Time-lapse frame" class="captured-image">
+                <input id="tlScrub" type="range" min="0" max="0" value="0" class="timelapse-scrub">
+                <span id="tlFrameInfo" class="data-text"></span>
+                <div class="timelapse-actions">
+                    <a id="tlGif" class="save-btn" title="Export animated GIF">GIF</a>
+                    <a id="tlZip" class="save-btn" title="Export frames as zip">ZIP</a>
+                    <button id="tlDelete" type="button" class="save-btn" title="Delete sequence">🗑️</button>
+                </div>
+            </div>
+        `;
+        formPanel.insertAdjacentElement('afterend', panel);
+
+        toggle.addEventListener('click', function() {
+            const hidden = panel.style.display === 'none';
+            panel.style.display = hidden ? 'block' : 'none';
+            if (hidden) loadTimelapseSessions();
+        });
+
+        $('#tlStart').addEventListener('click', function() {
+            if (tl.session) {
+                stopTimelapse('Stopped');
+            } else {
+                startTimelapse();
+            }
+        });
+
+        $('#tlSessions').addEventListener('change', function() {
+            showTimelapseSession(this.value);
+        });
+
+        $('#tlScrub').addEventListener('input', function() {
+            showTimelapseFrame(parseInt(this.value, 10));
+        });
+
+        $('#tlDelete').addEventListener('click', deleteTimelapseSession);
+    }
+
+    /**
+     * 90 -> "1m 30s", 3600 -> "1h"
+     */
+    function formatSeconds(seconds) {
+        const parts = [];
+        if (seconds >= 3600) parts.push(Math.floor(seconds / 3600) + 'h');
+        if (seconds % 3600 >= 60) parts.push(Math.floor(seconds % 3600 / 60) + 'm');
+        if (seconds % 60) parts.push(seconds % 60 + 's');
+        return parts.join(' ');
+    }
+
+    function timelapseUrl(action) {
+        return config.TIMELAPSE_URL + '?action=' + action + '&token=' + encodeURIComponent(window.ADMIN_TOKEN);
+    }
+
+    function setTimelapseStatus(text) {
+        const status = $('#tlStatus');
+        if (status) status.textContent = text;
+    }
+
+    /**
+     * Start a run: create the session on the server, then capture every interval
+     */
+    function startTimelapse() {
+        const interval = parseInt($('#tlInterval').value, 10);
+        const duration = parseInt($('#tlDuration').value, 10);
+        const startButton = $('#tlStart');
+        startButton.disabled = true;
+
+        ajax({
+            url: timelapseUrl('start'),
+            method: 'POST',
+            dataType: 'json',
+            data: { action: 'start', interval: interval, duration: duration },
+            success: function(response) {
+                tl.session = response.session;
+                tl.nextAt = Date.now();
+                tl.endsAt = Date.now() + response.session.duration * 1000;
+                tl.kept = 0;
+                tl.skipped = 0;
+                tl.failed = 0;
+
+                console.log(`[${config.CAM}] 🎞️ Time-lapse ${tl.session.id} started: every ${interval}s for ${duration}s`);
+                startButton.textContent = 'Stop';
+                $$('#tlInterval, #tlDuration').forEach(el => { el.disabled = true; });
+
+                loadTimelapseSessions(tl.session.id);
+                timelapseTick();
+            },
+            error: function(error) {
+                console.error(`[${config.CAM}] ❌ Time-lapse start failed:`, error);
+                setTimelapseStatus('Could not start time-lapse' + (error.status ? ` (HTTP ${error.status})` : ''));
+            },
+            complete: function() {
+                startButton.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Take one frame, then schedule the next on the original cadence
+     */
+    function timelapseTick() {
+        if (!tl.session) return;
+
+        if (Date.now() >= tl.endsAt) {
+            stopTimelapse('Finished');
+            return;
+        }
+
+        tl.nextAt += tl.session.interval * 1000;
+        tl.timer = setTimeout(timelapseTick, Math.max(0, tl.nextAt - Date.now()));
+
+        // A manual capture is still running - don't queue behind it
+        if (app.capture.isBusy()) {
+            tl.skipped++;
+            updateTimelapseStatus();
+            return;
+        }
+
+        const session = tl.session;
+        app.capture.capture({
+            quiet: true,
+            history: false,
+            onComplete: function(error) {
+                if (error) {
+                    console.warn(`[${config.CAM}] ⚠️ Time-lapse frame failed: ${error}`);
+                    tl.failed++;
+                    updateTimelapseStatus();
+                    return;
+                }
+                keepTimelapseFrame(session);
+            }
+        });
+    }
+
+    /**
+     * Ask the server to copy the image just captured into the session
+     */
+    function keepTimelapseFrame(session) {
+        ajax({
+            url: timelapseUrl('keep'),
+            method: 'POST',
+            dataType: 'json',
+            data: { action: 'keep', session: session.id },
+            success: function(response) {
+                tl.kept = response.frameCount;
+                updateTimelapseStatus();
+
+                if (tl.viewing === session.id) {
+                    tl.frames.push(response.frame);
+                    updateTimelapseScrubber(true);
+                }
+            },
+            error: function(error) {
+                console.warn(`[${config.CAM}] ⚠️ Time-lapse frame not kept:`, error);
+                tl.failed++;
+                updateTimelapseStatus();
+            }
+        });
+    }
+
+    function updateTimelapseStatus() {
+        if (!tl.session) return;
+
+        const left = Math.max(0, Math.round((tl.endsAt - Date.now()) / 1000));
+        let text = `Recording: ${tl.kept} frames, ${formatSeconds(left) || '0s'} left`;
+        if (tl.skipped) text += `, ${tl.skipped} skipped`;
+        if (tl.failed) text += `, ${tl.failed} failed`;
+        setTimelapseStatus(text);
+    }
+
+    /**
+     * End the run (user stop or duration reached)
+     */
+    function stopTimelapse(reason) {
+        const session = tl.session;
+        if (!session) return;
+
+        clearTimeout(tl.timer);
+        tl.timer = null;
+        tl.session = null;
+
+        $('#tlStart').textContent = 'Start';
+        $$('#tlInterval, #tlDuration').forEach(el => { el.disabled = false; });
+        setTimelapseStatus(`${reason}: ${tl.kept} frames` + (tl.failed ? `, ${tl.failed} failed` : ''));
+        console.log(`[${config.CAM}] 🎞️ Time-lapse ${session.id} ${reason.toLowerCase()} (${tl.kept} frames)`);
+
+        ajax({
+            url: timelapseUrl('stop'),
+            method: 'POST',
+            dataType: 'json',
+            data: { action: 'stop', session: session.id },
+            complete: function() {
+                loadTimelapseSessions(session.id);
+            }
+        });
+    }
+
+    /**
+     * Fill the sequence list, optionally selecting one
+     */
+    function loadTimelapseSessions(selectId) {
+        ajax({
+            url: config.TIMELAPSE_URL + '?action=list',
+            method: 'GET',
+            dataType: 'json',
+            success: function(response) {
+                const select = $('#tlSessions');
+                if (!select) return;
+
+                select.innerHTML = '';
+                response.sessions.forEach(session => {
+                    const option = document.createElement('option');
+                    option.value = session.id;
+                    option.textContent = `${new Date(session.startedAt * 1000).toLocaleString()} (${session.frameCount} frames` +
+                        (session.stoppedAt === null ? ', recording)' : ')');
+                    select.appendChild(option);
+                });
+
+                const id = selectId || (response.sessions[0] && response.sessions[0].id);
+                if (id) {
+                    select.value = id;
+                    showTimelapseSession(id);
+                } else {
+                    $('#tlViewer').style.display = 'none';
+                }
+            },
+            error: function() {
+                setTimelapseStatus('Could not load time-lapse sequences');
+            }
+        });
+    }
+
+    /**
+     * Load a sequence into the scrubber
+     */
+    function showTimelapseSession(id) {
+        ajax({
+            url: config.TIMELAPSE_URL + '?action=frames&session=' + encodeURIComponent(id),
+            method: 'GET',
+            dataType: 'json',
+            success: function(response) {
+                tl.viewing = id;
+                tl.frames = response.session.frames;
+
+                const exportUrl = config.TIMELAPSE_URL + '?action=export&session=' + encodeURIComponent(id) + '&format=';
+                $('#tlGif').href = exportUrl + 'gif';
+                $('#tlZip').href = exportUrl + 'zip';
+                $('#tlViewer').style.display = 'block';
+
+                updateTimelapseScrubber(false);
+            }
+        });
+    }
+
+    /**
+     * Sync the range input with the frame list
+     * @param {boolean} followLatest Jump to the newest frame if the user was already on the last one
+     */
+    function updateTimelapseScrubber(followLatest) {
+        const frames = tl.frames;
+        const scrub = $('#tlScrub');
+        const wasAtEnd = parseInt(scrub.value, 10) >= parseInt(scrub.max, 10);
+
+        scrub.max = Math.max(0, frames.length - 1);
+        scrub.disabled = frames.length === 0;
+        $$('#tlGif, #tlZip').forEach(el => { el.style.visibility = frames.length ? 'visible' : 'hidden'; });
+
+        if (!followLatest || wasAtEnd) {
+            scrub.value = followLatest ? scrub.max : 0;
+        }
+        showTimelapseFrame(parseInt(scrub.value, 10));
+    }
+
+    function showTimelapseFrame(index) {
+        const frames = tl.frames;
+        const img = $('#tlFrame');
+        const info = $('#tlFrameInfo');
+
+        if (!frames.length) {
+            img.removeAttribute('src');
+            info.textContent = 'No frames yet';
+            return;
+        }
+
+        const frame = frames[index];
+        img.src = frame.url;
+        info.textContent = `Frame ${index + 1}/${frames.length} - ${new Date(frame.time * 1000).toLocaleTimeString()}`;
+    }
+
+    function deleteTimelapseSession() {
+        const id = tl.viewing;
+        if (!id) return;
+
+        if (tl.session && tl.session.id === id) {
+            renderer.alert('Stop the time-lapse before deleting it.');
+            return;
+        }
+        if (!renderer.confirm('Delete this time-lapse sequence?')) return;
+
+        ajax({
+            url: timelapseUrl('delete'),
+            method: 'POST',
+            dataType: 'json',
+            data: { action: 'delete', session: id },
+            success: function() {
+                console.log(`[${config.CAM}] 🗑️ Time-lapse ${id} deleted`);
+                tl.viewing = null;
+                loadTimelapseSessions();
+            },
+            error: function() {
+                renderer.alert('Failed to delete the time-lapse sequence.');
+            }
+        });
+    }
+
+    /**
+     * Close a running time-lapse so it isn't left "recording"
+     */
+    function unload() {
+        if (tl.timer) clearTimeout(tl.timer);
+        if (!tl.session) return;
+
+        const data = new URLSearchParams({ action: 'stop', session: tl.session.id });
+        navigator.sendBeacon(timelapseUrl('stop'), data);
+    }
+
+    buildPanel();
+    return { unload };
+}
@@ -0,0 +1,105 @@
+/**
+ * Camera Control Core - HTTP polling transport
+ *
+ * Capture: POST the settings to index.php, then poll check_new_image until
+ * pic.jpg is newer than the request. Live frames are polled by the live
+ * module, so this transport never streams.
+ *
+ * Transport interface (see transport-ws.js for the other one):
+ *   name         'http' | 'ws'
+ *   capture(s)   Promise<{ timestamp, duration }>, rejects with Error.code
+ *                'busy' | 'failed' | 'timeout'
+ *   isStreaming  true while live frames arrive without polling
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+import { request } from './http.js';
+
+/**
+ * @param {string} code    'busy' | 'failed' | 'timeout'
+ * @param {string} message Shown to the user
+ * @returns {Error}
+ */
+export function captureError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+export const CAPTURE_MESSAGES = {
+    busy: 'Camera is busy. Please wait and try again.',
+    failed: 'Failed to capture image. Please try again.',
+    timeout: 'Image capture timed out. The Camera may be busy or offline. Please try again.'
+};
+
+/**
+ * @param {Object} config CONFIG (CAPTURE_CHECK_FAST, CAPTURE_CHECK_SLOW, CAPTURE_TIMEOUT)
+ */
+export function createHttpTransport(config) {
+    let lastImageTimestamp = 0;
+
+    /**
+     * @param {Object} settings Form values { res, comp, iso, sat, rot, fx, enf }
+     * @returns {Promise<{timestamp: number, duration: number}>} Seconds
+     */
+    function capture(settings) {
+        const startedAt = Date.now();
+        // filemtime() has whole seconds - an image written later in this second counts too
+        const notBefore = Math.floor(startedAt / 1000);
+
+        return request({
+            url: 'index.php',
+            method: 'POST',
+            data: { ...settings, b1: 'inic', submit: 'submit' }
+        }).then(response => {
+            if (response === 'BUSY') {
+                throw captureError('busy', CAPTURE_MESSAGES.busy);
+            }
+            return poll();
+        }, () => {
+            throw captureError('failed', CAPTURE_MESSAGES.failed);
+        });
+
+        function poll() {
+            return new Promise((resolve, reject) => {
+                function check() {
+                    if (Date.now() - startedAt > config.CAPTURE_TIMEOUT) {
+                        reject(captureError('timeout', CAPTURE_MESSAGES.timeout));
+                        return;
+                    }
+
+                    request({ url: 'index.php?check_new_image' })
+                        .then(data => {
+                            const timestamp = parseInt(data, 10) || 0;
+                            if (timestamp >= notBefore && timestamp !== lastImageTimestamp) {
+                                lastImageTimestamp = timestamp;
+                                resolve({ timestamp: timestamp, duration: (Date.now() - startedAt) / 1000 });
+                                return;
+                            }
+                            setTimeout(check, timestamp ? config.CAPTURE_CHECK_SLOW : config.CAPTURE_CHECK_FAST);
+                        }, () => {
+                            setTimeout(check, config.CAPTURE_CHECK_SLOW);
+                        });
+                }
+
+                check();
+            });
+        }
+    }
+
+    // Remember the current image so a capture never reports it as new
+    request({ url: 'index.php?check_new_image' })
+        .then(data => { lastImageTimestamp = parseInt(data, 10) || 0; }, () => {});
+
+    return {
+        name: 'http',
+        capture: capture,
+        isStreaming: () => false
+    };
+}
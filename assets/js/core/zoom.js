@@ -0,0 +1,250 @@
+/**
+ * Camera Control Core - Zoom viewer
+ *
+ * Pinch or wheel to zoom, drag to pan, double-tap to reset, plus a
+ * full-screen toggle and a 1:1 pixel view, for the live stream (#liveFeed)
+ * and the captured image (#ImageFeed). The zoom is a transform on a
+ * wrapper around the panel's content, so new frames (a new src on the
+ * same <img>) keep it - an operator can stay on one detail while live runs.
+ *
+ * @category  CameraControl
+ * @package   Frontend
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   6.0.0
+ * @standards ES6+, JSDoc, Clean Code
+ */
+
+const DOUBLE_TAP_TIME = 300;        // ms between the two taps
+const TAP_SLOP = 10;                // px a tap may move
+const WHEEL_SPEED = 0.002;          // scale factor per wheel delta pixel
+
+/**
+ * Make a panel zoomable
+ *
+ * @param {HTMLElement} viewport Panel whose content is zoomed (its children move into a wrapper)
+ * @param {Object} config
+ * @returns {Object} { zoomAt, reset, oneToOne, toggleFullscreen, getState }
+ */
+export function createZoomViewer(viewport, config) {
+    const content = document.createElement('div');
+    content.className = 'zoom-content';
+    while (viewport.firstChild) content.appendChild(viewport.firstChild);
+    viewport.appendChild(content);
+    viewport.classList.add('zoom-viewport');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'zoom-toolbar';
+    toolbar.innerHTML = `
+        <button type="button" class="zoom-one" title="1:1 pixels">1:1</button>
+        <button type="button" class="zoom-full" title="Full screen">⛶</button>
+    `;
+    viewport.appendChild(toolbar);
+
+    const state = { scale: 1, x: 0, y: 0 };
+    const pointers = new Map();     // pointerId -> { x, y } (viewport coordinates)
+    let pinch = null;               // { distance, scale } when two pointers went down
+    let tap = null;                 // { x, y, at } of the last single-pointer press
+    let lastTapAt = 0;
+
+    function apply() {
+        content.style.transform = state.scale === 1 && state.x === 0 && state.y === 0
+            ? ''
+            : `translate(${state.x}px, ${state.y}px) scale(${state.scale})`;
+        viewport.classList.toggle('zoomed', state.scale > 1);
+    }
+
+    /**
+     * Keep the content covering the viewport
+     */
+    function clamp() {
+        const width = viewport.clientWidth;
+        const height = viewport.clientHeight;
+        state.x = Math.min(0, Math.max(width - width * state.scale, state.x));
+        state.y = Math.min(0, Math.max(height - height * state.scale, state.y));
+    }
+
+    /**
+     * Scale at which one image pixel is one screen pixel
+     */
+    function oneToOneScale() {
+        const image = content.querySelector('img');
+        if (!image || !image.naturalWidth || !image.clientWidth) return null;
+        return image.naturalWidth / (image.clientWidth * (window.devicePixelRatio || 1));
+    }
+
+    function maxScale() {
+        return Math.max(config.ZOOM_MAX, oneToOneScale() || 1);
+    }
+
+    /**
+     * Zoom to a scale, keeping the point (viewport coordinates) in place
+     */
+    function zoomAt(scale, x, y) {
+        const next = Math.min(maxScale(), Math.max(1, scale));
+        state.x = x - (x - state.x) * next / state.scale;
+        state.y = y - (y - state.y) * next / state.scale;
+        state.scale = next;
+        clamp();
+        apply();
+    }
+
+    function reset() {
+        state.scale = 1;
+        state.x = 0;
+        state.y = 0;
+        apply();
+    }
+
+    /**
+     * Switch between 1:1 pixels (around the centre) and fit
+     */
+    function oneToOne() {
+        const scale = oneToOneScale();
+        if (!scale) return;
+
+        if (Math.abs(state.scale - Math.max(1, scale)) < 0.01) {
+            reset();
+        } else {
+            zoomAt(scale, viewport.clientWidth / 2, viewport.clientHeight / 2);
+        }
+    }
+
+    /**
+     * Fullscreen API where there is one, a fixed overlay otherwise (iPhone)
+     */
+    function toggleFullscreen() {
+        if (viewport.requestFullscreen) {
+            if (document.fullscreenElement === viewport) {
+                document.exitFullscreen();
+            } else {
+                viewport.requestFullscreen();
+            }
+            return;
+        }
+
+        viewport.classList.toggle('zoom-fullscreen');
+        reset();
+    }
+
+    function point(event) {
+        const rect = viewport.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    function distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    // ========================================================================
+    // GESTURES
+    // ========================================================================
+
+    viewport.addEventListener('pointerdown', function(event) {
+        if (event.target.closest('.zoom-toolbar')) return;
+
+        pointers.set(event.pointerId, point(event));
+        viewport.setPointerCapture(event.pointerId);
+
+        if (pointers.size === 2) {
+            const [a, b] = Array.from(pointers.values());
+            pinch = { distance: distance(a, b) || 1, scale: state.scale };
+            tap = null;
+        } else if (pointers.size === 1) {
+            tap = { x: event.clientX, y: event.clientY, at: Date.now() };
+        }
+    });
+
+    viewport.addEventListener('pointermove', function(event) {
+        const previous = pointers.get(event.pointerId);
+        if (!previous) return;
+
+        const current = point(event);
+        pointers.set(event.pointerId, current);
+
+        if (tap && Math.hypot(event.clientX - tap.x, event.clientY - tap.y) > TAP_SLOP) tap = null;
+
+        if (pinch && pointers.size === 2) {
+            const [a, b] = Array.from(pointers.values());
+            zoomAt(pinch.scale * distance(a, b) / pinch.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+            event.preventDefault();
+        } else if (pointers.size === 1 && state.scale > 1) {
+            state.x += current.x - previous.x;
+            state.y += current.y - previous.y;
+            clamp();
+            apply();
+            event.preventDefault();
+        }
+    });
+
+    function endPointer(event) {
+        if (!pointers.delete(event.pointerId)) return;
+        if (pointers.size < 2) pinch = null;
+
+        if (event.type !== 'pointerup' || !tap || pointers.size) return;
+
+        // Two quick taps in place: back to fit
+        if (tap.at - lastTapAt < DOUBLE_TAP_TIME) {
+            lastTapAt = 0;
+            reset();
+        } else {
+            lastTapAt = tap.at;
+        }
+        tap = null;
+    }
+
+    viewport.addEventListener('pointerup', endPointer);
+    viewport.addEventListener('pointercancel', endPointer);
+
+    viewport.addEventListener('wheel', function(event) {
+        const at = point(event);
+        const before = state.scale;
+        zoomAt(state.scale * Math.exp(-event.deltaY * WHEEL_SPEED), at.x, at.y);
+
+        // Scrolling down at fit size scrolls the page as usual
+        if (state.scale !== before) event.preventDefault();
+    }, { passive: false });
+
+    toolbar.querySelector('.zoom-one').addEventListener('click', oneToOne);
+    toolbar.querySelector('.zoom-full').addEventListener('click', toggleFullscreen);
+
+    document.addEventListener('fullscreenchange', reset);
+    document.addEventListener('keydown', function(event) {
+        if (event.key === 'Escape' && viewport.classList.contains('zoom-fullscreen')) toggleFullscreen();
+    });
+    window.addEventListener('resize', function() {
+        clamp();
+        apply();
+    });
+
+    return {
+        zoomAt,
+        reset,
+        oneToOne,
+        toggleFullscreen,
+        getState: () => Object.assign({}, state)
+    };
+}
+
+/**
+ * Zoom for the live stream and, from the first capture on, the captured image
+ *
+ * @param {Object} app { config, capture }
+ * @returns {Object} Feature hooks
+ */
+export function setupZoom(app) {
+    const { config } = app;
+    const viewers = {};
+
+    const liveFeed = document.querySelector('#liveFeed');
+    if (liveFeed) viewers.live = createZoomViewer(liveFeed, config);
+
+    // #ImageFeed is created with the first captured image
+    app.capture.onCapture(function() {
+        const imageFeed = document.querySelector('#ImageFeed');
+        if (!viewers.image && imageFeed) viewers.image = createZoomViewer(imageFeed, config);
+    });
+
+    app.zoom = viewers;
+    return {};
+}
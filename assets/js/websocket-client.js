@@ -19,10 +19,16 @@
 
     var CONFIG = {
         SERVER: window.WEBSOCKET_SERVER_URL || '',
+        CAMERA: window.WEBSOCKET_CAMERA_ID || 'cam1',
+        TOKEN: window.WEBSOCKET_TOKEN || '',
         MAX_FAILURES: 3,        // After 3 failures, use HTTP mode
         RETRY_AFTER: 60000,     // Try WebSocket again after 60s
         RECONNECT_DELAY: 2000,
-        MAX_RECONNECT_DELAY: 30000
+        MAX_RECONNECT_DELAY: 30000,
+        REQUEST_TIMEOUT: 15000, // live/settings replies
+        CAPTURE_TIMEOUT: 65000, // Slightly above the relay's 60s capture timeout
+        FRAME_STALE_AFTER: 3000, // No binary frame for this long = fall back to live.jpg polling
+        RECENT_CAPTURES: 10     // Rows shown in #recentCaptures
     };
 
     // ==========================================================================
@@ -35,7 +41,11 @@
         failureCount: 0,
         httpMode: false,        // true = using HTTP fallback
         reconnectTimer: null,
-        reconnectDelay: CONFIG.RECONNECT_DELAY
+        reconnectDelay: CONFIG.RECONNECT_DELAY,
+        pending: {},            // requestId -> { resolve, reject, timer }
+        requestSeq: 0,
+        lastFrameAt: 0,
+        frameUrl: null          // Object URL currently shown in #webLiveImage
     };
 
     // ==========================================================================
@@ -84,6 +94,7 @@
 
         try {
             state.ws = new WebSocket(CONFIG.SERVER);
+            state.ws.binaryType = 'arraybuffer';  // Live JPEG frames
 
             state.ws.onopen = function() {
                 console.log('[WS] Connected');
@@ -91,23 +102,52 @@
                 state.failureCount = 0;  // Reset on success
                 state.reconnectDelay = CONFIG.RECONNECT_DELAY;
 
-                // Identify as browser
-                send({ type: 'identify', role: 'browser' });
+                // Identify as browser and subscribe to this page's camera
+                send({
+                    type: 'identify',
+                    role: 'browser',
+                    cameras: [CONFIG.CAMERA],
+                    token: CONFIG.TOKEN
+                });
                 trigger('ws:connected');
             };
 
             state.ws.onmessage = function(event) {
+                if (event.data instanceof ArrayBuffer) {
+                    handleFrame(event.data);
+                    return;
+                }
+
                 try {
                     var msg = JSON.parse(event.data);
+                    checkMessage('relayToBrowser', msg);
                     handleMessage(msg);
                 } catch (err) {
                     console.error('[WS] Parse error:', err);
                 }
             };
 
-            state.ws.onclose = function() {
+            state.ws.onclose = function(event) {
                 console.log('[WS] Disconnected');
                 state.connected = false;
+                rejectAllPending('disconnected', 'WebSocket disconnected');
+
+                // Token rejected - reconnecting with the same token won't help
+                if (event.code === 4401) {
+                    console.warn('[WS] Unauthorized:', event.reason);
+                    trigger('ws:unauthorized', { reason: event.reason });
+                    switchToHttpMode();
+                    return;
+                }
+
+                // Rate limit ban - retry only after RETRY_AFTER
+                if (event.code === 4429) {
+                    console.warn('[WS] Rate limited:', event.reason);
+                    trigger('ws:rate_limited', { reason: event.reason });
+                    switchToHttpMode();
+                    return;
+                }
+
                 state.failureCount++;
 
                 if (state.failureCount >= CONFIG.MAX_FAILURES) {
@@ -118,9 +158,9 @@
                 }
             };
 
+            // A failed connection fires error, then close - counted once, in onclose
             state.ws.onerror = function(err) {
                 console.error('[WS] Error:', err);
-                state.failureCount++;
             };
 
         } catch (err) {
@@ -153,7 +193,30 @@
         }, state.reconnectDelay);
     }
 
+    // ==========================================================================
+    // PROTOCOL CHECKS (debug builds load websocket-protocol.js)
+    // ==========================================================================
+
+    var protocol = window.CameraWSProtocol || null;
+
+    /**
+     * @returns {Object|null} Schema problem, or null (also when checks are off)
+     */
+    function checkMessage(direction, data) {
+        if (!protocol) return null;
+
+        var problem = protocol.validate(direction, data);
+        if (problem) {
+            console.error('[WS] Protocol violation (' + direction + '):', problem.message, data);
+        }
+        return problem;
+    }
+
     function send(data) {
+        if (checkMessage('browser', data)) {
+            return false;
+        }
+
         if (state.ws && state.ws.readyState === WebSocket.OPEN) {
             state.ws.send(JSON.stringify(data));
             return true;
@@ -161,6 +224,94 @@
         return false;
     }
 
+    // ==========================================================================
+    // REQUEST / RESPONSE
+    // ==========================================================================
+
+    function requestError(code, message) {
+        var err = new Error(message);
+        err.code = code;
+        return err;
+    }
+
+    /**
+     * Send a command tagged with a requestId and wait for the camera's reply
+     *
+     * @param {Object} data    Message to send
+     * @param {number} timeout Milliseconds before rejecting with code 'timeout'
+     * @returns {Promise<Object>} Resolves with the camera's result
+     */
+    function request(data, timeout) {
+        return new Promise(function(resolve, reject) {
+            if (state.httpMode || !state.connected) {
+                reject(requestError('not_connected', 'WebSocket not connected'));
+                return;
+            }
+
+            var requestId = 'r' + (++state.requestSeq) + '_' + Date.now().toString(36);
+            data.requestId = requestId;
+
+            var problem = checkMessage('browser', data);
+            if (problem) {
+                reject(requestError(problem.code, problem.message));
+                return;
+            }
+
+            if (!send(data)) {
+                reject(requestError('not_connected', 'WebSocket not connected'));
+                return;
+            }
+
+            state.pending[requestId] = {
+                resolve: resolve,
+                reject: reject,
+                timer: setTimeout(function() {
+                    delete state.pending[requestId];
+                    reject(requestError('timeout', 'Request timed out'));
+                }, timeout || CONFIG.REQUEST_TIMEOUT)
+            };
+        });
+    }
+
+    // Ask the relay to hold the command while the camera is offline
+    function withQueue(data, options) {
+        if (options && options.queue) {
+            data.queue = true;
+            if (options.ttl) {
+                data.ttl = options.ttl;
+            }
+        }
+        return data;
+    }
+
+    // Settle a pending request from a 'response' or 'error' message
+    function settleRequest(msg) {
+        var pending = state.pending[msg.requestId];
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        delete state.pending[msg.requestId];
+
+        if (msg.type === 'response' && msg.ok) {
+            pending.resolve(msg.result || {});
+        } else {
+            var err = requestError(msg.code || 'error', msg.error || msg.message || 'Request failed');
+            if (msg.retryAfter) {
+                err.retryAfter = msg.retryAfter; // ms, on rate_limited / banned
+            }
+            pending.reject(err);
+        }
+    }
+
+    function rejectAllPending(code, message) {
+        Object.keys(state.pending).forEach(function(requestId) {
+            var pending = state.pending[requestId];
+            clearTimeout(pending.timer);
+            pending.reject(requestError(code, message));
+        });
+        state.pending = {};
+    }
+
     // ==========================================================================
     // MESSAGE HANDLER
     // ==========================================================================
@@ -168,10 +319,19 @@
     function handleMessage(msg) {
         console.log('[WS] Received:', msg.type);
 
+        // Relay serves several cameras - ignore anything not for ours
+        if (msg.camera && msg.camera !== CONFIG.CAMERA) {
+            return;
+        }
+
         switch (msg.type) {
             case 'init':
                 trigger('ws:init', msg.status);
                 updateStatus(msg.status);
+                refreshRecentCaptures();
+                if (msg.queue && msg.queue.length) {
+                    trigger('queue:pending', msg.queue);
+                }
                 break;
 
             case 'status':
@@ -202,11 +362,13 @@
                 setCaptureUI(false);
                 setImage(msg.url);
                 notify('Capture Complete', 'Image captured in ' + msg.duration + 'ms');
+                refreshRecentCaptures();
                 break;
 
             case 'capture_timeout':
                 trigger('capture:timeout', { id: msg.id });
                 setCaptureUI(false);
+                refreshRecentCaptures();
                 break;
 
             case 'live_frame':
@@ -218,8 +380,53 @@
                 trigger('live:status', { active: msg.active });
                 break;
 
+            case 'schedule_run':
+                trigger('schedule:run', {
+                    id: msg.id,
+                    at: msg.at,
+                    outcome: msg.outcome,
+                    url: msg.url,
+                    error: msg.error
+                });
+                break;
+
+            case 'motion':
+                trigger('motion', {
+                    id: msg.id,
+                    at: msg.at,
+                    changed: msg.changed,
+                    zones: msg.zones,
+                    box: msg.box,
+                    thumbnail: msg.thumbnail ? motionThumbnailUrl(msg.id) : null
+                });
+                notify('Motion Detected', (msg.zones || []).map(function(zone) { return zone.name; }).join(', ') ||
+                    'Movement in front of the camera');
+                break;
+
+            case 'queued_command':
+                trigger('queue:' + msg.status, {
+                    id: msg.id,
+                    command: msg.command,
+                    expiresAt: msg.expiresAt,
+                    error: msg.error
+                });
+                break;
+
+            case 'capture_failed':
+                trigger('capture:failed', { id: msg.id, error: msg.error });
+                setCaptureUI(false);
+                refreshRecentCaptures();
+                break;
+
+            case 'response':
+                settleRequest(msg);
+                break;
+
             case 'error':
-                console.error('[WS] Server error:', msg.message);
+                console.error('[WS] Server error:', msg.code || '', msg.message);
+                if (msg.requestId) {
+                    settleRequest(msg);
+                }
                 break;
         }
     }
@@ -271,10 +478,139 @@
     }
 
     function setLiveImage(url) {
-        var img = document.getElementById('liveImg');
+        var img = document.getElementById('webLiveImage');
         if (img) img.src = url;
     }
 
+    // ==========================================================================
+    // BINARY LIVE FRAMES
+    // ==========================================================================
+
+    /**
+     * Render a binary live frame: [1 byte ID length][camera ID][JPEG bytes]
+     * Frames go straight into #webLiveImage as object URLs - no HTTP request.
+     */
+    function handleFrame(buffer) {
+        var bytes = new Uint8Array(buffer);
+        var idLength = bytes[0];
+        var cameraId = String.fromCharCode.apply(null, bytes.subarray(1, 1 + idLength));
+
+        if (cameraId !== CONFIG.CAMERA) return;
+
+        state.lastFrameAt = Date.now();
+        trigger('live:frame', { binary: true });
+
+        // Only draw while this page has live switched on
+        var select = document.getElementById('webLiveSelect');
+        var img = document.getElementById('webLiveImage');
+        if (!img || (select && select.value !== 'on')) return;
+
+        var blob = new Blob([bytes.subarray(1 + idLength)], { type: 'image/jpeg' });
+        var previousUrl = state.frameUrl;
+
+        state.frameUrl = URL.createObjectURL(blob);
+        img.src = state.frameUrl;
+
+        // Free the previous frame's memory once it's no longer displayed
+        if (previousUrl) {
+            URL.revokeObjectURL(previousUrl);
+        }
+    }
+
+    // ==========================================================================
+    // CAPTURE HISTORY
+    // ==========================================================================
+
+    /**
+     * Query the relay's /captures endpoint (same host as the WebSocket)
+     * @returns {Promise<Object[]>} Newest first
+     */
+    function fetchCaptures(options) {
+        options = options || {};
+
+        var url = relayUrl('/captures');
+        url.searchParams.set('limit', options.limit || CONFIG.RECENT_CAPTURES);
+        if (options.since) {
+            url.searchParams.set('since', options.since);
+        }
+
+        return fetch(url.toString(), {
+            headers: { 'Authorization': 'Bearer ' + CONFIG.TOKEN }
+        }).then(function(res) {
+            return res.json().then(function(body) {
+                if (!res.ok) {
+                    throw requestError('http_' + res.status, body.error || 'History unavailable');
+                }
+                return body.captures;
+            });
+        });
+    }
+
+    // HTTP URL on the relay for our camera
+    function relayUrl(pathname) {
+        var url = new URL(CONFIG.SERVER);
+        url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+        url.pathname = pathname;
+        url.search = '';
+        url.searchParams.set('camera', CONFIG.CAMERA);
+        return url;
+    }
+
+    /**
+     * Query the relay's /motion endpoint
+     * @returns {Promise<Object[]>} Newest first
+     */
+    function fetchMotionEvents(options) {
+        options = options || {};
+
+        var url = relayUrl('/motion');
+        url.searchParams.set('limit', options.limit || 50);
+        if (options.since) {
+            url.searchParams.set('since', options.since);
+        }
+
+        return fetch(url.toString(), {
+            headers: { 'Authorization': 'Bearer ' + CONFIG.TOKEN }
+        }).then(function(res) {
+            return res.json().then(function(body) {
+                if (!res.ok) {
+                    throw requestError('http_' + res.status, body.error || 'Motion events unavailable');
+                }
+                return body.events.map(function(event) {
+                    event.thumbnail = event.hasThumbnail ? motionThumbnailUrl(event.id) : null;
+                    return event;
+                });
+            });
+        });
+    }
+
+    // <img> can't send headers, so the token goes in the query
+    function motionThumbnailUrl(id) {
+        var url = relayUrl('/motion/' + id + '.jpg');
+        url.searchParams.set('token', CONFIG.TOKEN);
+        return url.toString();
+    }
+
+    // Fill #recentCaptures with one row per capture (skipped if not on the page)
+    function refreshRecentCaptures() {
+        var list = document.getElementById('recentCaptures');
+        if (!list) return;
+
+        fetchCaptures().then(function(captures) {
+            list.innerHTML = '';
+            captures.forEach(function(capture) {
+                var row = document.createElement('li');
+                row.className = 'capture-' + capture.outcome;
+                row.textContent = new Date(capture.startedAt).toLocaleTimeString() +
+                    ' - ' + capture.outcome +
+                    ' (' + (capture.duration / 1000).toFixed(1) + 's)';
+                list.appendChild(row);
+            });
+        }).catch(function(err) {
+            console.warn('[WS] Capture history:', err.message);
+        });
+    }
+
     // ==========================================================================
     // NOTIFICATIONS
     // ==========================================================================
@@ -331,38 +667,102 @@
             return state.httpMode;
         },
 
-        capture: function() {
-            if (state.httpMode) {
-                return false;  // Let camera-control.js handle it
-            }
-            return send({ type: 'capture' });
+        /**
+         * True while binary live frames are arriving - camera-control
+         * scripts skip their live.jpg polling then.
+         */
+        isStreaming: function() {
+            return state.connected && Date.now() - state.lastFrameAt < CONFIG.FRAME_STALE_AFTER;
         },
 
+        /**
+         * Capture an image
+         * @param {Object} options { queue, ttl } queue: wait on the relay if the camera is offline
+         * @returns {Promise<Object>} { id, url, duration } once the camera uploads it,
+         *                            or { queued, id, expiresAt } when queued
+         */
+        capture: function(options) {
+            return request(withQueue({ type: 'capture', camera: CONFIG.CAMERA }, options), CONFIG.CAPTURE_TIMEOUT);
+        },
+
+        /**
+         * Capture history recorded by the relay
+         * @param {Object} options { limit, since (ms or ISO date) }
+         * @returns {Promise<Object[]>} { id, client, startedAt, endedAt, duration, url, outcome, error }
+         */
+        recentCaptures: function(options) {
+            return fetchCaptures(options);
+        },
+
+        /**
+         * Motion events detected by the relay (works with no page open)
+         * @param {Object} options { limit, since (ms or ISO date) }
+         * @returns {Promise<Object[]>} { id, at, changed, zones, box, thumbnail (URL or null) }
+         */
+        motionEvents: function(options) {
+            return fetchMotionEvents(options);
+        },
+
+        /**
+         * @param {string} quality Live quality preset
+         * @returns {Promise<Object>} { active: true }
+         */
         startLive: function(quality) {
-            if (state.httpMode) {
-                return false;
-            }
-            return send({
+            return request({
                 type: 'live_start',
+                camera: CONFIG.CAMERA,
                 quality: quality || 'medium'
             });
         },
 
+        /**
+         * @returns {Promise<Object>} { active: false }
+         */
         stopLive: function() {
-            if (state.httpMode) {
-                return false;
-            }
-            return send({ type: 'live_stop' });
+            return request({ type: 'live_stop', camera: CONFIG.CAMERA });
         },
 
-        updateSettings: function(settings) {
-            if (state.httpMode) {
-                return false;
-            }
-            return send({
+        /**
+         * @param {string} settings Settings line written to var.tmp on the camera
+         * @param {Object} options  { queue, ttl } queue: wait on the relay if the camera is offline
+         * @returns {Promise<Object>} Resolves once the camera applied them,
+         *                            or with { queued, id, expiresAt } when queued
+         */
+        updateSettings: function(settings, options) {
+            return request(withQueue({
                 type: 'settings',
+                camera: CONFIG.CAMERA,
                 data: settings
+            }, options));
+        },
+
+        /**
+         * Capture schedules run by the relay
+         * @returns {Promise<Object[]>} { id, type, at|every|cron, label, nextRunAt, lastRun, history }
+         */
+        schedules: function() {
+            return request({ type: 'schedule_list', camera: CONFIG.CAMERA }).then(function(result) {
+                return result.schedules || [];
+            });
+        },
+
+        /**
+         * @param {Object} schedule { type: 'once', at } | { type: 'interval', every, start } |
+         *                          { type: 'cron', cron: '0 * * * *' }, plus optional label
+         * @returns {Promise<Object>} The created schedule
+         */
+        createSchedule: function(schedule) {
+            return request({ type: 'schedule_create', camera: CONFIG.CAMERA, schedule: schedule }).then(function(result) {
+                return result.schedule;
             });
+        },
+
+        /**
+         * @param {string} id Schedule ID
+         * @returns {Promise<Object>} { deleted: id }
+         */
+        deleteSchedule: function(id) {
+            return request({ type: 'schedule_delete', camera: CONFIG.CAMERA, id: id });
         }
     };
 
@@ -0,0 +1,336 @@
+/**
+ * WebSocket Relay Protocol - Message schema for every direction
+ *
+ * One file for both sides: the relay requires it (websocket/vps/lib links
+ * here) and websocket-client.js uses it in debug builds to check what it
+ * sends and receives. Extra fields are allowed; listed ones must match.
+ *
+ * Field rules: { type, required, enum, pattern, maxLength, min, max, items, maxItems, values }
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CameraWSProtocol = factory();
+    }
+})(this, function() {
+    'use strict';
+
+    // ==========================================================================
+    // FIELD TYPES
+    // ==========================================================================
+
+    var CAMERA_ID = { type: 'string', pattern: /^[a-zA-Z0-9_-]{1,32}$/ };
+    var REQUEST_ID = { type: 'string', pattern: /^[\w.:-]{0,64}$/ }; // Empty when the command had none
+    var CAPTURE_ID = { type: 'string', pattern: /^[\w.-]{1,64}$/ };
+    var TOKEN = { type: 'string', maxLength: 2048 };
+    var TIMESTAMP = { type: 'integer', min: 0 };
+    var TEXT = { type: 'string', maxLength: 256 };
+
+    // Relative path or http(s) URL - no quotes, spaces or markup
+    var IMAGE_URL = { type: 'string', maxLength: 512, pattern: /^(https?:\/\/[^\s"'<>\\]+|[\w\/.-]+)$/ };
+
+    // Settings line written to var.tmp on the camera (space-separated values)
+    var SETTINGS_LINE = { type: 'string', maxLength: 256, pattern: /^[\w .,:-]+$/ };
+
+    var LIVE_QUALITY = { type: 'string', enum: ['very-low', 'low', 'medium', 'high'] };
+
+    // Offline queue: wait up to `ttl` ms for the camera instead of failing
+    var QUEUE = { type: 'boolean' };
+    var QUEUE_TTL = { type: 'integer', min: 1000 };
+
+    // Capture schedules (websocket/vps/lib/scheduler.js checks the values)
+    var SCHEDULE_ID = { type: 'string', pattern: /^s[a-z0-9]{1,32}$/ };
+    var SCHEDULE = {
+        type: 'object',
+        fields: {
+            type: { type: 'string', enum: ['once', 'interval', 'cron'] },
+            at: TIMESTAMP,
+            every: { type: 'integer', min: 1000 },
+            start: TIMESTAMP,
+            cron: { type: 'string', maxLength: 64, pattern: /^[\d*,\/ -]+$/ },
+            label: { type: 'string', maxLength: 64, pattern: /^[^<>"'`&\\]*$/ }
+        }
+    };
+
+    // Motion events (websocket/vps/lib/motion.js)
+    var MOTION_ID = { type: 'string', pattern: /^m[a-z0-9]{1,32}$/ };
+    var PER_MILLE = { type: 'integer', min: 0, max: 1000 };
+
+    var CAMERA_STATUS = {
+        type: 'object',
+        fields: {
+            online: { type: 'boolean' },
+            data: TEXT,
+            timestamp: TIMESTAMP,
+            capturing: { type: 'boolean' },
+            liveActive: { type: 'boolean' }
+        }
+    };
+
+    function required(rule) {
+        var copy = {};
+        for (var key in rule) {
+            copy[key] = rule[key];
+        }
+        copy.required = true;
+        return copy;
+    }
+
+    var ADMIN = {
+        key: required({ type: 'string', maxLength: 256 }),
+        command: required({ type: 'string', enum: ['log_level'] }),
+        level: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+        requestId: REQUEST_ID
+    };
+
+    // ==========================================================================
+    // MESSAGES
+    // ==========================================================================
+
+    var MESSAGES = {
+        // Browser -> relay
+        browser: {
+            identify: {
+                role: required({ type: 'string', enum: ['browser'] }),
+                camera: CAMERA_ID,
+                cameras: { type: 'array', items: CAMERA_ID, maxItems: 32 },
+                token: TOKEN,
+                tokens: { type: 'object', values: TOKEN }
+            },
+            subscribe: {
+                camera: CAMERA_ID,
+                cameras: { type: 'array', items: CAMERA_ID, maxItems: 32 },
+                token: TOKEN,
+                tokens: { type: 'object', values: TOKEN }
+            },
+            unsubscribe: {
+                camera: CAMERA_ID,
+                cameras: { type: 'array', items: CAMERA_ID, maxItems: 32 }
+            },
+            capture: { camera: CAMERA_ID, requestId: REQUEST_ID, queue: QUEUE, ttl: QUEUE_TTL },
+            live_start: { camera: CAMERA_ID, requestId: REQUEST_ID, quality: LIVE_QUALITY },
+            live_stop: { camera: CAMERA_ID, requestId: REQUEST_ID },
+            settings: { camera: CAMERA_ID, requestId: REQUEST_ID, data: required(SETTINGS_LINE), queue: QUEUE, ttl: QUEUE_TTL },
+            schedule_create: { camera: CAMERA_ID, requestId: required(REQUEST_ID), schedule: required(SCHEDULE) },
+            schedule_list: { camera: CAMERA_ID, requestId: required(REQUEST_ID) },
+            schedule_delete: { camera: CAMERA_ID, requestId: required(REQUEST_ID), id: required(SCHEDULE_ID) },
+            admin: ADMIN
+        },
+
+        // Camera -> relay
+        camera: {
+            identify: {
+                role: required({ type: 'string', enum: ['camera'] }),
+                camera: CAMERA_ID,
+                token: required(TOKEN)
+            },
+            heartbeat: { data: TEXT },
+            capture_done: {
+                id: required(CAPTURE_ID),
+                requestId: REQUEST_ID,
+                url: required(IMAGE_URL),
+                duration: { type: 'integer', min: 0 }
+            },
+            capture_error: { id: required(CAPTURE_ID), requestId: REQUEST_ID, error: TEXT },
+            live_frame: {},
+            live_status: { requestId: REQUEST_ID, active: required({ type: 'boolean' }) },
+            settings_ack: { requestId: REQUEST_ID, ok: { type: 'boolean' }, error: TEXT },
+            admin: ADMIN
+        },
+
+        // Relay -> camera
+        relayToCamera: {
+            capture: { id: required(CAPTURE_ID), requestId: REQUEST_ID },
+            live_start: { requestId: REQUEST_ID, quality: LIVE_QUALITY },
+            live_stop: { requestId: REQUEST_ID },
+            settings: { requestId: REQUEST_ID, data: required(SETTINGS_LINE) },
+            snapshot: {}    // Answered with a binary frame, like live frames
+        },
+
+        // Relay -> browser (every message carries the camera it is about)
+        relayToBrowser: {
+            init: { camera: required(CAMERA_ID), role: { type: 'string' }, status: CAMERA_STATUS, queue: { type: 'array' } },
+            status: { camera: required(CAMERA_ID), status: required(CAMERA_STATUS) },
+            camera_online: { camera: required(CAMERA_ID), timestamp: TIMESTAMP },
+            camera_offline: { camera: required(CAMERA_ID), timestamp: TIMESTAMP, reason: TEXT },
+            capture_started: { camera: required(CAMERA_ID), id: required(CAPTURE_ID) },
+            capture_done: {
+                camera: required(CAMERA_ID),
+                id: required(CAPTURE_ID),
+                url: required({ type: 'string', maxLength: 600 }),
+                duration: { type: 'integer', min: 0 }
+            },
+            capture_timeout: { camera: required(CAMERA_ID), id: required(CAPTURE_ID) },
+            capture_failed: { camera: required(CAMERA_ID), id: CAPTURE_ID, error: TEXT },
+            live_frame: { camera: required(CAMERA_ID), url: required({ type: 'string', maxLength: 600 }) },
+            live_status: { camera: required(CAMERA_ID), active: required({ type: 'boolean' }) },
+            queued_command: {
+                camera: required(CAMERA_ID),
+                id: required({ type: 'string' }),
+                command: required({ type: 'string', enum: ['settings', 'capture'] }),
+                status: required({ type: 'string', enum: ['queued', 'sent', 'done', 'failed', 'expired'] }),
+                queuedAt: TIMESTAMP,
+                expiresAt: TIMESTAMP,
+                error: TEXT
+            },
+            schedule_run: {
+                camera: required(CAMERA_ID),
+                id: required(SCHEDULE_ID),
+                at: TIMESTAMP,
+                finishedAt: TIMESTAMP,
+                outcome: required({ type: 'string', enum: ['done', 'failed', 'timeout', 'disconnected', 'skipped', 'missed'] }),
+                captureId: CAPTURE_ID,
+                url: { type: 'string', maxLength: 600 },
+                error: TEXT
+            },
+            motion: {
+                camera: required(CAMERA_ID),
+                id: required(MOTION_ID),
+                at: TIMESTAMP,
+                changed: PER_MILLE,
+                zones: {
+                    type: 'array',
+                    items: { type: 'object', fields: { name: TEXT, changed: PER_MILLE } }
+                },
+                box: { type: 'object' },
+                thumbnail: { type: 'string', maxLength: 600 }
+            },
+            response: {
+                requestId: required(REQUEST_ID),
+                camera: { type: 'string' },
+                ok: required({ type: 'boolean' }),
+                result: { type: 'object' },
+                code: { type: 'string' },
+                error: TEXT
+            },
+            error: {
+                message: required(TEXT),
+                code: { type: 'string' },
+                camera: { type: 'string' },
+                requestId: REQUEST_ID,
+                field: { type: 'string' },
+                retryAfter: { type: 'integer', min: 0 }
+            }
+        }
+    };
+
+    // ==========================================================================
+    // VALIDATION
+    // ==========================================================================
+
+    function typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        if (typeof value === 'number' && Math.floor(value) === value) return 'integer';
+        return typeof value;
+    }
+
+    /**
+     * @returns {string|null} Problem with the value, null when it matches
+     */
+    function checkField(rule, value, path) {
+        var actual = typeOf(value);
+
+        if (actual !== rule.type && !(rule.type === 'number' && actual === 'integer')) {
+            return path + ' must be ' + (rule.type === 'integer' ? 'an integer' : 'a ' + rule.type);
+        }
+
+        if (rule.enum && rule.enum.indexOf(value) === -1) {
+            return path + ' must be one of ' + rule.enum.join(', ');
+        }
+
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return path + ' is longer than ' + rule.maxLength;
+        }
+
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return path + ' has invalid characters';
+        }
+
+        if (rule.min !== undefined && value < rule.min) {
+            return path + ' must be >= ' + rule.min;
+        }
+
+        if (rule.max !== undefined && value > rule.max) {
+            return path + ' must be <= ' + rule.max;
+        }
+
+        var i, key, problem;
+
+        if (rule.type === 'array') {
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return path + ' has more than ' + rule.maxItems + ' items';
+            }
+            for (i = 0; rule.items && i < value.length; i++) {
+                problem = checkField(rule.items, value[i], path + '[' + i + ']');
+                if (problem) return problem;
+            }
+        }
+
+        if (rule.type === 'object') {
+            for (key in rule.fields || {}) {
+                if (value[key] !== undefined) {
+                    problem = checkField(rule.fields[key], value[key], path + '.' + key);
+                    if (problem) return problem;
+                }
+            }
+            for (key in rule.values ? value : {}) {
+                problem = checkField(rule.values, value[key], path + '.' + key);
+                if (problem) return problem;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate a message for one direction
+     *
+     * @param {string} direction browser | camera | relayToCamera | relayToBrowser
+     * @param {Object} message   Parsed message
+     * @returns {Object|null} { code: 'invalid_message'|'unknown_type', field, message } or null when valid
+     */
+    function validate(direction, message) {
+        if (typeOf(message) !== 'object') {
+            return { code: 'invalid_message', field: '', message: 'Message must be a JSON object' };
+        }
+
+        var types = MESSAGES[direction] || {};
+        var schema = typeof message.type === 'string' && types.hasOwnProperty(message.type)
+            ? types[message.type]
+            : null;
+
+        if (!schema) {
+            return { code: 'unknown_type', field: 'type', message: 'Unknown message type: ' + String(message.type).slice(0, 32) };
+        }
+
+        for (var field in schema) {
+            var rule = schema[field];
+            var value = message[field];
+
+            if (value === undefined || value === null) {
+                if (rule.required) {
+                    return { code: 'invalid_message', field: field, message: field + ' is required' };
+                }
+                continue;
+            }
+
+            var problem = checkField(rule, value, field);
+            if (problem) {
+                return { code: 'invalid_message', field: field, message: problem };
+            }
+        }
+
+        return null;
+    }
+
+    return {
+        MESSAGES: MESSAGES,
+        validate: validate
+    };
+});
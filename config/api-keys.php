@@ -28,6 +28,26 @@ declare(strict_types=1);
 
 define('GOOGLE_VISION_API_KEY', 'YOUR_API_KEY_HERE');
 
+// =============================================================================
+// WEBSOCKET RELAY SECRET
+// =============================================================================
+// Must match WS_AUTH_SECRET (or this camera's entry in WS_AUTH_SECRETS) on the
+// VPS and WS_SECRET on the camera. Generate with: openssl rand -hex 32
+
+define('WEBSOCKET_AUTH_SECRET', 'YOUR_WS_SECRET_HERE');
+
+// =============================================================================
+// OPERATOR SIGN-IN
+// =============================================================================
+// Pages get a 'viewer' relay token (live only). Capture, settings and schedules
+// need an 'operator' token, issued after HTTP Basic sign-in with this account
+// (open index.php?operator) or when the web server already authenticated the
+// user (REMOTE_USER). Leave the hash empty to only allow the web server login.
+// Hash with: php -r "echo password_hash('PASSWORD', PASSWORD_DEFAULT);"
+
+define('WEBSOCKET_OPERATOR_USER', 'operator');
+define('WEBSOCKET_OPERATOR_PASSWORD_HASH', '');
+
 // =============================================================================
 // DO NOT MODIFY BELOW THIS LINE
 // =============================================================================
@@ -40,3 +60,10 @@ define('OCR_MAX_FILE_SIZE', 4 * 1024 * 1024);
 
 // Language hints for better accuracy
 define('OCR_LANGUAGE_HINTS', ['en', 'ar']);
+
+// ocr.php readings per browser session and minute
+define('OCR_RATE_LIMIT', 10);
+
+// Browser tokens for the WebSocket relay (role from isOperatorAuthenticated())
+define('WEBSOCKET_AUTH_ENABLED', WEBSOCKET_AUTH_SECRET !== 'YOUR_WS_SECRET_HERE' && !empty(WEBSOCKET_AUTH_SECRET));
+define('WEBSOCKET_TOKEN_TTL', 12 * 3600);
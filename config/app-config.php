@@ -68,9 +68,9 @@ define('CAMERA_BASE_URL', 'http://netstorm.site/' . CAMERA_ID);
 // SPEED_MODE: true = static background image only (faster), false = video background (slower)
 define('SPEED_MODE', false);
 
-// JS_MODE: JavaScript engine to use
-// 'normal' = jQuery-based (camera-control.js) - Most compatible
-// 'fast'   = Vanilla JS (camera-control-vanilla.js) - Faster, no jQuery
+// JS_MODE: JavaScript preset to use (all share assets/js/core)
+// 'normal' = jQuery animations (camera-control.js) - Most compatible
+// 'fast'   = Vanilla JS (camera-control-vanilla.js) - No jQuery, motion detection and time-lapse
 // 'ultra'  = Ultra Performance (camera-control-ultra.js) - Fastest, aggressive optimization
 define('JS_MODE', 'normal');
 
@@ -99,6 +99,12 @@ define('IMAGE_CAPTURE_FILE', APP_ROOT . '/pic.jpg');
 define('IMAGE_LIVE_FILE', APP_ROOT . '/live.jpg');
 define('IMAGE_TEST_FILE', APP_ROOT . '/test.jpg');
 
+// Time-lapse Frames (one folder per run, see timelapse.php)
+define('TIMELAPSE_DIR', APP_ROOT . '/timelapse');
+
+// Capture Gallery (kept copies of pic.jpg, see gallery.php)
+define('GALLERY_DIR', APP_ROOT . '/gallery');
+
 // Configuration Files
 define('CAMERA_SETTINGS_FILE', TMP_DIR . '/var.tmp');
 define('CAPTURE_TRIGGER_FILE', TMP_DIR . '/onoff.tmp');
@@ -253,6 +259,35 @@ define('DEFAULT_LIVE_QUALITY', 'very-low');
 // Recommended: true for mobile, false for dedicated monitoring screens
 define('ENABLE_PAGE_VISIBILITY_OPTIMIZATION', true);
 
+// =============================================================================
+// TIME-LAPSE SETTINGS
+// =============================================================================
+
+// Capture interval and run length limits (seconds)
+define('TIMELAPSE_MIN_INTERVAL', 10);
+define('TIMELAPSE_MAX_INTERVAL', 3600);
+define('TIMELAPSE_MAX_DURATION', 86400);
+
+// Storage limits (oldest finished runs are deleted first)
+define('TIMELAPSE_MAX_FRAMES', 2000);
+define('TIMELAPSE_MAX_SESSIONS', 20);
+
+// Animated GIF export (GD): frame width, delay per frame (1/100 s), frame cap
+define('TIMELAPSE_GIF_WIDTH', 640);
+define('TIMELAPSE_GIF_DELAY', 20);
+define('TIMELAPSE_GIF_MAX_FRAMES', 300);
+
+// =============================================================================
+// GALLERY SETTINGS
+// =============================================================================
+
+// Images kept (oldest are deleted first) and images per list request
+define('GALLERY_MAX_IMAGES', 200);
+define('GALLERY_PAGE_SIZE', 24);
+
+// Thumbnail width for the gallery strip (GD, full image used without it)
+define('GALLERY_THUMB_WIDTH', 240);
+
 // =============================================================================
 // HTTP/AJAX SETTINGS
 // =============================================================================
@@ -0,0 +1,274 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Capture Gallery API
+ *
+ * Keeps a copy of each capture so the gallery can show past images after
+ * the next capture overwrites pic.jpg. The browser calls `keep` once a
+ * capture is in; the image, a thumbnail and its capture settings are
+ * stored under gallery/ (oldest deleted past GALLERY_MAX_IMAGES).
+ *
+ * Actions:
+ * - POST keep   (res, comp, iso, sat, rot, fx, enf, captureTime) → image
+ * - POST delete (id)
+ * - GET  list   (limit, before)                                  → images, newest first
+ *
+ * POST actions need the admin token (?token=), like admin/*.php.
+ *
+ * @category  API
+ * @package   Gallery
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   2.0.0
+ * @standards PSR-12, OWASP, Clean Code
+ */
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+require_once __DIR__ . '/config/app-config.php';
+require_once __DIR__ . '/includes/utilities.php';
+
+sendSecurityHeaders();
+sendNoCacheHeaders();
+
+// Capture settings stored with each image (same fields as the capture form)
+const GALLERY_SETTINGS = ['res', 'comp', 'iso', 'sat', 'rot', 'fx', 'enf'];
+
+// =============================================================================
+// IMAGE STORAGE
+// =============================================================================
+
+/**
+ * Resolve an image ID to its metadata file
+ *
+ * @param string $imageId Image ID (YYYYmmdd-HHMMSS of the capture)
+ *
+ * @return string|null Absolute path without extension, null if the ID is malformed
+ */
+function imageBase(string $imageId): ?string
+{
+    if (!preg_match('/^\d{8}-\d{6}$/', $imageId)) {
+        return null;
+    }
+    return GALLERY_DIR . '/' . $imageId;
+}
+
+/**
+ * Load an image's metadata
+ *
+ * @param string $imageId Image ID
+ *
+ * @return array<string, mixed>|null Image data, null if it does not exist
+ */
+function loadImage(string $imageId): ?array
+{
+    $base = imageBase($imageId);
+    if ($base === null || !is_file($base . '.json')) {
+        return null;
+    }
+
+    $image = json_decode((string)file_get_contents($base . '.json'), true);
+    return is_array($image) ? $image : null;
+}
+
+/**
+ * Delete an image, its thumbnail and metadata
+ *
+ * @param string $imageId Image ID
+ *
+ * @return void
+ */
+function deleteImage(string $imageId): void
+{
+    $base = imageBase($imageId);
+    if ($base === null) {
+        return;
+    }
+
+    @unlink($base . '.jpg');
+    @unlink($base . '_thumb.jpg');
+    @unlink($base . '.json');
+}
+
+/**
+ * All images, newest first
+ *
+ * @return array<int, array<string, mixed>>
+ */
+function listImages(): array
+{
+    $images = [];
+    foreach (glob(GALLERY_DIR . '/*.json') ?: [] as $file) {
+        $image = loadImage(basename($file, '.json'));
+        if ($image !== null) {
+            $images[] = $image;
+        }
+    }
+
+    usort($images, static fn(array $a, array $b): int => $b['time'] <=> $a['time']);
+    return $images;
+}
+
+/**
+ * Delete the oldest images so a new one fits
+ *
+ * @return void
+ */
+function pruneImages(): void
+{
+    $images = listImages();
+
+    for ($i = count($images) - 1; $i >= GALLERY_MAX_IMAGES - 1; $i--) {
+        deleteImage($images[$i]['id']);
+        logMessage("Gallery pruned: {$images[$i]['id']}", 'INFO');
+    }
+}
+
+/**
+ * Write a scaled-down copy for the thumbnail strip (needs GD)
+ *
+ * @param string $source JPEG path
+ * @param string $target Thumbnail path
+ *
+ * @return bool False when GD is missing or the image can't be read
+ */
+function createThumbnail(string $source, string $target): bool
+{
+    if (!function_exists('imagecreatefromjpeg')) {
+        return false;
+    }
+
+    $jpeg = @imagecreatefromjpeg($source);
+    if ($jpeg === false) {
+        return false;
+    }
+
+    $thumb = imagescale($jpeg, GALLERY_THUMB_WIDTH);
+    imagedestroy($jpeg);
+    if ($thumb === false) {
+        return false;
+    }
+
+    $written = imagejpeg($thumb, $target, 75);
+    imagedestroy($thumb);
+    return $written;
+}
+
+/**
+ * Image data for the browser (file URLs instead of flags)
+ *
+ * @param array<string, mixed> $image Image data
+ *
+ * @return array<string, mixed>
+ */
+function describeImage(array $image): array
+{
+    $url = 'gallery/' . $image['id'] . '.jpg';
+    $image['url'] = $url;
+    $image['thumb'] = $image['hasThumb'] ? 'gallery/' . $image['id'] . '_thumb.jpg' : $url;
+    unset($image['hasThumb']);
+    return $image;
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+$action = $_POST['action'] ?? $_GET['action'] ?? '';
+
+if (in_array($action, ['keep', 'delete'], true)) {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        sendJsonResponse(['success' => false, 'error' => 'POST required'], 405);
+    }
+    validateAdminToken();
+}
+
+switch ($action) {
+    case 'keep':
+        clearstatcache(true, IMAGE_CAPTURE_FILE);
+        $imageTime = file_exists(IMAGE_CAPTURE_FILE) ? filemtime(IMAGE_CAPTURE_FILE) : 0;
+        if ($imageTime === 0) {
+            sendJsonResponse(['success' => false, 'error' => 'No image to keep'], 404);
+        }
+
+        // The ID is the capture time, so the same pic.jpg is only kept once
+        $imageId = date('Ymd-His', $imageTime);
+        if (loadImage($imageId) !== null) {
+            sendJsonResponse(['success' => false, 'error' => 'Image already in the gallery'], 409);
+        }
+
+        if (!is_dir(GALLERY_DIR) && !mkdir(GALLERY_DIR, 0755, true)) {
+            logMessage('Failed to create gallery folder', 'ERROR');
+            sendJsonResponse(['success' => false, 'error' => 'Failed to create storage'], 500);
+        }
+
+        pruneImages();
+
+        $base = imageBase($imageId);
+        if (!copy(IMAGE_CAPTURE_FILE, $base . '.jpg')) {
+            logMessage("Failed to keep gallery image: $imageId", 'ERROR');
+            sendJsonResponse(['success' => false, 'error' => 'Failed to store image'], 500);
+        }
+
+        $settings = [];
+        foreach (GALLERY_SETTINGS as $name) {
+            $value = (string)($_POST[$name] ?? '');
+            $settings[$name] = preg_match('/^[\w.-]{1,16}$/', $value) ? $value : '';
+        }
+
+        $captureTime = (float)($_POST['captureTime'] ?? 0);
+
+        $image = [
+            'id' => $imageId,
+            'time' => $imageTime,
+            'size' => filesize($base . '.jpg'),
+            'captureTime' => $captureTime > 0 && $captureTime < 3600 ? round($captureTime, 2) : null,
+            'settings' => $settings,
+            'hasThumb' => createThumbnail($base . '.jpg', $base . '_thumb.jpg')
+        ];
+
+        $json = (string)json_encode($image, JSON_UNESCAPED_SLASHES | JSON_PRETTY_PRINT);
+        if (!writeFileAtomic($base . '.json', $json)) {
+            deleteImage($imageId);
+            sendJsonResponse(['success' => false, 'error' => 'Failed to store image'], 500);
+        }
+
+        sendJsonResponse(['success' => true, 'image' => describeImage($image)]);
+        break;
+
+    case 'delete':
+        $imageId = (string)($_POST['id'] ?? '');
+        if (loadImage($imageId) === null) {
+            sendJsonResponse(['success' => false, 'error' => 'Unknown image'], 404);
+        }
+
+        deleteImage($imageId);
+        logMessage("Gallery image deleted: $imageId", 'INFO');
+        sendJsonResponse(['success' => true]);
+        break;
+
+    case 'list':
+        $limit = sanitizeInteger($_GET['limit'] ?? GALLERY_PAGE_SIZE, 1, GALLERY_MAX_IMAGES, GALLERY_PAGE_SIZE);
+        $before = (string)($_GET['before'] ?? '');
+
+        $images = listImages();
+        if (imageBase($before) !== null) {
+            // IDs sort like their times - older than the last one the browser has
+            $images = array_values(array_filter($images, static fn(array $image): bool => strcmp($image['id'], $before) < 0));
+        }
+
+        sendJsonResponse([
+            'success' => true,
+            'images' => array_map('describeImage', array_slice($images, 0, $limit)),
+            'more' => count($images) > $limit
+        ]);
+        break;
+
+    default:
+        logMessage("Invalid gallery action: $action", 'WARNING');
+        sendJsonResponse(['success' => false, 'error' => 'Invalid action'], 400);
+}
@@ -333,6 +333,25 @@ function escapeHtml(string $text): string
     return htmlspecialchars($text, ENT_QUOTES | ENT_HTML5 | ENT_SUBSTITUTE, 'UTF-8');
 }
 
+/**
+ * Build an import map that versions every assets/js/core module
+ *
+ * The presets import ./core/*.js without a query string; the map points each
+ * of those URLs at "<file>?v=<mtime>" so an update reaches cached browsers.
+ * Must be printed before the first module script.
+ *
+ * @return string JSON for <script type="importmap">
+ */
+function coreModuleImportMap(): string
+{
+    $imports = [];
+    foreach (glob('assets/js/core/*.js') ?: [] as $file) {
+        $imports['./' . $file] = './' . $file . '?v=' . filemtime($file);
+    }
+
+    return json_encode(['imports' => $imports], JSON_UNESCAPED_SLASHES | JSON_PRETTY_PRINT | JSON_THROW_ON_ERROR);
+}
+
 /**
  * Send JSON response with proper headers and encoding
  *
@@ -391,6 +410,82 @@ function validateAdminToken(): void
     }
 }
 
+/**
+ * Check whether the request comes from a signed-in operator
+ *
+ * Either the web server authenticated the user (REMOTE_USER), or the request
+ * carries HTTP Basic credentials matching WEBSOCKET_OPERATOR_USER and
+ * WEBSOCKET_OPERATOR_PASSWORD_HASH (config/api-keys.php).
+ *
+ * @return bool
+ */
+function isOperatorAuthenticated(): bool
+{
+    if (!empty($_SERVER['REMOTE_USER'])) {
+        return true;
+    }
+
+    if (!defined('WEBSOCKET_OPERATOR_PASSWORD_HASH') || WEBSOCKET_OPERATOR_PASSWORD_HASH === '') {
+        return false;
+    }
+
+    $user = $_SERVER['PHP_AUTH_USER'] ?? null;
+    $password = $_SERVER['PHP_AUTH_PW'] ?? null;
+
+    // PHP-FPM leaves the header unparsed
+    $header = $_SERVER['HTTP_AUTHORIZATION'] ?? $_SERVER['REDIRECT_HTTP_AUTHORIZATION'] ?? '';
+    if ($user === null && stripos($header, 'Basic ') === 0) {
+        $credentials = explode(':', (string)base64_decode(substr($header, 6), true), 2);
+        if (count($credentials) === 2) {
+            [$user, $password] = $credentials;
+        }
+    }
+
+    return $user !== null
+        && hash_equals(WEBSOCKET_OPERATOR_USER, (string)$user)
+        && password_verify((string)$password, WEBSOCKET_OPERATOR_PASSWORD_HASH);
+}
+
+/**
+ * Ask the browser for the operator's HTTP Basic sign-in
+ *
+ * @return void Exits with 401
+ */
+function requireOperatorLogin(): void
+{
+    header('WWW-Authenticate: Basic realm="Camera operator", charset="UTF-8"');
+    http_response_code(401);
+    logMessage("Operator sign-in required from IP: " . ($_SERVER['REMOTE_ADDR'] ?? 'unknown'), 'INFO');
+    echo 'Operator sign-in required';
+    exit;
+}
+
+/**
+ * Create a signed token for the WebSocket relay
+ *
+ * Format matches websocket/vps/lib/auth.js:
+ * base64url(JSON payload) . '.' . base64url(HMAC-SHA256(secret, payload part))
+ *
+ * @param string $secret   Shared secret (WEBSOCKET_AUTH_SECRET)
+ * @param string $cameraId Camera the token grants access to
+ * @param string $role     'viewer', 'operator' or 'camera'
+ * @param int    $ttl      Lifetime in seconds
+ *
+ * @return string Signed token
+ */
+function createWebSocketToken(string $secret, string $cameraId, string $role, int $ttl): string
+{
+    $base64url = static fn(string $data): string => rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+
+    $body = $base64url(json_encode([
+        'cam' => $cameraId,
+        'role' => $role,
+        'exp' => time() + $ttl
+    ]));
+
+    return $body . '.' . $base64url(hash_hmac('sha256', $body, $secret, true));
+}
+
 /**
  * Fetch remote file with timeout and error handling
  *
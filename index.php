@@ -53,6 +53,13 @@ if (!isset($_SESSION['admin_token'])) {
 sendSecurityHeaders();
 header('Content-Type: text/html; charset=UTF-8');
 
+// Operator sign-in: ?operator asks for the login once, the browser then sends
+// it with every load of this page and the relay token gets the operator role
+require_once __DIR__ . '/config/api-keys.php';
+if (isset($_GET['operator']) && !isOperatorAuthenticated()) {
+    requireOperatorLogin();
+}
+
 // ============================================================================
 // AJAX: Write Request Handler (Web Live Control)
 // ============================================================================
@@ -269,7 +276,7 @@ if (isset($_POST['b1']) && $_POST['b1'] === 'inic') {
                 <form method="post" action="<?= escapeHtml($_SERVER['PHP_SELF']) ?>">
                     <center><p>
                         <label for="web_live" class="ctl-label">Live</label>
-                        <select name="web_live" id="webLiveSelect" class="ctl-select" onchange="toggleWebLive()">
+                        <select name="web_live" id="webLiveSelect" class="ctl-select">
                             <option value="off" selected>No</option>
                             <option value="on">Yes</option>
                         </select>
@@ -341,7 +348,7 @@ if (isset($_POST['b1']) && $_POST['b1'] === 'inic') {
 
                             <div id="liveQualityOptions" style="margin-top:10px;">
                                 <label for="liveQuality" class="ctl-label">Feed Quality</label>
-                                <select name="liveQuality" id="liveQuality" class="ctl-select" onchange="updateLiveQuality(true)">
+                                <select name="liveQuality" id="liveQuality" class="ctl-select">
                                     <option value="very-low" selected>Very Low (Very Slow Connection)</option>
                                     <option value="low">Low (Slow Connection)</option>
                                     <option value="medium">Medium (Normal Connection)</option>
@@ -350,7 +357,7 @@ if (isset($_POST['b1']) && $_POST['b1'] === 'inic') {
                             </div>
                         </div>
 
-                        <button id="myBut" onclick="captureImage()" type="button" class="glass-red-button">Capture</button>
+                        <button id="myBut" type="button" class="glass-red-button">Capture</button>
                         <p class="capture-note">*Click to capture locally, without Server/Monitor open.</p>
                     </p></center>
                 </form>
@@ -382,16 +389,32 @@ if (isset($_POST['b1']) && $_POST['b1'] === 'inic') {
         echo "<!-- Normal Mode: jQuery-based -->\n    ";
     }
 
-    $version = file_exists($jsFile) ? filemtime($jsFile) : time();
     ?>
-    <script src="<?= $jsFile ?>?v=<?= $version ?>"></script>
+    <!-- Presets import assets/js/core/*.js - each core file carries its own version -->
+    <script type="importmap"><?= coreModuleImportMap() ?></script>
+    <script type="module" src="<?= $jsFile ?>?v=<?= filemtime($jsFile) ?>"></script>
 
     <?php if (defined('WEBSOCKET_ENABLED') && WEBSOCKET_ENABLED): ?>
+    <?php
+    // Anonymous pages may only watch; capture and settings need the operator sign-in
+    $wsRole = isOperatorAuthenticated() ? 'operator' : 'viewer';
+    $wsToken = WEBSOCKET_AUTH_ENABLED
+        ? createWebSocketToken(WEBSOCKET_AUTH_SECRET, CAMERA_ID, $wsRole, WEBSOCKET_TOKEN_TTL)
+        : '';
+    ?>
     <!-- WebSocket for Real-time Updates -->
     <script>
         // Override WebSocket server URL from config
         window.WEBSOCKET_SERVER_URL = '<?= escapeHtml(WEBSOCKET_SERVER_URL) ?>';
+        // Camera this page controls (relay serves several cameras)
+        window.WEBSOCKET_CAMERA_ID = '<?= escapeHtml(CAMERA_ID) ?>';
+        // Signed relay token (see createWebSocketToken)
+        window.WEBSOCKET_TOKEN = '<?= escapeHtml($wsToken) ?>';
     </script>
+    <?php if (isDebugMode()): ?>
+    <!-- Protocol schema: websocket-client.js checks every message in debug builds -->
+    <script src="assets/js/websocket-protocol.js?v=<?= file_exists('assets/js/websocket-protocol.js') ? filemtime('assets/js/websocket-protocol.js') : time() ?>"></script>
+    <?php endif; ?>
     <script src="assets/js/websocket-client.js?v=<?= file_exists('assets/js/websocket-client.js') ? filemtime('assets/js/websocket-client.js') : time() ?>"></script>
     <?php endif; ?>
 
@@ -402,6 +425,7 @@ if (isset($_POST['b1']) && $_POST['b1'] === 'inic') {
     <?php if (!empty($moduleLoader->getLoadedModules())): ?>
     <script>
         window.MODULE_KEYBINDINGS = <?= $moduleLoader->getKeybindingsJson() ?>;
+        window.MODULE_SETTINGS = <?= $moduleLoader->getSettingsJson() ?>;
     </script>
     <?php endif; ?>
 </body>
@@ -344,6 +344,8 @@ if (isset($_POST['b1']) && $_POST['b1'] === 'inic') {
         window.ADMIN_TOKEN = '<?= $_SESSION['admin_token'] ?>';
     </script>
     <!-- Vanilla JavaScript (no jQuery) -->
-    <script defer src="assets/js/camera-control-vanilla.js?v=<?= file_exists('assets/js/camera-control-vanilla.js') ? filemtime('assets/js/camera-control-vanilla.js') : time() ?>"></script>
+    <!-- Presets import assets/js/core/*.js - each core file carries its own version -->
+    <script type="importmap"><?= coreModuleImportMap() ?></script>
+    <script type="module" src="assets/js/camera-control-vanilla.js?v=<?= filemtime('assets/js/camera-control-vanilla.js') ?>"></script>
 </body>
 </html>
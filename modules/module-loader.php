@@ -42,6 +42,9 @@ class ModuleLoader
     /** @var array Module keybindings */
     private array $keybindings = [];
 
+    /** @var array Module settings passed to the page */
+    private array $settings = [];
+
     /** @var array Core keybindings (have priority) */
     private array $coreKeybindings = ['c', 's', 'l', 'r', ' '];
 
@@ -165,6 +168,12 @@ class ModuleLoader
             }
         }
 
+        // Settings the module's JS needs (manifest "clientSettings" names them);
+        // the rest, e.g. server commands, never reaches the page
+        if (!empty($config['settings']) && !empty($config['clientSettings'])) {
+            $this->settings[$moduleId] = array_intersect_key($config['settings'], array_flip($config['clientSettings']));
+        }
+
         $this->loadedModules[$moduleId] = $config;
         return true;
     }
@@ -262,6 +271,16 @@ class ModuleLoader
         return json_encode($this->keybindings, JSON_UNESCAPED_SLASHES);
     }
 
+    /**
+     * Get module settings for JavaScript (window.MODULE_SETTINGS)
+     *
+     * @return string JSON encoded settings by module ID
+     */
+    public function getSettingsJson(): string
+    {
+        return json_encode((object)$this->settings, JSON_UNESCAPED_SLASHES);
+    }
+
     /**
      * Get loaded modules list
      *
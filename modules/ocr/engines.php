@@ -0,0 +1,227 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * OCR Engines - Text recognition behind ocr.php
+ *
+ * The engine is picked in modules/manifest.json (modules.ocr.settings):
+ * - cloud:   Google Cloud Vision (GOOGLE_VISION_API_KEY in config/api-keys.php)
+ * - local:   Tesseract on this server (settings.local.command)
+ * - browser: Tesseract.js in the page (modules/ocr/ocr.js) - ocr.php is not called
+ *
+ * With "fallback": "local" a failed cloud call (no key, network down, quota)
+ * is read again with Tesseract; "fallback": "browser" is handled in the page.
+ * ocr.php replies with what recognizeText() returns:
+ *
+ *     $result = recognizeText($imagePath, loadOcrSettings());
+ *     // { success: true, hasText, text, charCount, engine: $result['engine'] }
+ *
+ * @category  Modules
+ * @package   OCR
+ * @author    Net Storm
+ * @version   1.0.0
+ */
+
+// Used when the manifest leaves a setting out
+const OCR_DEFAULT_SETTINGS = [
+    'engine' => 'cloud',
+    'fallback' => 'local',
+    'local' => ['command' => 'tesseract', 'languages' => 'eng+ara']
+];
+
+const OCR_ENGINES = ['cloud', 'local', 'browser'];
+
+const OCR_CLOUD_ENDPOINT = 'https://vision.googleapis.com/v1/images:annotate';
+const OCR_CLOUD_TIMEOUT = 15;
+
+// Result of the last `command -v <tesseract>` (see ocrTesseractInstalled())
+const OCR_LOCAL_CHECK_FILE = TMP_DIR . '/ocr_local.tmp';
+const OCR_LOCAL_CHECK_TTL = 3600;
+
+/**
+ * Read the OCR module settings from modules/manifest.json
+ *
+ * @return array<string, mixed> Settings with defaults filled in
+ */
+function loadOcrSettings(): array
+{
+    $manifest = json_decode((string)@file_get_contents(dirname(__DIR__) . '/manifest.json'), true);
+    $settings = $manifest['modules']['ocr']['settings'] ?? [];
+
+    return array_replace_recursive(OCR_DEFAULT_SETTINGS, is_array($settings) ? $settings : []);
+}
+
+/**
+ * Engines to try in order: the chosen one, then the fallback
+ *
+ * @param array<string, mixed> $settings OCR settings
+ *
+ * @return string[] Engine names
+ */
+function ocrEngineChain(array $settings): array
+{
+    $chain = [in_array($settings['engine'], OCR_ENGINES, true) ? $settings['engine'] : 'cloud'];
+
+    $fallback = $settings['fallback'] ?? null;
+    if (in_array($fallback, OCR_ENGINES, true) && $fallback !== $chain[0]) {
+        $chain[] = $fallback;
+    }
+
+    return $chain;
+}
+
+/**
+ * Check whether the Tesseract command exists, remembered for an hour
+ *
+ * init.php asks on every page load; `command -v` only runs when the cached
+ * answer (OCR_LOCAL_CHECK_FILE) is stale or was for another command.
+ *
+ * @param string $command Tesseract command (settings.local.command)
+ *
+ * @return bool
+ */
+function ocrTesseractInstalled(string $command): bool
+{
+    $cached = @file(OCR_LOCAL_CHECK_FILE, FILE_IGNORE_NEW_LINES);
+    if (is_array($cached) && count($cached) === 2 && $cached[0] === $command
+        && time() - (int)@filemtime(OCR_LOCAL_CHECK_FILE) < OCR_LOCAL_CHECK_TTL) {
+        return $cached[1] === '1';
+    }
+
+    exec('command -v ' . escapeshellarg($command) . ' 2>/dev/null', $output, $exitCode);
+    $installed = $exitCode === 0;
+    @file_put_contents(OCR_LOCAL_CHECK_FILE, $command . "\n" . ($installed ? '1' : '0'), LOCK_EX);
+
+    return $installed;
+}
+
+/**
+ * Check whether an engine can run here
+ *
+ * @param string               $engine   Engine name
+ * @param array<string, mixed> $settings OCR settings
+ *
+ * @return bool
+ */
+function ocrEngineAvailable(string $engine, array $settings): bool
+{
+    switch ($engine) {
+        case 'cloud':
+            return defined('OCR_ENABLED') && OCR_ENABLED;
+        case 'local':
+            return ocrTesseractInstalled((string)$settings['local']['command']);
+        case 'browser':
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Read an image with Google Cloud Vision
+ *
+ * @param string $imagePath Image file
+ *
+ * @return string Recognised text ('' when there is none)
+ *
+ * @throws RuntimeException When the API is not configured or the call fails
+ */
+function recognizeWithCloud(string $imagePath): string
+{
+    if (!defined('OCR_ENABLED') || !OCR_ENABLED) {
+        throw new RuntimeException('Google Vision API key not configured');
+    }
+
+    if (filesize($imagePath) > OCR_MAX_FILE_SIZE) {
+        throw new RuntimeException('Image too large for Cloud Vision');
+    }
+
+    $request = [
+        'requests' => [[
+            'image' => ['content' => base64_encode((string)file_get_contents($imagePath))],
+            'features' => [['type' => 'TEXT_DETECTION']],
+            'imageContext' => ['languageHints' => OCR_LANGUAGE_HINTS]
+        ]]
+    ];
+
+    $context = stream_context_create([
+        'http' => [
+            'method' => 'POST',
+            'header' => 'Content-Type: application/json',
+            'content' => json_encode($request),
+            'timeout' => OCR_CLOUD_TIMEOUT,
+            'ignore_errors' => true
+        ]
+    ]);
+
+    $body = @file_get_contents(OCR_CLOUD_ENDPOINT . '?key=' . urlencode(GOOGLE_VISION_API_KEY), false, $context);
+    if ($body === false) {
+        throw new RuntimeException('Cloud Vision unreachable');
+    }
+
+    $response = json_decode($body, true);
+    $error = $response['error']['message'] ?? $response['responses'][0]['error']['message'] ?? null;
+    if (!is_array($response) || $error !== null) {
+        throw new RuntimeException('Cloud Vision error: ' . ($error ?? 'invalid response'));
+    }
+
+    return trim($response['responses'][0]['fullTextAnnotation']['text'] ?? '');
+}
+
+/**
+ * Read an image with Tesseract on this server
+ *
+ * @param string               $imagePath Image file
+ * @param array<string, mixed> $settings  OCR settings (local.command, local.languages)
+ *
+ * @return string Recognised text ('' when there is none)
+ *
+ * @throws RuntimeException When Tesseract is missing or fails
+ */
+function recognizeWithTesseract(string $imagePath, array $settings): string
+{
+    $command = sprintf(
+        '%s %s stdout -l %s 2>/dev/null',
+        escapeshellarg($settings['local']['command']),
+        escapeshellarg($imagePath),
+        escapeshellarg($settings['local']['languages'])
+    );
+
+    exec($command, $output, $exitCode);
+    if ($exitCode !== 0) {
+        throw new RuntimeException("Tesseract failed (exit code $exitCode)");
+    }
+
+    return trim(implode("\n", $output));
+}
+
+/**
+ * Read an image with the chosen engine, falling back when it fails
+ *
+ * @param string               $imagePath Image file
+ * @param array<string, mixed> $settings  OCR settings (loadOcrSettings())
+ *
+ * @return array{text: string, engine: string}
+ *
+ * @throws RuntimeException When every server-side engine failed
+ */
+function recognizeText(string $imagePath, array $settings): array
+{
+    $error = new RuntimeException('No server-side OCR engine configured');
+
+    foreach (ocrEngineChain($settings) as $engine) {
+        try {
+            switch ($engine) {
+                case 'cloud':
+                    return ['text' => recognizeWithCloud($imagePath), 'engine' => $engine];
+                case 'local':
+                    return ['text' => recognizeWithTesseract($imagePath, $settings), 'engine' => $engine];
+            }
+        } catch (RuntimeException $e) {
+            error_log("[OCR Module] $engine engine failed: " . $e->getMessage());
+            $error = $e;
+        }
+    }
+
+    throw $error;
+}
@@ -4,13 +4,14 @@ declare(strict_types=1);
 /**
  * OCR Module Initialization
  *
- * Checks if OCR is properly configured and all requirements are met.
+ * Checks that the OCR engine picked in manifest.json (or its fallback)
+ * can run here - see engines.php.
  * Returns false if module should not be loaded.
  *
  * @category  Modules
  * @package   OCR
  * @author    Net Storm
- * @version   1.0.0
+ * @version   1.1.0
  */
 
 // Check if api-keys.php exists and is loaded
@@ -26,24 +27,26 @@ if (!defined('OCR_ENABLED')) {
     require_once $apiKeysFile;
 }
 
-// Check if OCR is enabled in config
-if (!defined('OCR_ENABLED') || !OCR_ENABLED) {
-    error_log('[OCR Module] OCR not enabled in api-keys.php');
-    return false;
-}
+require_once __DIR__ . '/engines.php';
 
-// Check if API key is configured (not the placeholder)
-if (!defined('GOOGLE_VISION_API_KEY') || GOOGLE_VISION_API_KEY === 'YOUR_API_KEY_HERE') {
-    error_log('[OCR Module] Google Vision API key not configured');
-    return false;
+$ocrSettings = loadOcrSettings();
+$ocrChain = ocrEngineChain($ocrSettings);
+
+// The browser engine reads in the page, the others go through ocr.php
+if ($ocrChain !== ['browser']) {
+    $ocrEndpoint = dirname(__DIR__, 2) . '/ocr.php';
+    if (!file_exists($ocrEndpoint)) {
+        error_log('[OCR Module] ocr.php endpoint not found');
+        return false;
+    }
 }
 
-// Check if ocr.php endpoint exists
-$ocrEndpoint = dirname(__DIR__, 2) . '/ocr.php';
-if (!file_exists($ocrEndpoint)) {
-    error_log('[OCR Module] ocr.php endpoint not found');
-    return false;
+// At least one engine must be usable (cloud needs the API key, local needs tesseract)
+foreach ($ocrChain as $ocrEngine) {
+    if (ocrEngineAvailable($ocrEngine, $ocrSettings)) {
+        return true;
+    }
 }
 
-// All checks passed
-return true;
+error_log('[OCR Module] No OCR engine available (' . implode(', ', $ocrChain) . ')');
+return false;
@@ -1,13 +1,25 @@
 /**
  * OCR Module - Text Extraction from Images
  *
- * Standalone module for extracting text from camera images using
- * Google Cloud Vision API. Works with any JS mode (jQuery/Vanilla/Ultra).
+ * Standalone module for extracting text from camera images. Works with
+ * any JS mode (jQuery/Vanilla/Ultra).
+ *
+ * The engine comes from modules/manifest.json (window.MODULE_SETTINGS.ocr):
+ * "cloud" or "local" read through ocr.php (Cloud Vision / Tesseract, see
+ * engines.php), "browser" runs Tesseract.js in the page. A "browser"
+ * fallback is tried here when ocr.php fails; the server handles "local".
+ *
+ * 📋 (O) reads the whole image and copies the text. 🔲 (Shift+O) lets the
+ * user drag a rectangle on the captured image; only that area is read
+ * (ocr.php gets x, y, width, height in image pixels and crops first) and
+ * the text opens in an editable box to fix before copying. 🕘 lists every
+ * reading kept in this browser (localStorage) to search, copy again or
+ * export as CSV/JSON.
  *
  * @category  Modules
  * @package   OCR
  * @author    Net Storm
- * @version   1.0.0
+ * @version   1.3.0
  */
 
 'use strict';
@@ -22,10 +34,28 @@
         TIMEOUT: 30000,
         DEFAULT_IMAGE: 'pic.jpg',
         BUTTON_ID: 'ocr-extract-btn',
+        REGION_BUTTON_ID: 'ocr-region-btn',
+        IMAGE_SELECTOR: '#Image',
         INFO_SELECTOR: '#imageSizeText',
+        MIN_REGION: 8,              // px on screen - smaller drags are ignored
+        HISTORY_BUTTON_ID: 'ocr-history-btn',
+        HISTORY_KEY: 'ocrHistory',  // localStorage
+        HISTORY_MAX: 500,           // oldest readings dropped past this
         NOTIFICATION_DURATION: 3000
     };
 
+    // Manifest settings (modules.ocr.settings), see engines.php for the server side
+    var manifestSettings = (window.MODULE_SETTINGS || {}).ocr || {};
+
+    const OCR_SETTINGS = {
+        engine: manifestSettings.engine || 'cloud',
+        fallback: manifestSettings.fallback || 'local',
+        browser: Object.assign({
+            script: 'https://cdn.jsdelivr.net/npm/tesseract.js@5/dist/tesseract.min.js',
+            languages: 'eng+ara'
+        }, manifestSettings.browser)
+    };
+
     // ========================================================================
     // UTILITY FUNCTIONS
     // ========================================================================
@@ -153,6 +183,377 @@
         xhr.send(params.join('&'));
     }
 
+    // ========================================================================
+    // OCR ENGINES
+    // ========================================================================
+
+    var browserWorker = null;
+
+    /**
+     * Load Tesseract.js once and start a worker (kept for later reads)
+     *
+     * @returns {Promise<Object>} Tesseract worker
+     */
+    function loadBrowserEngine() {
+        if (browserWorker) {
+            return browserWorker;
+        }
+
+        browserWorker = new Promise(function(resolve, reject) {
+            if (window.Tesseract) {
+                resolve(window.Tesseract);
+                return;
+            }
+
+            var script = document.createElement('script');
+            script.src = OCR_SETTINGS.browser.script;
+            script.onload = function() {
+                resolve(window.Tesseract);
+            };
+            script.onerror = function() {
+                reject(new Error('Failed to load ' + script.src));
+            };
+            document.head.appendChild(script);
+        }).then(function(Tesseract) {
+            console.log('[OCR Module] Browser engine loading (' + OCR_SETTINGS.browser.languages + ')...');
+            return Tesseract.createWorker(OCR_SETTINGS.browser.languages);
+        });
+
+        // Let the next read try again
+        browserWorker.catch(function() {
+            browserWorker = null;
+        });
+
+        return browserWorker;
+    }
+
+    /**
+     * Read an image (or an area of it) with Tesseract.js, answering like ocr.php
+     *
+     * @param {Object} data ocr.php parameters: image, optional x, y, width, height
+     * @param {Function} onSuccess Called with { success, hasText, text, charCount }
+     * @param {Function} onError Called with an error message
+     */
+    function recognizeInBrowser(data, onSuccess, onError) {
+        loadBrowserEngine()
+            .then(function(worker) {
+                var options = 'width' in data
+                    ? { rectangle: { left: data.x, top: data.y, width: data.width, height: data.height } }
+                    : {};
+                return worker.recognize(data.image + '?v=' + Date.now(), options);
+            })
+            .then(function(result) {
+                var text = result.data.text.trim();
+                onSuccess({ success: true, hasText: text.length > 0, text: text, charCount: text.length, engine: 'browser' });
+            })
+            .catch(function(err) {
+                onError('Browser engine failed: ' + (err && err.message ? err.message : err));
+            });
+    }
+
+    // ocr.php needs the admin token, like gallery.php and timelapse.php
+    function endpointUrl() {
+        return OCR_CONFIG.ENDPOINT + '?token=' + encodeURIComponent(window.ADMIN_TOKEN || '');
+    }
+
+    /**
+     * Read with the engine from the manifest, then the browser fallback
+     *
+     * @param {Object} data ocr.php parameters: image, optional x, y, width, height
+     * @param {Function} onSuccess Called with the ocr.php response
+     * @param {Function} onError Called with an error message
+     */
+    function recognizeWithEngine(data, onSuccess, onError) {
+        if (OCR_SETTINGS.engine === 'browser') {
+            recognizeInBrowser(data, onSuccess, onError);
+            return;
+        }
+
+        if (OCR_SETTINGS.fallback !== 'browser') {
+            ajaxPost(endpointUrl(), data, onSuccess, onError);
+            return;
+        }
+
+        function fallBack(error) {
+            console.warn('[OCR Module] ' + error + ' - reading in the browser');
+            recognizeInBrowser(data, onSuccess, onError);
+        }
+
+        ajaxPost(endpointUrl(), data, function(response) {
+            if (response.success) {
+                onSuccess(response);
+            } else {
+                fallBack(response.error);
+            }
+        }, fallBack);
+    }
+
+    /**
+     * Read an image and keep the text in the history
+     *
+     * @param {Object} data ocr.php parameters: image, optional x, y, width, height
+     * @param {Function} onSuccess Called with the ocr.php response (+ historyId)
+     * @param {Function} onError Called with an error message
+     */
+    function recognize(data, onSuccess, onError) {
+        recognizeWithEngine(data, function(response) {
+            if (response.success && response.hasText) {
+                response.historyId = addToHistory(data, response).id;
+            }
+            onSuccess(response);
+        }, onError);
+    }
+
+    // ========================================================================
+    // HISTORY
+    // ========================================================================
+
+    /**
+     * Stored readings, newest first
+     *
+     * @returns {Array<Object>} { id, time, image, region, text, charCount, engine }
+     */
+    function loadHistory() {
+        try {
+            var history = JSON.parse(localStorage.getItem(OCR_CONFIG.HISTORY_KEY) || '[]');
+            return Array.isArray(history) ? history : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function saveHistory(history) {
+        try {
+            localStorage.setItem(OCR_CONFIG.HISTORY_KEY, JSON.stringify(history.slice(0, OCR_CONFIG.HISTORY_MAX)));
+        } catch (e) {
+            console.warn('[OCR Module] History not saved:', e);
+        }
+        renderHistory();
+    }
+
+    /**
+     * Keep one reading
+     *
+     * @param {Object} data What was read: image, optional x, y, width, height
+     * @param {Object} response ocr.php response with the text
+     * @returns {Object} History entry
+     */
+    function addToHistory(data, response) {
+        var history = loadHistory();
+        var entry = {
+            id: history.length ? history[0].id + 1 : 1,
+            time: Date.now(),
+            image: data.image,
+            region: 'width' in data ? { x: data.x, y: data.y, width: data.width, height: data.height } : null,
+            text: response.text,
+            charCount: response.text.length,
+            engine: response.engine || OCR_SETTINGS.engine
+        };
+
+        history.unshift(entry);
+        saveHistory(history);
+        return entry;
+    }
+
+    /**
+     * Replace a reading's text with the user's correction
+     */
+    function updateHistoryText(id, text) {
+        var history = loadHistory();
+        history.forEach(function(entry) {
+            if (entry.id === id) {
+                entry.text = text;
+                entry.charCount = text.length;
+            }
+        });
+        saveHistory(history);
+    }
+
+    /**
+     * Entries whose text contains every search word
+     */
+    function searchHistory(history, query) {
+        var words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return history.filter(function(entry) {
+            var text = entry.text.toLowerCase();
+            return words.every(function(word) {
+                return text.indexOf(word) !== -1;
+            });
+        });
+    }
+
+    function pad(number) {
+        return (number < 10 ? '0' : '') + number;
+    }
+
+    function formatTime(time) {
+        var date = new Date(time);
+        return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + ' ' +
+            pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds());
+    }
+
+    function describeSource(entry) {
+        var region = entry.region;
+        return entry.image + (region ? ' (' + region.width + 'x' + region.height + ' at ' + region.x + ',' + region.y + ')' : '');
+    }
+
+    /**
+     * CSV with one row per reading (UTF-8 with BOM so spreadsheets keep Arabic text)
+     */
+    function historyToCsv(history) {
+        function field(value) {
+            value = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+        }
+
+        var rows = [['time', 'image', 'x', 'y', 'width', 'height', 'engine', 'chars', 'text']];
+        history.forEach(function(entry) {
+            var region = entry.region || {};
+            rows.push([new Date(entry.time).toISOString(), entry.image, region.x, region.y, region.width,
+                region.height, entry.engine, entry.charCount, entry.text]);
+        });
+
+        return '\ufeff' + rows.map(function(row) {
+            return row.map(field).join(',');
+        }).join('\r\n') + '\r\n';
+    }
+
+    function historyToJson(history) {
+        return JSON.stringify(history.map(function(entry) {
+            return Object.assign({}, entry, { time: new Date(entry.time).toISOString() });
+        }), null, 2);
+    }
+
+    /**
+     * Panel with the stored readings: search, copy again, export, clear
+     */
+    function openHistory() {
+        if (document.querySelector('.ocr-history-overlay')) {
+            return;
+        }
+
+        var overlay = document.createElement('div');
+        overlay.className = 'ocr-history-overlay';
+        overlay.innerHTML =
+            '<div class="ocr-history">' +
+                '<div class="ocr-history-header">' +
+                    '<strong>OCR history</strong>' +
+                    '<span class="ocr-history-count"></span>' +
+                    '<button type="button" class="ocr-history-close" title="Close">✕</button>' +
+                '</div>' +
+                '<input type="search" class="ocr-history-search" placeholder="Search text...">' +
+                '<ul class="ocr-history-list"></ul>' +
+                '<div class="ocr-history-actions">' +
+                    '<a class="ocr-history-csv" download="ocr-history.csv">⬇️ CSV</a>' +
+                    '<a class="ocr-history-json" download="ocr-history.json">⬇️ JSON</a>' +
+                    '<button type="button" class="ocr-history-clear">🗑️ Clear</button>' +
+                '</div>' +
+            '</div>';
+
+        overlay.querySelector('.ocr-history-search').addEventListener('input', renderHistory);
+
+        overlay.querySelector('.ocr-history-list').addEventListener('click', function(e) {
+            var button = e.target.closest('.ocr-history-copy');
+            if (!button) {
+                return;
+            }
+
+            var id = Number(button.closest('.ocr-history-item').dataset.id);
+            var entry = loadHistory().filter(function(item) {
+                return item.id === id;
+            })[0];
+            if (!entry) {
+                return;
+            }
+
+            copyToClipboard(entry.text)
+                .then(function() {
+                    showNotification('Text copied! (' + entry.charCount + ' chars)', 'success');
+                })
+                .catch(function(err) {
+                    console.error('[OCR Module] Copy failed:', err);
+                    showNotification('Failed to copy text', 'error');
+                });
+        });
+
+        overlay.querySelector('.ocr-history-clear').addEventListener('click', function() {
+            if (window.confirm('Delete all OCR history?')) {
+                localStorage.removeItem(OCR_CONFIG.HISTORY_KEY);
+                renderHistory();
+            }
+        });
+
+        overlay.querySelector('.ocr-history-close').addEventListener('click', closeHistory);
+        overlay.addEventListener('click', function(e) {
+            if (e.target === overlay) {
+                closeHistory();
+            }
+        });
+        overlay.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') {
+                closeHistory();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        renderHistory();
+        overlay.querySelector('.ocr-history-search').focus();
+    }
+
+    function closeHistory() {
+        var overlay = document.querySelector('.ocr-history-overlay');
+        if (overlay) {
+            overlay.remove();
+        }
+    }
+
+    /**
+     * Fill the open panel with the readings matching the search
+     */
+    function renderHistory() {
+        var overlay = document.querySelector('.ocr-history-overlay');
+        if (!overlay) {
+            return;
+        }
+
+        var history = loadHistory();
+        var query = overlay.querySelector('.ocr-history-search').value;
+        var shown = searchHistory(history, query);
+
+        overlay.querySelector('.ocr-history-count').textContent =
+            shown.length === history.length ? String(history.length) : shown.length + ' of ' + history.length;
+
+        var list = overlay.querySelector('.ocr-history-list');
+        list.innerHTML = '';
+
+        if (!shown.length) {
+            var empty = document.createElement('li');
+            empty.className = 'ocr-history-empty';
+            empty.textContent = history.length ? 'No matches' : 'No readings yet';
+            list.appendChild(empty);
+        }
+
+        shown.forEach(function(entry) {
+            var item = document.createElement('li');
+            item.className = 'ocr-history-item';
+            item.dataset.id = entry.id;
+            item.innerHTML =
+                '<div class="ocr-history-meta"></div>' +
+                '<div class="ocr-history-text"></div>' +
+                '<button type="button" class="ocr-history-copy" title="Copy again">📋</button>';
+            item.querySelector('.ocr-history-meta').textContent =
+                formatTime(entry.time) + ' · ' + describeSource(entry) + ' · ' + entry.charCount + ' chars';
+            item.querySelector('.ocr-history-text').textContent = entry.text;
+            list.appendChild(item);
+        });
+
+        // Exports follow the search
+        overlay.querySelector('.ocr-history-csv').href =
+            'data:text/csv;charset=utf-8,' + encodeURIComponent(historyToCsv(shown));
+        overlay.querySelector('.ocr-history-json').href =
+            'data:application/json;charset=utf-8,' + encodeURIComponent(historyToJson(shown));
+    }
+
     // ========================================================================
     // OCR FUNCTIONALITY
     // ========================================================================
@@ -180,8 +581,7 @@
 
         console.log('[OCR Module] Extracting text from ' + targetImage + '...');
 
-        ajaxPost(
-            OCR_CONFIG.ENDPOINT,
+        recognize(
             { image: targetImage },
             function(response) {
                 // Success
@@ -246,6 +646,266 @@
         );
     }
 
+    // ========================================================================
+    // REGION OCR
+    // ========================================================================
+
+    /**
+     * Let the user drag a rectangle over the captured image, then read it
+     */
+    function startRegionSelection() {
+        var image = document.querySelector(OCR_CONFIG.IMAGE_SELECTOR);
+
+        if (!image || !image.naturalWidth) {
+            showNotification('Capture an image first', 'warning');
+            return;
+        }
+
+        if (document.querySelector('.ocr-selection')) {
+            return;
+        }
+
+        // Fixed layer over the part of the image on screen - when zoomed,
+        // the image is larger than its panel and clipped by it
+        var rect = image.getBoundingClientRect();
+        var visible = rect;
+        var viewport = image.closest('.zoom-viewport');
+        if (viewport) {
+            var clip = viewport.getBoundingClientRect();
+            var left = Math.max(rect.left, clip.left);
+            var top = Math.max(rect.top, clip.top);
+            visible = {
+                left: left,
+                top: top,
+                width: Math.max(0, Math.min(rect.right, clip.right) - left),
+                height: Math.max(0, Math.min(rect.bottom, clip.bottom) - top)
+            };
+        }
+
+        var layer = document.createElement('div');
+        layer.className = 'ocr-selection';
+        layer.style.left = visible.left + 'px';
+        layer.style.top = visible.top + 'px';
+        layer.style.width = visible.width + 'px';
+        layer.style.height = visible.height + 'px';
+
+        var box = document.createElement('div');
+        box.className = 'ocr-selection-box';
+        layer.appendChild(box);
+        document.body.appendChild(layer);
+
+        var start = null;
+        var current = null;
+
+        // Position on the whole image (not the layer), in screen pixels
+        function point(event) {
+            var x = Math.min(visible.left + visible.width, Math.max(visible.left, event.clientX));
+            var y = Math.min(visible.top + visible.height, Math.max(visible.top, event.clientY));
+            return { x: x - rect.left, y: y - rect.top };
+        }
+
+        function selection() {
+            return {
+                left: Math.min(start.x, current.x),
+                top: Math.min(start.y, current.y),
+                width: Math.abs(start.x - current.x),
+                height: Math.abs(start.y - current.y)
+            };
+        }
+
+        function drawBox() {
+            var area = selection();
+            box.style.left = (area.left - (visible.left - rect.left)) + 'px';
+            box.style.top = (area.top - (visible.top - rect.top)) + 'px';
+            box.style.width = area.width + 'px';
+            box.style.height = area.height + 'px';
+            box.style.display = 'block';
+        }
+
+        function close() {
+            layer.remove();
+            document.removeEventListener('keydown', onKey, true);
+        }
+
+        function onKey(e) {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                close();
+            }
+        }
+
+        layer.addEventListener('pointerdown', function(e) {
+            start = current = point(e);
+            layer.setPointerCapture(e.pointerId);
+            e.preventDefault();
+        });
+
+        layer.addEventListener('pointermove', function(e) {
+            if (!start) {
+                return;
+            }
+            current = point(e);
+            drawBox();
+        });
+
+        layer.addEventListener('pointerup', function(e) {
+            if (!start) {
+                return;
+            }
+            current = point(e);
+            var area = selection();
+            start = null;
+
+            // A click or a tiny drag: keep waiting for a real selection
+            if (area.width < OCR_CONFIG.MIN_REGION || area.height < OCR_CONFIG.MIN_REGION) {
+                box.style.display = 'none';
+                return;
+            }
+
+            close();
+
+            // Screen pixels -> pixels of pic.jpg
+            var scale = image.naturalWidth / rect.width;
+            extractTextFromRegion({
+                x: Math.round(area.left * scale),
+                y: Math.round(area.top * scale),
+                width: Math.round(area.width * scale),
+                height: Math.round(area.height * scale)
+            }, image);
+        });
+
+        document.addEventListener('keydown', onKey, true);
+        showNotification('Drag over the text to read (Esc to cancel)');
+        console.log('[OCR Module] Region selection started');
+    }
+
+    /**
+     * Read one area of the image and show the text for editing
+     *
+     * @param {Object} region { x, y, width, height } in image pixels
+     * @param {HTMLImageElement} image Image the region was drawn on (preview)
+     */
+    function extractTextFromRegion(region, image) {
+        var button = document.getElementById(OCR_CONFIG.REGION_BUTTON_ID);
+        if (button) {
+            button.disabled = true;
+            button.classList.add('loading');
+        }
+
+        function done() {
+            if (button) {
+                button.disabled = false;
+                button.classList.remove('loading');
+            }
+        }
+
+        console.log('[OCR Module] Extracting text from region ' +
+            region.width + 'x' + region.height + ' at ' + region.x + ',' + region.y + '...');
+
+        recognize(
+            {
+                image: OCR_CONFIG.DEFAULT_IMAGE,
+                x: region.x,
+                y: region.y,
+                width: region.width,
+                height: region.height
+            },
+            function(response) {
+                done();
+                if (response.success && response.hasText) {
+                    console.log('[OCR Module] Region text found (' + response.charCount + ' chars)');
+                    showRegionResult(response.text, region, image, response.historyId);
+                } else if (response.success) {
+                    showNotification('No text found in the selected area', 'warning');
+                } else {
+                    console.error('[OCR Module] Error:', response.error);
+                    showNotification('Error: ' + response.error, 'error');
+                }
+            },
+            function(error) {
+                done();
+                console.error('[OCR Module] Request failed:', error);
+                showNotification('OCR service unavailable', 'error');
+            }
+        );
+    }
+
+    /**
+     * Editable result with a preview of the area, copied on demand
+     *
+     * @param {string} text Recognised text
+     * @param {Object} region { x, y, width, height } in image pixels
+     * @param {HTMLImageElement} image Source of the preview
+     * @param {number} historyId History entry, corrected with the copied text
+     */
+    function showRegionResult(text, region, image, historyId) {
+        closeRegionResult();
+
+        var overlay = document.createElement('div');
+        overlay.className = 'ocr-result-overlay';
+        overlay.innerHTML =
+            '<div class="ocr-result">' +
+                '<div class="ocr-result-preview"></div>' +
+                '<textarea class="ocr-result-text" rows="4" spellcheck="false"></textarea>' +
+                '<div class="ocr-result-actions">' +
+                    '<button type="button" class="ocr-result-copy">📋 Copy</button>' +
+                    '<button type="button" class="ocr-result-close">Close</button>' +
+                '</div>' +
+            '</div>';
+
+        // The selected area of the image, scaled to fit the box
+        var preview = overlay.querySelector('.ocr-result-preview');
+        var scale = Math.min(1, 320 / region.width);
+        preview.style.width = Math.round(region.width * scale) + 'px';
+        preview.style.height = Math.round(region.height * scale) + 'px';
+        preview.style.backgroundImage = 'url("' + image.src + '")';
+        preview.style.backgroundSize = Math.round(image.naturalWidth * scale) + 'px auto';
+        preview.style.backgroundPosition = -Math.round(region.x * scale) + 'px ' + -Math.round(region.y * scale) + 'px';
+
+        var textarea = overlay.querySelector('.ocr-result-text');
+        textarea.value = text;
+
+        overlay.querySelector('.ocr-result-copy').addEventListener('click', function() {
+            var edited = textarea.value;
+            if (edited !== text) {
+                updateHistoryText(historyId, edited);
+            }
+            copyToClipboard(edited)
+                .then(function() {
+                    console.log('[OCR Module] Region text copied (' + edited.length + ' chars)');
+                    showNotification('Text copied! (' + edited.length + ' chars)', 'success');
+                    closeRegionResult();
+                })
+                .catch(function(err) {
+                    console.error('[OCR Module] Copy failed:', err);
+                    showNotification('Failed to copy text', 'error');
+                });
+        });
+
+        overlay.querySelector('.ocr-result-close').addEventListener('click', closeRegionResult);
+        overlay.addEventListener('click', function(e) {
+            if (e.target === overlay) {
+                closeRegionResult();
+            }
+        });
+        overlay.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape') {
+                closeRegionResult();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        textarea.focus();
+    }
+
+    function closeRegionResult() {
+        var overlay = document.querySelector('.ocr-result-overlay');
+        if (overlay) {
+            overlay.remove();
+        }
+    }
+
     // ========================================================================
     // UI INTEGRATION
     // ========================================================================
@@ -278,10 +938,30 @@
             extractTextFromImage();
         };
 
+        var regionButton = document.createElement('button');
+        regionButton.id = OCR_CONFIG.REGION_BUTTON_ID;
+        regionButton.className = 'ocr-btn';
+        regionButton.title = 'Select an area to read (Shift+O)';
+        regionButton.innerHTML = '🔲';
+        regionButton.onclick = function() {
+            startRegionSelection();
+        };
+
+        var historyButton = document.createElement('button');
+        historyButton.id = OCR_CONFIG.HISTORY_BUTTON_ID;
+        historyButton.className = 'ocr-btn';
+        historyButton.title = 'OCR history';
+        historyButton.innerHTML = '🕘';
+        historyButton.onclick = function() {
+            openHistory();
+        };
+
         // Insert after info label content
         infoLabel.appendChild(button);
+        infoLabel.appendChild(regionButton);
+        infoLabel.appendChild(historyButton);
 
-        console.log('[OCR Module] Button added to UI');
+        console.log('[OCR Module] Buttons added to UI');
     }
 
     /**
@@ -294,14 +974,18 @@
                 return;
             }
 
-            // Check for 'O' key (OCR)
+            // Check for 'O' key (OCR), Shift+O for an area
             if (e.key.toLowerCase() === 'o' && !e.ctrlKey && !e.metaKey && !e.altKey) {
                 e.preventDefault();
-                extractTextFromImage();
+                if (e.shiftKey) {
+                    startRegionSelection();
+                } else {
+                    extractTextFromImage();
+                }
             }
         });
 
-        console.log('[OCR Module] Keyboard shortcut registered (O key)');
+        console.log('[OCR Module] Keyboard shortcuts registered (O, Shift+O)');
     }
 
     /**
@@ -345,8 +1029,15 @@
         // Watch for dynamic content changes
         setupMutationObserver();
 
-        // Expose global function for manual use
+        // Expose global functions for manual use
         window.extractTextFromImage = extractTextFromImage;
+        window.selectTextRegion = startRegionSelection;
+        window.showOcrHistory = openHistory;
+        window.recognizeText = function(image) {
+            return new Promise(function(resolve, reject) {
+                recognize({ image: image }, resolve, reject);
+            });
+        };
 
         console.log('[OCR Module] Ready');
     }
@@ -0,0 +1,219 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * OCR API
+ *
+ * Reads the text in pic.jpg or a gallery image with the engine picked in
+ * modules/manifest.json (modules/ocr/engines.php). The browser engine never
+ * calls this endpoint.
+ *
+ * Needs the admin token (?token=), like the POST actions of gallery.php:
+ * every call spends Cloud Vision quota or server CPU, so a session may read
+ * at most OCR_RATE_LIMIT images a minute.
+ *
+ * Request:  POST image (pic.jpg or gallery/<id>.jpg), optional x, y, width,
+ *           height in image pixels to read only that area (🔲 in ocr.js)
+ * Response: { success, hasText, text, charCount, engine }
+ *
+ * @category  API
+ * @package   OCR
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   1.0.0
+ * @standards PSR-12, OWASP, Clean Code
+ */
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+require_once __DIR__ . '/config/app-config.php';
+require_once __DIR__ . '/includes/utilities.php';
+require_once __DIR__ . '/config/api-keys.php';
+require_once __DIR__ . '/modules/ocr/engines.php';
+
+sendSecurityHeaders();
+sendNoCacheHeaders();
+
+// =============================================================================
+// IMAGE INPUT
+// =============================================================================
+
+/**
+ * Resolve the image parameter to a file the page may read
+ *
+ * @param string $image pic.jpg or gallery/<YYYYmmdd-HHMMSS>.jpg
+ *
+ * @return string|null Absolute path, null if not allowed or missing
+ */
+function resolveOcrImage(string $image): ?string
+{
+    if ($image === 'pic.jpg') {
+        $path = IMAGE_CAPTURE_FILE;
+    } elseif (preg_match('#^gallery/(\d{8}-\d{6})\.jpg$#', $image, $match)) {
+        $path = GALLERY_DIR . '/' . $match[1] . '.jpg';
+    } else {
+        return null;
+    }
+
+    return is_file($path) ? $path : null;
+}
+
+/**
+ * Validate a region against the image size
+ *
+ * The page rounds screen pixels to image pixels, so a region may overrun
+ * the edge by a pixel; it is clipped to the image.
+ *
+ * @param array<string, mixed> $input     Request data (x, y, width, height)
+ * @param string               $imagePath Image file
+ *
+ * @return array{x: int, y: int, width: int, height: int}|null Region, null if invalid
+ */
+function validateOcrRegion(array $input, string $imagePath): ?array
+{
+    foreach (['x', 'y', 'width', 'height'] as $name) {
+        if (!isset($input[$name]) || !ctype_digit((string)$input[$name])) {
+            return null;
+        }
+    }
+
+    $size = @getimagesize($imagePath);
+    if ($size === false) {
+        return null;
+    }
+    [$imageWidth, $imageHeight] = $size;
+
+    $x = (int)$input['x'];
+    $y = (int)$input['y'];
+    if ($x >= $imageWidth || $y >= $imageHeight) {
+        return null;
+    }
+
+    $width = min((int)$input['width'], $imageWidth - $x);
+    $height = min((int)$input['height'], $imageHeight - $y);
+    if ($width < 1 || $height < 1) {
+        return null;
+    }
+
+    return ['x' => $x, 'y' => $y, 'width' => $width, 'height' => $height];
+}
+
+/**
+ * Copy one area of an image to a temporary JPEG
+ *
+ * @param string                                         $imagePath Image file
+ * @param array{x: int, y: int, width: int, height: int} $region    Validated region
+ *
+ * @return string|null Temporary file (caller deletes it), null on failure
+ */
+function cropOcrImage(string $imagePath, array $region): ?string
+{
+    $jpeg = @imagecreatefromjpeg($imagePath);
+    if ($jpeg === false) {
+        return null;
+    }
+
+    $crop = imagecrop($jpeg, $region);
+    imagedestroy($jpeg);
+    if ($crop === false) {
+        return null;
+    }
+
+    $cropPath = tempnam(sys_get_temp_dir(), 'ocr');
+    $written = $cropPath !== false && imagejpeg($crop, $cropPath, 95);
+    imagedestroy($crop);
+
+    if (!$written) {
+        if ($cropPath !== false) {
+            @unlink($cropPath);
+        }
+        return null;
+    }
+
+    return $cropPath;
+}
+
+/**
+ * Count a reading against the session's per-minute limit
+ *
+ * @return bool False when the session is over OCR_RATE_LIMIT
+ */
+function takeOcrSlot(): bool
+{
+    $now = time();
+    $recent = array_filter($_SESSION['ocr_calls'] ?? [], static fn(int $at): bool => $now - $at < 60);
+
+    if (count($recent) >= OCR_RATE_LIMIT) {
+        return false;
+    }
+
+    $recent[] = $now;
+    $_SESSION['ocr_calls'] = array_values($recent);
+    session_write_close();
+    return true;
+}
+
+// =============================================================================
+// REQUEST HANDLING
+// =============================================================================
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendJsonResponse(['success' => false, 'error' => 'POST required'], 405);
+}
+
+validateAdminToken();
+
+if (!takeOcrSlot()) {
+    sendJsonResponse(['success' => false, 'error' => 'Too many OCR requests - try again in a minute'], 429);
+}
+
+$imagePath = resolveOcrImage((string)($_POST['image'] ?? ''));
+if ($imagePath === null) {
+    sendJsonResponse(['success' => false, 'error' => 'Image not found'], 404);
+}
+
+$cropPath = null;
+if (isset($_POST['x']) || isset($_POST['y']) || isset($_POST['width']) || isset($_POST['height'])) {
+    $region = validateOcrRegion($_POST, $imagePath);
+    if ($region === null) {
+        sendJsonResponse(['success' => false, 'error' => 'Region outside the image'], 400);
+    }
+
+    if (!extension_loaded('gd')) {
+        sendJsonResponse(['success' => false, 'error' => 'Region reading needs the PHP GD extension'], 501);
+    }
+
+    $cropPath = cropOcrImage($imagePath, $region);
+    if ($cropPath === null) {
+        logMessage("OCR crop failed: $imagePath", 'ERROR');
+        sendJsonResponse(['success' => false, 'error' => 'Failed to crop image'], 500);
+    }
+}
+
+$error = null;
+try {
+    $result = recognizeText($cropPath ?? $imagePath, loadOcrSettings());
+} catch (RuntimeException $e) {
+    $error = $e;
+}
+
+// sendJsonResponse() exits, so the crop goes before any reply
+if ($cropPath !== null) {
+    @unlink($cropPath);
+}
+
+if ($error !== null) {
+    logMessage('OCR failed: ' . $error->getMessage(), 'ERROR');
+    sendJsonResponse(['success' => false, 'error' => 'OCR service unavailable'], 503);
+}
+
+sendJsonResponse([
+    'success' => true,
+    'hasText' => $result['text'] !== '',
+    'text' => $result['text'],
+    'charCount' => mb_strlen($result['text']),
+    'engine' => $result['engine']
+]);
@@ -0,0 +1,186 @@
+/**
+ * Capture over HTTP: index.php trigger, check_new_image polling, image panel
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { openPage, PRESETS, START_TIME } from './harness/page.js';
+
+const MESSAGES = {
+    busy: 'Camera is busy. Please wait and try again.',
+    failed: 'Failed to capture image. Please try again.',
+    timeout: 'Image capture timed out. The Camera may be busy or offline. Please try again.'
+};
+
+for (const preset of PRESETS) {
+    describe(`${preset} - capture`, () => {
+        let page;
+
+        async function open(backend) {
+            page = await openPage({ preset: preset, backend: backend });
+            await page.tick(100);
+        }
+
+        afterEach(() => page.close());
+
+        it('sends the form settings and shows the new image with its size', async () => {
+            await open();
+
+            page.click('#myBut');
+            await page.tick(100);
+            assert.equal(page.$('#myBut').textContent, 'Capturing...');
+            assert.equal(page.$('#myBut').disabled, true);
+
+            await page.tick(2000);
+
+            assert.deepEqual(page.backend.captures.map(capture => capture.settings), [
+                { res: '3', comp: '5', iso: '33333', sat: '-35', rot: '0', fx: 'none', enf: '100' }
+            ]);
+            assert.match(page.$('#Image').src, /\/pic\.jpg\?v=/);
+            assert.equal(page.$('#ImageContainer').style.display, 'block');
+            assert.match(page.$('#imageSizeText').textContent, /^Image size: 1\.2 MB Time: 1\.\d\ds/);
+            assert.ok(page.$('.save-btn'), 'save button');
+            assert.ok(page.$('.ocr-btn'), 'OCR button');
+            assert.equal(page.$('#myBut').textContent, 'Capture');
+            assert.equal(page.$('#myBut').disabled, false);
+            assert.deepEqual(page.alerts, []);
+        });
+
+        it('does not report the previous pic.jpg as the new capture', async () => {
+            await open({ picTimestamp: Math.floor(START_TIME / 1000) - 3600, captureDelay: 5000 });
+
+            let completedAt = null;
+            page.window.captureImage({ onComplete: () => { completedAt = page.clock.now; } });
+            await page.tick(4000);
+            assert.equal(completedAt, null, 'still waiting for the new image');
+
+            await page.tick(2000);
+            assert.ok(completedAt >= START_TIME + 5000);
+        });
+
+        it('detects an image written in the same second as the request', async () => {
+            await open({ captureDelay: 300 });
+
+            page.click('#myBut');
+            await page.tick(1000);
+
+            assert.equal(page.backend.camera.picTimestamp, Math.floor(START_TIME / 1000));
+            assert.match(page.$('#imageSizeText').textContent, /^Image size/);
+        });
+
+        it('alerts and restores the button when the camera is busy', async () => {
+            await open({ captureReply: 'BUSY' });
+
+            page.click('#myBut');
+            await page.tick(500);
+
+            assert.deepEqual(page.alerts, [MESSAGES.busy]);
+            assert.equal(page.$('#Image'), null);
+            assert.equal(page.$('#myBut').textContent, 'Capture');
+            assert.equal(page.$('#myBut').disabled, false);
+        });
+
+        it('alerts when the trigger request fails', async () => {
+            await open({ captureReply: 'ERROR' });
+
+            page.click('#myBut');
+            await page.tick(500);
+
+            assert.deepEqual(page.alerts, [MESSAGES.failed]);
+        });
+
+        it('times out when no image arrives', async () => {
+            await open({ captureHangs: true });
+
+            page.click('#myBut');
+            await page.tick(29000);
+            assert.deepEqual(page.alerts, []);
+            assert.equal(page.app.capture.isBusy(), true);
+
+            await page.tick(2000);
+            assert.deepEqual(page.alerts, [MESSAGES.timeout]);
+            assert.equal(page.app.capture.isBusy(), false);
+            assert.equal(page.$('#myBut').disabled, false);
+        });
+
+        it('ignores a second capture while one is running', async () => {
+            await open();
+
+            page.click('#myBut');
+            await page.tick(50);
+            let result;
+            page.window.captureImage({ onComplete: error => { result = error; } });
+            await page.tick(2000);
+
+            assert.equal(result, 'Capture already in progress');
+            assert.equal(page.backend.captures.length, 1);
+        });
+
+        it('logs a failing onComplete callback and accepts the next capture', async () => {
+            await open();
+
+            page.window.captureImage({ onComplete: () => { throw new Error('callback broke'); } });
+            await page.tick(2000);
+
+            assert.ok(page.logsOf('error').some(text => text.includes('Capture handling failed')));
+            assert.equal(page.$('#myBut').disabled, false);
+
+            page.click('#myBut');
+            await page.tick(2000);
+            assert.equal(page.backend.captures.length, 2);
+        });
+
+        it('hands the camera over from live and restarts live afterwards', async () => {
+            await open();
+            page.select('#webLiveSelect', 'on');
+            await page.tick(1000);
+            assert.equal(page.app.live.isActive(), true);
+
+            page.click('#myBut');
+            await page.tick(100);
+            assert.equal(page.app.live.isActive(), false);
+            assert.equal(page.$('#webLiveSelect').value, 'off');
+            assert.deepEqual(page.backend.writesTo('tmp/web_live.tmp'), ['on', 'off']);
+
+            await page.tick(2500);
+            assert.equal(page.app.live.isActive(), true);
+            assert.equal(page.$('#webLiveSelect').value, 'on');
+            assert.deepEqual(page.backend.writesTo('tmp/web_live.tmp'), ['on', 'off', 'on']);
+        });
+
+        it('captures with the C key', async () => {
+            await open();
+
+            page.key('c');
+            await page.tick(2000);
+
+            assert.equal(page.backend.captures.length, 1);
+        });
+
+        it('copies the text ocr.php finds to the clipboard', async () => {
+            await open();
+            page.click('#myBut');
+            await page.tick(2000);
+
+            page.click('.ocr-btn');
+            await page.tick(100);
+
+            assert.equal(page.clipboard, 'PLATE 123');
+            assert.equal(page.$('.ocr-notification').textContent, 'Text copied! (9 chars)');
+            assert.equal(page.backend.requestsFor('ocr.php')[0].body, 'image=pic.jpg');
+        });
+
+        it('reports an unavailable OCR service', async () => {
+            await open({ ocr: null });
+            page.click('#myBut');
+            await page.tick(2000);
+
+            page.click('.ocr-btn');
+            await page.tick(100);
+
+            assert.equal(page.clipboard, null);
+            assert.equal(page.$('.ocr-notification').textContent, 'OCR service unavailable');
+        });
+    });
+}
@@ -0,0 +1,210 @@
+/**
+ * Capture gallery: keeping captures through gallery.php, thumbnail strip,
+ * full screen, comparison, download, delete and OCR of kept images
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { openPage, PRESETS, START_TIME } from './harness/page.js';
+
+/**
+ * Images already kept before the page opened, one a minute, newest first
+ */
+function seedGallery(count) {
+    return ({ backend }) => {
+        for (let i = 1; i <= count; i++) {
+            const time = Math.floor(START_TIME / 1000) - i * 60;
+            const id = new Date(time * 1000).toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+            backend.gallery.push({
+                id: id,
+                time: time,
+                size: 524288,
+                captureTime: 1.5,
+                settings: { res: '1', comp: '5', iso: '33333', sat: '-35', rot: '0', fx: 'none', enf: '100' },
+                url: `gallery/${id}.jpg`,
+                thumb: `gallery/${id}_thumb.jpg`
+            });
+        }
+    };
+}
+
+for (const preset of PRESETS) {
+    describe(`${preset} - gallery`, () => {
+        let page;
+
+        async function open(options) {
+            page = await openPage(Object.assign({ preset: preset }, options));
+            await page.tick(100);
+        }
+
+        async function openGallery() {
+            page.click('#galleryToggle');
+            await page.tick(100);
+        }
+
+        function thumbIds() {
+            return Array.from(page.document.querySelectorAll('.gallery-thumb')).map(thumb => thumb.dataset.id);
+        }
+
+        afterEach(() => page.close());
+
+        it('keeps each capture with the settings it was taken with', async () => {
+            await open();
+
+            page.click('#myBut');
+            await page.tick(2000);
+
+            const [keep] = page.backend.requestsFor('gallery.php');
+            assert.equal(keep.method, 'POST');
+            assert.match(keep.query, /token=test-admin-token/);
+            assert.deepEqual(page.backend.gallery.map(image => image.id), ['20250115-143001']);
+            assert.deepEqual(page.backend.gallery[0].settings,
+                { res: '3', comp: '5', iso: '33333', sat: '-35', rot: '0', fx: 'none', enf: '100' });
+            assert.ok(page.backend.gallery[0].captureTime > 1);
+            assert.match(page.$('#Image').src, /\/pic\.jpg\?v=/, 'the capture panel is unchanged');
+        });
+
+        it('does not keep captures made with history: false', async () => {
+            await open();
+
+            page.window.captureImage({ history: false });
+            await page.tick(2000);
+
+            assert.equal(page.backend.requestsFor('gallery.php').length, 0);
+            assert.equal(page.backend.gallery.length, 0);
+        });
+
+        it('lists earlier captures newest first and shows the newest', async () => {
+            await open({ beforeScripts: seedGallery(3) });
+            await openGallery();
+
+            assert.equal(page.$('#galleryPanel').style.display, 'block');
+            assert.deepEqual(thumbIds(), ['20250115-142900', '20250115-142800', '20250115-142700']);
+            assert.match(page.$('.gallery-thumb img').src, /\/gallery\/20250115-142900_thumb\.jpg$/);
+            assert.match(page.$('#galleryImage').src, /\/gallery\/20250115-142900\.jpg$/);
+            assert.match(page.$('#galleryInfo').textContent,
+                / - 512 KB in 1\.5s - Resolution 1280x960, Compression Very High, FPS 30, Image Color, Rotation 0, Effect Normal, Sharpness High$/);
+            assert.equal(page.$('#galleryMore').style.display, 'none');
+        });
+
+        it('adds new captures to the open strip', async () => {
+            await open({ beforeScripts: seedGallery(1) });
+            await openGallery();
+
+            page.click('#myBut');
+            await page.tick(2000);
+
+            assert.deepEqual(thumbIds(), ['20250115-143001', '20250115-142900']);
+            assert.match(page.$('#galleryImage').src, /20250115-142900\.jpg$/, 'the viewer stays on its image');
+        });
+
+        it('loads older images on demand', async () => {
+            await open({ beforeScripts: seedGallery(30) });
+            await openGallery();
+
+            assert.equal(thumbIds().length, 24);
+            assert.equal(page.$('#galleryMore').style.display, '');
+
+            page.click('#galleryMore');
+            await page.tick(100);
+
+            assert.equal(thumbIds().length, 30);
+            assert.match(page.backend.requestsFor('gallery.php').at(-1).query, /before=20250115-140600/);
+            assert.equal(page.$('#galleryMore').style.display, 'none');
+        });
+
+        it('says so when nothing was kept yet', async () => {
+            await open();
+            await openGallery();
+
+            assert.deepEqual(thumbIds(), []);
+            assert.equal(page.$('#galleryStatus').textContent, 'No images yet - captures are kept here');
+            assert.equal(page.$('#galleryViewer').style.display, 'none');
+        });
+
+        it('shows a picked image full screen and steps through with the arrow keys', async () => {
+            await open({ beforeScripts: seedGallery(3) });
+            await openGallery();
+
+            page.click('.gallery-thumb[data-id="20250115-142800"]');
+            page.click('#galleryFull');
+            assert.equal(page.$('#galleryLightbox').style.display, 'flex');
+            assert.match(page.$('#galleryLightboxImage').src, /20250115-142800\.jpg$/);
+
+            page.key('ArrowRight');
+            assert.match(page.$('#galleryLightboxImage').src, /20250115-142700\.jpg$/);
+            page.key('ArrowRight');
+            assert.match(page.$('#galleryLightboxImage').src, /20250115-142700\.jpg$/, 'stops at the oldest');
+            page.key('ArrowLeft');
+            page.key('ArrowLeft');
+            assert.match(page.$('#galleryLightboxImage').src, /20250115-142900\.jpg$/);
+
+            page.key('c');
+            await page.tick(2000);
+            assert.equal(page.backend.captures.length, 0, 'page shortcuts are off while full screen');
+
+            page.key('Escape');
+            assert.equal(page.$('#galleryLightbox').style.display, 'none');
+        });
+
+        it('compares two images side by side', async () => {
+            await open({ beforeScripts: seedGallery(3) });
+            await openGallery();
+
+            page.click('#galleryCompareToggle');
+            assert.equal(page.$('#galleryCompare').style.display, '');
+            assert.equal(page.$('#galleryCompareInfo').textContent, 'Pick an image from the strip to compare');
+
+            page.click('.gallery-thumb[data-id="20250115-142700"]');
+            assert.match(page.$('#galleryImage').src, /20250115-142900\.jpg$/);
+            assert.match(page.$('#galleryCompareImage').src, /20250115-142700\.jpg$/);
+            assert.ok(page.$('.gallery-thumb[data-id="20250115-142700"]').classList.contains('compared'));
+
+            page.click('#galleryCompareToggle');
+            assert.equal(page.$('#galleryCompare').style.display, 'none');
+            assert.equal(page.$('.gallery-thumb.compared'), null);
+        });
+
+        it('downloads an image under the camera name', async () => {
+            await open({ beforeScripts: seedGallery(1) });
+            await openGallery();
+
+            const download = page.$('#galleryDownload');
+            assert.match(download.href, /\/gallery\/20250115-142900\.jpg$/);
+            assert.equal(download.download, 'N.S-Cam1_20250115-142900.jpg');
+        });
+
+        it('deletes an image after confirming and moves to the next', async () => {
+            await open({ beforeScripts: seedGallery(2) });
+            await openGallery();
+
+            page.confirmReply = false;
+            page.click('#galleryDelete');
+            await page.tick(100);
+            assert.equal(page.backend.gallery.length, 2);
+
+            page.confirmReply = true;
+            page.click('#galleryDelete');
+            await page.tick(100);
+
+            assert.deepEqual(page.confirms, ['Delete this image from the gallery?', 'Delete this image from the gallery?']);
+            assert.deepEqual(page.backend.gallery.map(image => image.id), ['20250115-142800']);
+            assert.deepEqual(thumbIds(), ['20250115-142800']);
+            assert.match(page.$('#galleryImage').src, /20250115-142800\.jpg$/);
+        });
+
+        it('copies the text of a kept image', async () => {
+            await open({ beforeScripts: seedGallery(2) });
+            await openGallery();
+
+            page.click('.gallery-thumb[data-id="20250115-142800"]');
+            page.click('#galleryOcr');
+            await page.tick(100);
+
+            assert.equal(page.backend.requestsFor('ocr.php')[0].body, 'image=gallery%2F20250115-142800.jpg');
+            assert.equal(page.clipboard, 'PLATE 123');
+            assert.equal(page.$('.ocr-notification').textContent, 'Text copied! (9 chars)');
+        });
+    });
+}
@@ -0,0 +1,309 @@
+/**
+ * Fake PHP backend - stands in for index.php, mode.php, ocr.php,
+ * gallery.php and the tmp/ files the camera and the page share.
+ *
+ * Requests never leave the process: the page's fetch(), Image and
+ * sendBeacon call handle() directly, and the camera's side (a new pic.jpg,
+ * its status file going stale) runs on the page's fake clock, so scenarios
+ * are deterministic.
+ *
+ * Validation mirrors index.php's write handler, so a script that sends a
+ * value the real server would reject gets the same 400/403 here.
+ *
+ * @author  Net Storm
+ * @license Proprietary
+ */
+
+const WRITABLE_FILES = [
+    'tmp/web_live.tmp',
+    'tmp/web_live_quality.tmp',
+    'tmp/web_live_session.tmp',
+    'tmp/web_live_previous.tmp',
+    'tmp/monitor_heartbeat.tmp'
+];
+
+const CAPTURE_SETTINGS = ['res', 'comp', 'iso', 'sat', 'rot', 'fx', 'enf'];
+
+// window.ADMIN_TOKEN in fixtures/index.html
+const ADMIN_TOKEN = 'test-admin-token';
+const GALLERY_PAGE_SIZE = 24;
+
+/**
+ * @param {Object} clock { setTimeout, now } of the page (fake timers)
+ * @param {Object} [options] Initial camera state, see `camera` below
+ */
+export function createBackend(clock, options) {
+    const camera = {
+        online: true,
+        secondsSinceUpdate: 0,
+        captureReply: 'OK',         // 'OK' | 'BUSY' | 'ERROR' (500)
+        captureDelay: 1200,         // ms until pic.jpg is replaced
+        captureHangs: false,        // trigger accepted, no image ever arrives
+        picTimestamp: 0,            // filemtime(pic.jpg), seconds; 0 = no image
+        picSize: '1.2 MB',
+        picBytes: 1258291,
+        liveFrames: true,           // live.jpg exists
+        ocr: { success: true, hasText: true, text: 'PLATE 123', charCount: 9 },
+        down: false,                // every request fails (network error)
+        latency: 20,                // ms per request or image load
+        ...options
+    };
+
+    const files = {
+        'tmp/web_live.tmp': 'off',
+        'tmp/web_live_quality.tmp': '',
+        'tmp/web_live_session.tmp': '',
+        'tmp/web_live_previous.tmp': '',
+        'tmp/monitor_heartbeat.tmp': ''
+    };
+
+    const requests = [];
+    const writes = [];
+    const captures = [];
+    const gallery = [];     // kept images, newest first
+
+    // ========================================================================
+    // HANDLERS
+    // ========================================================================
+
+    function reply(status, body) {
+        return { status: status, body: body === undefined ? '' : String(body) };
+    }
+
+    function write(params) {
+        const file = params.file || '';
+        let data = params.data || '';
+
+        if (!WRITABLE_FILES.includes(file)) {
+            return reply(403, 'Forbidden file: ' + file);
+        }
+
+        if (file === 'tmp/web_live.tmp') {
+            data = ['on', 'off'].includes(data) ? data : 'off';
+        } else if (file === 'tmp/web_live_session.tmp') {
+            data = data.trim();
+            if (data !== '' && !/^\d+:[a-z0-9_]+$/i.test(data)) {
+                return reply(400, 'Invalid session format');
+            }
+        } else if (file === 'tmp/web_live_quality.tmp') {
+            const parts = data.trim().split(/\s+/).map(Number);
+            if (parts.length !== 3) {
+                return reply(400, 'Invalid format: expected "width height quality"');
+            }
+            const [width, height, quality] = parts;
+            if (width < 320 || width > 2048 || height < 240 || height > 1536 || quality < 1 || quality > 100) {
+                return reply(400, `Invalid quality values: w=${width} h=${height} q=${quality}`);
+            }
+            data = parts.join(' ');
+        }
+
+        files[file] = data;
+        writes.push({ file: file, data: data, at: clock.now() });
+        return reply(200, 'OK');
+    }
+
+    function triggerCapture(params) {
+        const settings = {};
+        CAPTURE_SETTINGS.forEach(name => { settings[name] = params[name]; });
+        captures.push({ settings: settings, at: clock.now(), via: 'http' });
+
+        if (camera.captureReply === 'BUSY') return reply(200, 'BUSY');
+        if (camera.captureReply === 'ERROR') return reply(500, 'ERROR: Failed to trigger capture');
+
+        if (!camera.captureHangs) {
+            clock.setTimeout(() => backend.storeImage(), camera.captureDelay);
+        }
+        return reply(200, 'OK');
+    }
+
+    /**
+     * 20250115-143001 - gallery.php's date('Ymd-His', filemtime(pic.jpg)) in UTC
+     */
+    function galleryId(timestamp) {
+        return new Date(timestamp * 1000).toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+    }
+
+    function galleryRequest(method, query, params) {
+        const action = params.action || query.get('action') || '';
+        const json = (status, data) => reply(status, JSON.stringify(data));
+
+        if (['keep', 'delete'].includes(action)) {
+            if (method !== 'POST') return json(405, { success: false, error: 'POST required' });
+            if (query.get('token') !== ADMIN_TOKEN) return json(403, { error: 'Unauthorized access' });
+        }
+
+        if (action === 'keep') {
+            if (!camera.picTimestamp) return json(404, { success: false, error: 'No image to keep' });
+
+            const id = galleryId(camera.picTimestamp);
+            if (gallery.some(image => image.id === id)) {
+                return json(409, { success: false, error: 'Image already in the gallery' });
+            }
+
+            const settings = {};
+            CAPTURE_SETTINGS.forEach(name => { settings[name] = params[name] || ''; });
+            const image = {
+                id: id,
+                time: camera.picTimestamp,
+                size: camera.picBytes,
+                captureTime: Number(params.captureTime) || null,
+                settings: settings,
+                url: `gallery/${id}.jpg`,
+                thumb: `gallery/${id}_thumb.jpg`
+            };
+            gallery.unshift(image);
+            return json(200, { success: true, image: image });
+        }
+
+        if (action === 'delete') {
+            const index = gallery.findIndex(image => image.id === params.id);
+            if (index === -1) return json(404, { success: false, error: 'Unknown image' });
+            gallery.splice(index, 1);
+            return json(200, { success: true });
+        }
+
+        if (action === 'list') {
+            const limit = Number(query.get('limit')) || GALLERY_PAGE_SIZE;
+            const before = query.get('before');
+            const images = before ? gallery.filter(image => image.id < before) : gallery;
+            return json(200, { success: true, images: images.slice(0, limit), more: images.length > limit });
+        }
+
+        return json(400, { success: false, error: 'Invalid action' });
+    }
+
+    function modePage() {
+        const online = camera.online && camera.secondsSinceUpdate <= 7;
+        return `<div class="glass-panel">
+    <div class="status-container">
+        <div class="status-indicator ${online ? 'online' : 'offline'}">${online ? 'Connected (Online)' : 'Disconnected (Offline)'}</div>
+    </div>
+    <div id="controlPanelState" data-show-panel="${online}" style="display:none;"></div>
+    <script>
+    (function() {
+        window.cameraOnlineStatus = ${online};
+        window.secondsSinceUpdate = ${camera.secondsSinceUpdate};
+    })();
+    </script>
+</div>`;
+    }
+
+    /**
+     * @param {string} method
+     * @param {URL}    url    Absolute URL
+     * @param {string} body   Form-encoded POST body
+     * @returns {{status: number, body: string}}
+     */
+    function route(method, url, body) {
+        const path = url.pathname.replace(/^\//, '');
+        const query = url.searchParams;
+        const params = Object.fromEntries(new URLSearchParams(body || ''));
+
+        if (path === 'index.php' && method === 'POST') {
+            if (params.action === 'write') return write(params);
+            if (params.b1 === 'inic') return triggerCapture(params);
+            return reply(200, '<!DOCTYPE html>');
+        }
+
+        if (path === 'index.php' && query.has('check_new_image')) {
+            return reply(200, camera.picTimestamp);
+        }
+
+        if (path === 'index.php' && query.has('get_image_size')) {
+            return reply(200, camera.picTimestamp ? camera.picSize : 'Unknown');
+        }
+
+        if (path === 'mode.php') {
+            return reply(200, modePage());
+        }
+
+        if (path === 'ocr.php' && method === 'POST') {
+            if (query.get('token') !== ADMIN_TOKEN) return reply(403, JSON.stringify({ error: 'Unauthorized access' }));
+            return camera.ocr ? reply(200, JSON.stringify(camera.ocr)) : reply(500, 'OCR failed');
+        }
+
+        if (path === 'gallery.php') {
+            return galleryRequest(method, query, params);
+        }
+
+        if (path.startsWith('gallery/')) {
+            const id = path.slice('gallery/'.length).replace(/(_thumb)?\.jpg$/, '');
+            return gallery.some(image => image.id === id) ? reply(200, 'JPEG') : reply(404);
+        }
+
+        if (path in files) {
+            return reply(200, files[path]);
+        }
+
+        if (path === 'pic.jpg') {
+            return camera.picTimestamp ? reply(200, 'JPEG') : reply(404);
+        }
+
+        if (path === 'live.jpg') {
+            return camera.liveFrames ? reply(200, 'JPEG') : reply(404);
+        }
+
+        if (path === 'buffer.jpg') {
+            return reply(200, 'JPEG');
+        }
+
+        return reply(404, 'Not Found');
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    const backend = {
+        camera: camera,
+        files: files,
+        requests: requests,
+        writes: writes,
+        captures: captures,
+        gallery: gallery,
+
+        /**
+         * @param {string} method
+         * @param {string} url  Absolute URL
+         * @param {string} [body]
+         * @returns {{status: number, body: string}|null} null = network error
+         */
+        handle(method, url, body) {
+            const parsed = new URL(url);
+            requests.push({ method: method, path: parsed.pathname.replace(/^\//, ''), query: parsed.search, body: body || '' });
+            return camera.down ? null : route(method, parsed, body);
+        },
+
+        /**
+         * The camera uploads a new pic.jpg (filemtime = now)
+         */
+        storeImage() {
+            camera.picTimestamp = Math.floor(clock.now() / 1000);
+        },
+
+        /**
+         * Another browser opened the live stream
+         */
+        claimLiveSession(sessionId) {
+            files['tmp/web_live_session.tmp'] = clock.now() + ':' + sessionId;
+        },
+
+        /**
+         * @param {string} file
+         * @returns {string[]} Values written to the file, oldest first
+         */
+        writesTo(file) {
+            return writes.filter(entry => entry.file === file).map(entry => entry.data);
+        },
+
+        /**
+         * @param {string} path e.g. 'live.jpg'
+         * @returns {Object[]} Requests for that path
+         */
+        requestsFor(path) {
+            return requests.filter(entry => entry.path === path);
+        }
+    };
+
+    return backend;
+}
@@ -0,0 +1,347 @@
+/**
+ * Headless page for the camera-control scripts
+ *
+ *   const page = await openPage({ preset: 'camera-control-vanilla.js', relay: true });
+ *   page.click('#myBut');
+ *   await page.tick(2000);
+ *   page.close();
+ *
+ * Every page is a fresh jsdom window with the fixture markup
+ * (fixtures/index.html), fake timers, the fake backend and optionally the
+ * fake relay. The preset and the core modules are evaluated inside that
+ * window, so scenarios never share module state.
+ *
+ * Needs `node --experimental-vm-modules` (see package.json).
+ *
+ * @author  Net Storm
+ * @license Proprietary
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import FakeTimers from '@sinonjs/fake-timers';
+
+import { createBackend } from './backend.js';
+import { createRelay } from './relay.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../..');
+const JS_DIR = path.join(ROOT, 'assets/js');
+const FIXTURE = path.join(ROOT, 'tests/browser/fixtures/index.html');
+
+const PAGE_URL = 'http://cam.test/index.php';
+const RELAY_URL = 'ws://relay.test:8080/';
+
+// Presets the scenarios run against (JS_MODE 'fast' and 'ultra')
+export const PRESETS = ['camera-control-vanilla.js', 'camera-control-ultra.js'];
+
+// Fixed start time - an arbitrary afternoon, well clear of second boundaries
+export const START_TIME = Date.UTC(2025, 0, 15, 14, 30, 0, 250);
+
+/**
+ * @param {Object}  options
+ * @param {string}  options.preset   File in assets/js, e.g. 'camera-control-ultra.js'
+ * @param {Object}  [options.backend] Initial fake backend state (backend.js)
+ * @param {boolean|Object} [options.relay] Load websocket-client.js against the fake relay
+ *                                         (object = initial relay state, relay.js)
+ * @param {string}  [options.token]  window.WEBSOCKET_TOKEN
+ * @param {Function} [options.beforeScripts] Called with the page before any script runs
+ * @returns {Promise<Object>} Page
+ */
+export async function openPage(options) {
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'info', 'warn', 'error'].forEach(level => {
+        virtualConsole.on(level, (...args) => {
+            logs.push({ level: level, text: args.map(String).join(' ') });
+            if (process.env.PAGE_CONSOLE) console.log(`[page:${level}]`, ...args);
+        });
+    });
+    virtualConsole.on('jsdomError', error => {
+        logs.push({ level: 'jsdomError', text: error.message });
+        if (process.env.PAGE_CONSOLE) console.error('[page:jsdomError]', error);
+    });
+
+    const dom = new JSDOM(fs.readFileSync(FIXTURE, 'utf8'), {
+        url: PAGE_URL,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+    const window = dom.window;
+
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+
+    const clock = FakeTimers.withGlobal(window).install({
+        now: START_TIME,
+        toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date',
+            'requestAnimationFrame', 'cancelAnimationFrame']
+    });
+    const timers = {
+        setTimeout: (fn, ms) => clock.setTimeout(fn, ms),
+        now: () => clock.now
+    };
+
+    const backend = createBackend(timers, options.backend);
+    const relay = options.relay
+        ? createRelay(timers, window, Object.assign({ onCapture: () => backend.storeImage() },
+            options.relay === true ? {} : options.relay))
+        : null;
+
+    const page = {
+        window: window,
+        document: window.document,
+        clock: clock,
+        backend: backend,
+        relay: relay,
+        logs: logs,
+        alerts: [],
+        confirms: [],
+        confirmReply: true,
+        clipboard: null,
+
+        get app() {
+            return window.CameraControl;
+        },
+
+        $(selector) {
+            return window.document.querySelector(selector);
+        },
+
+        /**
+         * Advance the fake clock, running timers and pending promises
+         */
+        tick(ms) {
+            return clock.tickAsync(ms);
+        },
+
+        /**
+         * Pick an option like the user would (fires change)
+         */
+        select(selector, value) {
+            const element = page.$(selector);
+            element.value = value;
+            element.dispatchEvent(new window.Event('change', { bubbles: true }));
+        },
+
+        click(selector) {
+            page.$(selector).dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+        },
+
+        /**
+         * Pointer (mouse or finger) event, e.g. pointer('#Image', 'pointerdown', { pointerId: 2, clientX: 10 })
+         */
+        pointer(selector, type, init) {
+            page.$(selector).dispatchEvent(new window.PointerEvent(type,
+                Object.assign({ bubbles: true, cancelable: true, pointerId: 1, pointerType: 'touch' }, init)));
+        },
+
+        /**
+         * Key press on the focused element, like a browser does
+         *
+         * @param {string} key
+         * @param {Object} [modifiers] e.g. { shiftKey: true }
+         */
+        key(key, modifiers) {
+            (window.document.activeElement || window.document.body).dispatchEvent(new window.KeyboardEvent('keydown',
+                Object.assign({ key: key, bubbles: true, cancelable: true }, modifiers)));
+        },
+
+        /**
+         * @param {string} level 'log' | 'warn' | 'error'
+         * @returns {string[]}
+         */
+        logsOf(level) {
+            return logs.filter(entry => entry.level === level).map(entry => entry.text);
+        },
+
+        close() {
+            window.dispatchEvent(new window.Event('beforeunload'));
+            clock.uninstall();
+            window.close();
+        }
+    };
+
+    installBrowserApis(page, timers);
+
+    if (relay) {
+        window.WEBSOCKET_SERVER_URL = RELAY_URL;
+        window.WEBSOCKET_CAMERA_ID = relay.options.camera;
+        window.WEBSOCKET_TOKEN = options.token || '';
+        window.WebSocket = relay.WebSocket;
+    }
+
+    if (options.beforeScripts) options.beforeScripts(page);
+
+    // Same order as index.php: classic relay scripts run while parsing,
+    // the preset module after them
+    if (relay) {
+        runScript(dom, 'websocket-protocol.js');
+        runScript(dom, 'websocket-client.js');
+    }
+    await importModule(dom, path.join(JS_DIR, options.preset));
+
+    return page;
+}
+
+// ============================================================================
+// BROWSER APIS jsdom DOESN'T HAVE
+// ============================================================================
+
+function installBrowserApis(page, timers) {
+    const { window, backend } = page;
+
+    /**
+     * @returns {{status: number, body: string}|null} null = network error
+     */
+    function serve(method, url, body) {
+        if (page.relay && new URL(url).host === new URL(RELAY_URL).host) {
+            return page.relay.handleHttp(method, url);
+        }
+        return backend.handle(method, url, body);
+    }
+
+    window.fetch = function(input, init) {
+        init = init || {};
+        const url = new URL(String(input), window.location.href).href;
+        const method = (init.method || 'GET').toUpperCase();
+        const body = init.body == null ? '' : String(init.body);
+
+        return new window.Promise((resolve, reject) => {
+            timers.setTimeout(() => {
+                const res = serve(method, url, body);
+                if (!res) {
+                    reject(new window.TypeError('Failed to fetch'));
+                    return;
+                }
+                resolve({
+                    ok: res.status >= 200 && res.status < 300,
+                    status: res.status,
+                    text: () => window.Promise.resolve(res.body),
+                    json: () => new window.Promise(done => done(window.JSON.parse(res.body)))
+                });
+            }, backend.camera.latency);
+        });
+    };
+
+    window.navigator.sendBeacon = function(url, data) {
+        serve('POST', new URL(String(url), window.location.href).href, data == null ? '' : String(data));
+        return true;
+    };
+
+    // Preload images (new Image()) load through the fake backend:
+    // 200 fires onload, anything else onerror
+    window.Image = class Image {
+        constructor() {
+            this.onload = null;
+            this.onerror = null;
+            this._src = '';
+        }
+
+        get src() {
+            return this._src;
+        }
+
+        set src(value) {
+            const url = value.startsWith('data:') ? value : new URL(value, window.location.href).href;
+            this._src = url;
+            if (url.startsWith('data:')) return;
+
+            timers.setTimeout(() => {
+                if (this._src !== url) return;  // Replaced before it loaded
+                const res = serve('GET', url);
+                const handler = res && res.status === 200 ? this.onload : this.onerror;
+                if (handler) handler.call(this, { type: res && res.status === 200 ? 'load' : 'error' });
+            }, backend.camera.latency);
+        }
+    };
+
+    window.alert = message => { page.alerts.push(String(message)); };
+    window.confirm = message => {
+        page.confirms.push(String(message));
+        return page.confirmReply;
+    };
+
+    window.document.execCommand = command => {
+        if (command !== 'copy') return false;
+        const active = window.document.activeElement;
+        page.clipboard = active && 'value' in active ? active.value : '';
+        return true;
+    };
+
+    // XMLHttpRequest (modules/ocr) - just what the scripts use
+    window.XMLHttpRequest = class XMLHttpRequest {
+        open(method, url) {
+            this.method = method;
+            this.url = new URL(url, window.location.href).href;
+        }
+
+        setRequestHeader() {}
+
+        send(body) {
+            timers.setTimeout(() => {
+                const res = serve(this.method, this.url, body == null ? '' : String(body));
+                if (!res) {
+                    if (this.onerror) this.onerror();
+                    return;
+                }
+                this.status = res.status;
+                this.responseText = res.body;
+                if (this.onload) this.onload();
+            }, backend.camera.latency);
+        }
+    };
+
+    window.PointerEvent = class PointerEvent extends window.MouseEvent {
+        constructor(type, init) {
+            super(type, init);
+            this.pointerId = init && init.pointerId !== undefined ? init.pointerId : 1;
+            this.pointerType = (init && init.pointerType) || 'mouse';
+        }
+    };
+    window.Element.prototype.setPointerCapture = () => {};
+    window.Element.prototype.releasePointerCapture = () => {};
+
+    let objectUrls = 0;
+    window.URL.createObjectURL = () => 'blob:http://cam.test/' + (++objectUrls);
+    window.URL.revokeObjectURL = () => {};
+}
+
+// ============================================================================
+// SCRIPT LOADING
+// ============================================================================
+
+function runScript(dom, file) {
+    const filename = path.join(JS_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), dom.getInternalVMContext(), { filename: filename });
+}
+
+/**
+ * Evaluate an ES module (and its imports) inside the page
+ */
+async function importModule(dom, filename) {
+    const context = dom.getInternalVMContext();
+    const modules = new Map();
+
+    function load(file) {
+        if (!modules.has(file)) {
+            modules.set(file, new vm.SourceTextModule(fs.readFileSync(file, 'utf8'), {
+                context: context,
+                identifier: pathToFileURL(file).href
+            }));
+        }
+        return modules.get(file);
+    }
+
+    const entry = load(filename);
+    await entry.link((specifier, referencing) => {
+        const from = path.dirname(fileURLToPath(referencing.identifier));
+        return load(path.resolve(from, specifier));
+    });
+    await entry.evaluate();
+    return entry.namespace;
+}
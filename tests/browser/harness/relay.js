@@ -0,0 +1,316 @@
+/**
+ * Fake WebSocket relay - stands in for websocket/vps/server.js as seen
+ * from a browser page.
+ *
+ * relay.WebSocket replaces window.WebSocket: sockets connect to this
+ * object instead of the network and every message is delivered on the
+ * page's fake clock. Both directions are checked against
+ * websocket-protocol.js, so a message the real relay would reject (or
+ * never send) shows up in relay.violations.
+ *
+ * @author  Net Storm
+ * @license Proprietary
+ */
+
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const protocol = require('../../../assets/js/websocket-protocol.js');
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+/**
+ * @param {Object} clock  { setTimeout, now } of the page (fake timers)
+ * @param {Window} window Page window (binary frames are created in its realm)
+ * @param {Object} [options] Initial relay state, see `relay.options` below
+ */
+export function createRelay(clock, window, options) {
+    const settings = {
+        reachable: true,            // false = every connection attempt fails
+        latency: 20,                // ms per message, each direction
+        camera: 'cam1',
+        cameraOnline: true,
+        cameraData: '45%,52C,120ms,-61dBm',
+        token: null,                // expected token, null = accept any
+        role: 'operator',           // 'viewer' may not capture or change settings
+        captureReply: 'done',       // 'done' | 'busy' | 'offline' | 'failed' | 'hang'
+        captureDelay: 1500,         // ms from capture to capture_done
+        settingsReply: 'ok',        // 'ok' | 'hang'
+        onCapture: null,            // called when the camera "uploads" (wire to backend.storeImage)
+        ...options
+    };
+
+    const sockets = [];
+    const received = [];
+    const violations = [];
+    let captureSeq = 0;
+
+    // lib/auth.js ROLE_PERMISSIONS
+    const VIEWER_TYPES = ['live_start', 'live_stop', 'schedule_list'];
+
+    // ========================================================================
+    // SOCKET
+    // ========================================================================
+
+    class FakeWebSocket {
+        constructor(url) {
+            this.url = url;
+            this.readyState = CONNECTING;
+            this.binaryType = 'blob';
+            this.onopen = null;
+            this.onmessage = null;
+            this.onclose = null;
+            this.onerror = null;
+            this.cameras = [];
+            sockets.push(this);
+
+            clock.setTimeout(() => {
+                if (this.readyState !== CONNECTING) return;
+                if (!settings.reachable) {
+                    fire(this, 'onerror', { type: 'error' });
+                    finishClose(this, 1006, '');
+                    return;
+                }
+                this.readyState = OPEN;
+                fire(this, 'onopen', { type: 'open' });
+            }, settings.latency);
+        }
+
+        send(data) {
+            if (this.readyState !== OPEN) {
+                throw new Error('WebSocket is not open');
+            }
+            clock.setTimeout(() => {
+                if (this.readyState === OPEN) receive(this, data);
+            }, settings.latency);
+        }
+
+        close(code, reason) {
+            if (this.readyState >= CLOSING) return;
+            this.readyState = CLOSING;
+            clock.setTimeout(() => finishClose(this, code || 1005, reason || ''), settings.latency);
+        }
+    }
+
+    FakeWebSocket.CONNECTING = CONNECTING;
+    FakeWebSocket.OPEN = OPEN;
+    FakeWebSocket.CLOSING = CLOSING;
+    FakeWebSocket.CLOSED = CLOSED;
+
+    function fire(socket, handler, event) {
+        if (typeof socket[handler] === 'function') socket[handler](event);
+    }
+
+    function finishClose(socket, code, reason) {
+        if (socket.readyState === CLOSED) return;
+        socket.readyState = CLOSED;
+        fire(socket, 'onclose', { type: 'close', code: code, reason: reason, wasClean: code !== 1006 });
+    }
+
+    // ========================================================================
+    // RELAY -> BROWSER
+    // ========================================================================
+
+    function send(socket, message) {
+        message = Object.assign({ camera: settings.camera }, message);
+        check('relayToBrowser', message);
+
+        const data = JSON.stringify(message);
+        clock.setTimeout(() => {
+            if (socket.readyState === OPEN) fire(socket, 'onmessage', { type: 'message', data: data });
+        }, settings.latency);
+    }
+
+    function broadcast(message) {
+        openSockets().forEach(socket => send(socket, message));
+    }
+
+    function respond(socket, request, outcome) {
+        if (!request.requestId) return;
+        send(socket, Object.assign({ type: 'response', requestId: request.requestId }, outcome));
+    }
+
+    function replyError(socket, request, code, message) {
+        const reply = { type: 'error', code: code, message: message };
+        if (request.requestId) reply.requestId = request.requestId;
+        send(socket, reply);
+    }
+
+    function status() {
+        return {
+            online: settings.cameraOnline,
+            data: settings.cameraData,
+            timestamp: clock.now(),
+            capturing: false,
+            liveActive: false
+        };
+    }
+
+    // ========================================================================
+    // BROWSER -> RELAY
+    // ========================================================================
+
+    function check(direction, message) {
+        const problem = protocol.validate(direction, message);
+        if (problem) violations.push({ direction: direction, message: message, problem: problem });
+        return problem;
+    }
+
+    function receive(socket, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (err) {
+            violations.push({ direction: 'browser', message: data, problem: { message: 'Invalid JSON' } });
+            return;
+        }
+
+        received.push(message);
+        if (check('browser', message)) {
+            replyError(socket, message, 'invalid_message', 'Invalid message');
+            return;
+        }
+
+        if (message.type === 'identify') {
+            if (settings.token !== null && message.token !== settings.token) {
+                socket.close(4401, 'Invalid token');
+                return;
+            }
+            socket.cameras = message.cameras || [message.camera];
+            send(socket, { type: 'init', role: settings.role, status: status(), queue: [] });
+            return;
+        }
+
+        if (settings.role === 'viewer' && !VIEWER_TYPES.includes(message.type)) {
+            replyError(socket, message, 'forbidden', 'Not permitted: ' + message.type);
+            return;
+        }
+
+        switch (message.type) {
+            case 'settings':
+                if (!settings.cameraOnline) {
+                    replyError(socket, message, 'offline', 'Camera offline');
+                } else if (settings.settingsReply === 'ok') {
+                    respond(socket, message, { ok: true, result: {} });
+                }
+                break;
+
+            case 'capture':
+                capture(socket, message);
+                break;
+
+            case 'live_start':
+            case 'live_stop':
+                respond(socket, message, { ok: true, result: { active: message.type === 'live_start' } });
+                break;
+
+            case 'schedule_list':
+                respond(socket, message, { ok: true, result: { schedules: [] } });
+                break;
+
+            default:
+                replyError(socket, message, 'unknown_type', 'Unknown message type');
+        }
+    }
+
+    function capture(socket, request) {
+        if (!settings.cameraOnline || settings.captureReply === 'offline') {
+            replyError(socket, request, 'offline', 'Camera offline');
+            return;
+        }
+        if (settings.captureReply === 'busy') {
+            replyError(socket, request, 'busy', 'Capture in progress');
+            return;
+        }
+
+        const id = String(clock.now() + ++captureSeq);
+        const startedAt = clock.now();
+        broadcast({ type: 'capture_started', id: id });
+
+        if (settings.captureReply === 'hang') return;
+
+        clock.setTimeout(() => {
+            if (settings.captureReply === 'failed') {
+                broadcast({ type: 'capture_failed', id: id, error: 'Camera error' });
+                respond(socket, request, { ok: false, code: 'capture_failed', error: 'Camera error' });
+                return;
+            }
+
+            if (settings.onCapture) settings.onCapture();
+            const done = { id: id, url: 'pic.jpg', duration: clock.now() - startedAt };
+            broadcast(Object.assign({ type: 'capture_done' }, done));
+            respond(socket, request, { ok: true, result: done });
+        }, settings.captureDelay);
+    }
+
+    function openSockets() {
+        return sockets.filter(socket => socket.readyState === OPEN);
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    return {
+        WebSocket: FakeWebSocket,
+        options: settings,
+        sockets: sockets,
+        received: received,
+        violations: violations,
+
+        /**
+         * @param {string} type
+         * @returns {Object[]} Browser messages of that type, oldest first
+         */
+        receivedOf(type) {
+            return received.filter(message => message.type === type);
+        },
+
+        openSockets: openSockets,
+
+        /**
+         * Push a relay message to every connected page
+         */
+        broadcast: broadcast,
+
+        /**
+         * Binary live frame: [1 byte ID length][camera ID][JPEG bytes]
+         */
+        sendFrame(cameraId) {
+            const id = cameraId || settings.camera;
+            const bytes = new window.Uint8Array(1 + id.length + 4);
+            bytes[0] = id.length;
+            for (let i = 0; i < id.length; i++) bytes[1 + i] = id.charCodeAt(i);
+            bytes.set([0xFF, 0xD8, 0xFF, 0xD9], 1 + id.length);
+
+            openSockets().forEach(socket => {
+                clock.setTimeout(() => {
+                    if (socket.readyState === OPEN) fire(socket, 'onmessage', { type: 'message', data: bytes.buffer });
+                }, settings.latency);
+            });
+        },
+
+        /**
+         * Server-side close of every connection (relay restart, ban, ...)
+         */
+        disconnectAll(code, reason) {
+            openSockets().forEach(socket => {
+                socket.readyState = CLOSING;
+                clock.setTimeout(() => finishClose(socket, code || 1006, reason || ''), settings.latency);
+            });
+        },
+
+        /**
+         * Relay's HTTP side (/captures, /motion) for fetch() calls to its host
+         */
+        handleHttp(method, url) {
+            const path = new URL(url).pathname;
+            if (path === '/captures') return { status: 200, body: JSON.stringify({ captures: [] }) };
+            if (path === '/motion') return { status: 200, body: JSON.stringify({ events: [] }) };
+            return { status: 404, body: JSON.stringify({ error: 'Not found' }) };
+        }
+    };
+}
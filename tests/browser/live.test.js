@@ -0,0 +1,172 @@
+/**
+ * Live stream: tmp/web_live.tmp control, session heartbeat and conflicts,
+ * live.jpg polling, quality presets, restore after a refresh
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { openPage, PRESETS, START_TIME } from './harness/page.js';
+
+const SESSION_FILE = 'tmp/web_live_session.tmp';
+
+for (const preset of PRESETS) {
+    describe(`${preset} - live`, () => {
+        let page;
+
+        async function open(options) {
+            page = await openPage(Object.assign({ preset: preset }, options));
+            await page.tick(100);
+        }
+
+        async function startLive() {
+            page.select('#webLiveSelect', 'on');
+            await page.tick(1000);
+        }
+
+        afterEach(() => page.close());
+
+        it('switches the camera on, sends the quality and polls live.jpg', async () => {
+            await open();
+            await startLive();
+
+            assert.deepEqual(page.backend.writesTo('tmp/web_live.tmp'), ['on']);
+            assert.deepEqual(page.backend.writesTo('tmp/web_live_quality.tmp'), ['480 360 8']);
+            assert.match(page.backend.files[SESSION_FILE], /^\d+:\d+_[a-z0-9]+$/);
+            assert.equal(page.$('#webLiveContainer').style.display, 'block');
+            assert.equal(page.$('#loadingIndicator'), null);
+            assert.match(page.$('#webLiveImage').src, /\/live\.jpg\?v=/);
+
+            const polled = page.backend.requestsFor('live.jpg').length;
+            await page.tick(6000);
+            assert.ok(page.backend.requestsFor('live.jpg').length >= polled + 4, 'keeps polling');
+        });
+
+        it('switches the camera off and stops polling', async () => {
+            await open();
+            await startLive();
+
+            page.select('#webLiveSelect', 'off');
+            await page.tick(100);
+            const polled = page.backend.requestsFor('live.jpg').length;
+            await page.tick(5000);
+
+            assert.deepEqual(page.backend.writesTo('tmp/web_live.tmp'), ['on', 'off']);
+            assert.equal(page.$('#webLiveContainer').style.display, 'none');
+            assert.equal(page.app.live.isActive(), false);
+            assert.equal(page.backend.requestsFor('live.jpg').length, polled);
+        });
+
+        it('toggles live with the L key', async () => {
+            await open();
+
+            page.key('l');
+            await page.tick(100);
+            assert.equal(page.$('#webLiveSelect').value, 'on');
+            assert.equal(page.app.live.isActive(), true);
+
+            page.key('l');
+            await page.tick(100);
+            assert.equal(page.$('#webLiveSelect').value, 'off');
+            assert.deepEqual(page.backend.writesTo('tmp/web_live.tmp'), ['on', 'off']);
+        });
+
+        it('keeps the session fresh with heartbeats', async () => {
+            await open();
+            await startLive();
+
+            const first = page.backend.writesTo(SESSION_FILE).length;
+            await page.tick(30000);
+
+            assert.equal(page.backend.writesTo(SESSION_FILE).length, first + 3);
+            const [timestamp] = page.backend.files[SESSION_FILE].split(':');
+            assert.ok(page.clock.now - Number(timestamp) <= 10000);
+        });
+
+        it('stops when another browser takes over the stream', async () => {
+            await open();
+            await startLive();
+
+            page.backend.claimLiveSession('1736951400000_otherpage');
+            await page.tick(2500);
+
+            assert.equal(page.app.live.isActive(), false);
+            assert.equal(page.$('#webLiveSelect').value, 'off');
+            assert.deepEqual(page.backend.writesTo('tmp/web_live.tmp'), ['on', 'off']);
+        });
+
+        it('ignores an abandoned session from another browser', async () => {
+            await open();
+            await startLive();
+
+            page.backend.files[SESSION_FILE] = (page.clock.now - 40000) + ':1736951000000_oldpage';
+            await page.tick(2500);
+
+            assert.equal(page.app.live.isActive(), true);
+        });
+
+        it('sends the chosen quality preset and remembers it', async () => {
+            await open();
+            await startLive();
+
+            page.select('#liveQuality', 'high');
+            await page.tick(100);
+
+            assert.deepEqual(page.backend.writesTo('tmp/web_live_quality.tmp'), ['480 360 8', '1024 768 32']);
+            assert.equal(page.window.localStorage.getItem('preferredQuality'), 'high');
+            assert.match(page.$('#webLiveImage').src, /buffer\.jpg$/);
+
+            await page.tick(1500);
+            assert.match(page.$('#webLiveImage').src, /\/live\.jpg\?v=/);
+        });
+
+        it('pauses after too many missing frames', async () => {
+            await open({ backend: { liveFrames: false } });
+            await startLive();
+
+            const threshold = page.app.config.LIVE_ERROR_THRESHOLD;
+            await page.tick(page.app.config.LIVE_UPDATE_INTERVAL * threshold);
+
+            assert.equal(page.app.live.isActive(), false);
+            assert.equal(page.logsOf('warn').filter(text => text.includes('Live image load failed')).length, threshold);
+            assert.match(page.$('#webLiveImage').src, /buffer\.jpg$/);
+            // Paused, not stopped: the camera isn't told to stop
+            assert.deepEqual(page.backend.writesTo('tmp/web_live.tmp'), ['on']);
+        });
+
+        it('continues its own stream after a page refresh', async () => {
+            await open({
+                beforeScripts: ({ backend }) => {
+                    backend.files['tmp/web_live.tmp'] = 'on';
+                    backend.files[SESSION_FILE] = (START_TIME - 5000) + ':1736951395000_thispage';
+                }
+            });
+            await page.tick(1000);
+
+            assert.equal(page.$('#webLiveSelect').value, 'on');
+            assert.equal(page.app.live.isActive(), true);
+        });
+
+        it('does not restart a stream nobody is watching', async () => {
+            await open({
+                beforeScripts: ({ backend }) => {
+                    backend.files['tmp/web_live.tmp'] = 'on';
+                    backend.files[SESSION_FILE] = (START_TIME - 120000) + ':1736951280000_gonepage';
+                }
+            });
+            await page.tick(1000);
+
+            assert.equal(page.app.live.isActive(), false);
+            assert.deepEqual(page.backend.writesTo('tmp/web_live.tmp'), []);
+        });
+
+        it('tells the camera to stop when the page closes', async () => {
+            await open();
+            await startLive();
+
+            page.window.dispatchEvent(new page.window.Event('beforeunload'));
+
+            assert.equal(page.backend.files['tmp/web_live.tmp'], 'off');
+        });
+    });
+}
@@ -0,0 +1,316 @@
+/**
+ * OCR module (modules/ocr/ocr.js) on top of the presets: reading a region
+ * drawn on the captured image, editing the text before copying, and the
+ * engine picked in the manifest (ocr.php or in-browser) with its fallback,
+ * and the history of readings
+ */
+
+import fs from 'node:fs';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { openPage, PRESETS, START_TIME } from './harness/page.js';
+
+const MODULE = fs.readFileSync(new URL('../../modules/ocr/ocr.js', import.meta.url), 'utf8');
+
+/**
+ * jsdom has no layout - place an element on screen
+ */
+function place(element, left, top, width, height) {
+    element.getBoundingClientRect = () => ({
+        left: left, top: top, width: width, height: height, right: left + width, bottom: top + height
+    });
+}
+
+/**
+ * Tesseract.js stand-in - records each read
+ */
+let browserReads;
+
+function fakeTesseract(window, text) {
+    browserReads = [];
+    window.Tesseract = {
+        createWorker: languages => Promise.resolve({
+            recognize: (image, options) => {
+                browserReads.push({ languages: languages, image: image, ...options });
+                return Promise.resolve({ data: { text: text + '\n' } });
+            }
+        })
+    };
+}
+
+/**
+ * Gauge readings stored earlier in the day, newest first
+ */
+const READINGS = [
+    { id: 3, time: START_TIME - 60000, image: 'pic.jpg', region: { x: 10, y: 20, width: 300, height: 100 }, text: 'GAUGE 2: 4.5 bar', charCount: 16, engine: 'cloud' },
+    { id: 2, time: START_TIME - 120000, image: 'gallery/20250115-142800.jpg', region: null, text: 'GAUGE 1: 3,9 "bar"', charCount: 18, engine: 'local' },
+    { id: 1, time: START_TIME - 180000, image: 'pic.jpg', region: null, text: 'GAUGE 2: 4.4 bar', charCount: 16, engine: 'cloud' }
+];
+
+for (const preset of PRESETS) {
+    describe(`${preset} + OCR module`, () => {
+        let page;
+
+        /**
+         * Page with the module loaded as index.php does, after one capture;
+         * the image is shown 400x300 at (0, 100)
+         *
+         * @param {Object} [options] backend, settings (manifest), browserText
+         *                           (Tesseract.js stand-in, none by default),
+         *                           history (stored readings)
+         */
+        async function open(options = {}) {
+            page = await openPage({
+                preset: preset,
+                backend: options.backend,
+                beforeScripts: ({ window }) => {
+                    window.MODULE_KEYBINDINGS = { o: 'extractText' };
+                    window.MODULE_SETTINGS = { ocr: options.settings };
+                    if ('browserText' in options) fakeTesseract(window, options.browserText);
+                    if (options.history) window.localStorage.setItem('ocrHistory', JSON.stringify(options.history));
+                    window.eval(MODULE);
+                }
+            });
+            await page.tick(100);
+            page.click('#myBut');
+            await page.tick(2000);
+
+            const image = page.$('#Image');
+            Object.defineProperty(image, 'naturalWidth', { value: 3200, configurable: true });
+            place(image, 0, 100, 400, 300);
+            place(page.$('#ImageFeed'), 0, 100, 400, 300);
+        }
+
+        function drag(from, to) {
+            page.pointer('.ocr-selection', 'pointerdown', { clientX: from[0], clientY: from[1] });
+            page.pointer('.ocr-selection', 'pointermove', { clientX: to[0], clientY: to[1] });
+            page.pointer('.ocr-selection', 'pointerup', { clientX: to[0], clientY: to[1] });
+        }
+
+        afterEach(() => page.close());
+
+        it('sends the selected area in image pixels and shows the text for editing', async () => {
+            await open();
+
+            page.click('#ocr-region-btn');
+            assert.ok(page.$('.ocr-selection'));
+
+            drag([100, 150], [200, 200]);
+            await page.tick(100);
+
+            assert.equal(page.$('.ocr-selection'), null);
+            assert.deepEqual(page.backend.requestsFor('ocr.php').map(request => request.body),
+                ['image=pic.jpg&x=800&y=400&width=800&height=400']);
+            assert.equal(page.$('.ocr-result-text').value, 'PLATE 123');
+            assert.equal(page.$('.ocr-result-preview').style.width, '320px');
+            assert.equal(page.clipboard, null, 'nothing copied before the user confirms');
+
+            page.$('.ocr-result-text').value = 'PLATE 128';
+            page.click('.ocr-result-copy');
+            await page.tick(10);
+
+            assert.equal(page.clipboard, 'PLATE 128');
+            assert.equal(page.$('.ocr-result-overlay'), null);
+            assert.equal(page.$('.ocr-notification').textContent, 'Text copied! (9 chars)');
+        });
+
+        it('maps the area through the zoom', async () => {
+            await open();
+            // Zoomed 4x: the image is 1600x1200 on screen, clipped by its panel
+            place(page.$('#Image'), -400, -200, 1600, 1200);
+
+            page.click('#ocr-region-btn');
+            assert.equal(page.$('.ocr-selection').style.width, '400px', 'only over the visible part');
+
+            drag([100, 150], [200, 250]);
+            await page.tick(100);
+
+            assert.equal(page.backend.requestsFor('ocr.php')[0].body, 'image=pic.jpg&x=1000&y=700&width=200&height=200');
+        });
+
+        it('starts a selection with Shift+O', async () => {
+            await open();
+
+            page.key('O', { shiftKey: true });
+
+            assert.ok(page.$('.ocr-selection'));
+            assert.equal(page.backend.requestsFor('ocr.php').length, 0, 'not the whole image');
+        });
+
+        it('ignores a click without a drag and cancels with Escape', async () => {
+            await open();
+            page.click('#ocr-region-btn');
+
+            drag([100, 150], [103, 152]);
+            assert.ok(page.$('.ocr-selection'), 'still selecting');
+
+            page.key('Escape');
+            await page.tick(100);
+
+            assert.equal(page.$('.ocr-selection'), null);
+            assert.equal(page.backend.requestsFor('ocr.php').length, 0);
+        });
+
+        it('says so when the area has no text', async () => {
+            await open({ backend: { ocr: { success: true, hasText: false, text: '', charCount: 0 } } });
+
+            page.click('#ocr-region-btn');
+            drag([100, 150], [200, 200]);
+            await page.tick(100);
+
+            assert.equal(page.$('.ocr-result-overlay'), null);
+            assert.equal(page.$('.ocr-notification').textContent, 'No text found in the selected area');
+        });
+
+        it('asks for a capture when there is no image yet', async () => {
+            page = await openPage({ preset: preset, beforeScripts: ({ window }) => window.eval(MODULE) });
+            await page.tick(100);
+
+            page.window.selectTextRegion();
+
+            assert.equal(page.$('.ocr-selection'), null);
+            assert.equal(page.$('.ocr-notification').textContent, 'Capture an image first');
+        });
+
+        it('reads in the browser when the manifest picks that engine', async () => {
+            await open({ settings: { engine: 'browser' }, browserText: 'METER 0042' });
+
+            page.key('o');
+            await page.tick(100);
+
+            assert.equal(page.backend.requestsFor('ocr.php').length, 0);
+            assert.equal(browserReads.length, 1);
+            assert.equal(browserReads[0].languages, 'eng+ara');
+            assert.match(browserReads[0].image, /^pic\.jpg\?v=/);
+            assert.equal(page.clipboard, 'METER 0042');
+            assert.equal(page.$('.ocr-notification').textContent, 'Text copied! (10 chars)');
+        });
+
+        it('reads only the selected area in the browser', async () => {
+            await open({ settings: { engine: 'browser' }, browserText: 'METER 0042' });
+
+            page.click('#ocr-region-btn');
+            drag([100, 150], [200, 200]);
+            await page.tick(100);
+
+            assert.deepEqual({ ...browserReads[0].rectangle }, { left: 800, top: 400, width: 800, height: 400 });
+            assert.equal(page.$('.ocr-result-text').value, 'METER 0042');
+        });
+
+        it('falls back to the browser engine when ocr.php fails', async () => {
+            await open({ backend: { ocr: null }, settings: { fallback: 'browser' }, browserText: 'METER 0042' });
+
+            page.key('o');
+            await page.tick(100);
+
+            assert.equal(page.backend.requestsFor('ocr.php').length, 1);
+            assert.equal(browserReads.length, 1);
+            assert.equal(page.clipboard, 'METER 0042');
+        });
+
+        it('leaves the fallback to the server by default', async () => {
+            await open({ backend: { ocr: null }, browserText: 'METER 0042' });
+
+            page.key('o');
+            await page.tick(100);
+
+            assert.equal(browserReads.length, 0);
+            assert.equal(page.clipboard, null);
+            assert.equal(page.$('.ocr-notification').textContent, 'OCR service unavailable');
+        });
+
+        it('reads kept gallery images with the same engine', async () => {
+            await open({ settings: { engine: 'browser' }, browserText: 'METER 0042' });
+
+            page.click('#galleryToggle');
+            await page.tick(100);
+            page.click('#galleryOcr');
+            await page.tick(100);
+
+            assert.equal(page.backend.requestsFor('ocr.php').length, 0);
+            assert.match(browserReads[0].image, /^gallery\/20250115-143001\.jpg\?v=/);
+            assert.equal(page.clipboard, 'METER 0042');
+        });
+
+        it('keeps every reading, with the corrected text of an area', async () => {
+            await open();
+
+            page.key('o');
+            await page.tick(100);
+            page.click('#ocr-region-btn');
+            drag([100, 150], [200, 200]);
+            await page.tick(100);
+            page.$('.ocr-result-text').value = 'PLATE 128';
+            page.click('.ocr-result-copy');
+            await page.tick(10);
+
+            page.click('#ocr-history-btn');
+
+            const items = page.document.querySelectorAll('.ocr-history-item');
+            assert.equal(page.$('.ocr-history-count').textContent, '2');
+            assert.deepEqual(Array.from(items, item => item.querySelector('.ocr-history-text').textContent),
+                ['PLATE 128', 'PLATE 123']);
+            assert.match(items[0].querySelector('.ocr-history-meta').textContent, / · pic\.jpg \(800x400 at 800,400\) · 9 chars$/);
+            assert.match(items[1].querySelector('.ocr-history-meta').textContent, / · pic\.jpg · 9 chars$/);
+
+            const stored = JSON.parse(page.window.localStorage.getItem('ocrHistory'));
+            assert.deepEqual(stored.map(entry => [entry.id, entry.engine, entry.time > START_TIME]),
+                [[2, 'cloud', true], [1, 'cloud', true]]);
+
+            page.key('Escape');
+            assert.equal(page.$('.ocr-history-overlay'), null);
+        });
+
+        it('searches, copies a reading again and exports what is shown', async () => {
+            await open({ history: READINGS });
+            page.click('#ocr-history-btn');
+
+            const search = page.$('.ocr-history-search');
+            const find = text => {
+                search.value = text;
+                search.dispatchEvent(new page.window.Event('input'));
+            };
+            const exported = link => decodeURIComponent(page.$(link).href.replace(/^data:[^,]*,/, ''));
+
+            find('gauge 2');
+            assert.equal(page.$('.ocr-history-count').textContent, '2 of 3');
+            assert.deepEqual(Array.from(page.document.querySelectorAll('.ocr-history-item'), item => item.dataset.id), ['3', '1']);
+
+            page.click('.ocr-history-item[data-id="1"] .ocr-history-copy');
+            await page.tick(10);
+            assert.equal(page.clipboard, 'GAUGE 2: 4.4 bar');
+
+            assert.equal(exported('.ocr-history-csv'), '﻿' +
+                'time,image,x,y,width,height,engine,chars,text\r\n' +
+                '2025-01-15T14:29:00.250Z,pic.jpg,10,20,300,100,cloud,16,GAUGE 2: 4.5 bar\r\n' +
+                '2025-01-15T14:27:00.250Z,pic.jpg,,,,,cloud,16,GAUGE 2: 4.4 bar\r\n');
+
+            find('gauge 1');
+            assert.match(exported('.ocr-history-csv'), /,local,18,"GAUGE 1: 3,9 ""bar"""\r\n$/);
+            assert.deepEqual(JSON.parse(exported('.ocr-history-json')), [{
+                id: 2, time: '2025-01-15T14:28:00.250Z', image: 'gallery/20250115-142800.jpg',
+                region: null, text: 'GAUGE 1: 3,9 "bar"', charCount: 18, engine: 'local'
+            }]);
+
+            find('pressure');
+            assert.equal(page.$('.ocr-history-empty').textContent, 'No matches');
+        });
+
+        it('clears the history after confirming', async () => {
+            await open({ history: READINGS });
+            page.click('#ocr-history-btn');
+
+            page.confirmReply = false;
+            page.click('.ocr-history-clear');
+            assert.equal(page.document.querySelectorAll('.ocr-history-item').length, 3);
+
+            page.confirmReply = true;
+            page.click('.ocr-history-clear');
+
+            assert.deepEqual(page.confirms, ['Delete all OCR history?', 'Delete all OCR history?']);
+            assert.equal(page.$('.ocr-history-empty').textContent, 'No readings yet');
+            assert.equal(page.window.localStorage.getItem('ocrHistory'), null);
+        });
+    });
+}
@@ -0,0 +1,116 @@
+/**
+ * Camera status from mode.php: control panel, offline transitions,
+ * live pause and resume
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { openPage, PRESETS } from './harness/page.js';
+
+for (const preset of PRESETS) {
+    describe(`${preset} - status`, () => {
+        let page;
+
+        async function open(backend) {
+            page = await openPage({ preset: preset, backend: backend });
+            await page.tick(100);
+        }
+
+        afterEach(() => page.close());
+
+        it('shows the control panel while the camera is online', async () => {
+            await open();
+
+            assert.equal(page.$('#id1 .status-indicator').textContent, 'Connected (Online)');
+            assert.equal(page.$('#myForm').style.display, 'block');
+            assert.equal(page.app.status.isOnline(), true);
+        });
+
+        it('treats a status updated this very second as online', async () => {
+            await open({ secondsSinceUpdate: 0 });
+
+            assert.equal(page.window.secondsSinceUpdate, 0);
+            assert.equal(page.app.status.isOnline(), true);
+        });
+
+        it('hides the control panel while the camera is offline', async () => {
+            await open({ online: false, secondsSinceUpdate: 120 });
+
+            assert.equal(page.$('#id1 .status-indicator').textContent, 'Disconnected (Offline)');
+            assert.equal(page.$('#myForm').style.display, 'none');
+            assert.equal(page.app.status.isOnline(), false);
+        });
+
+        it('refreshes the status every interval', async () => {
+            await open();
+
+            page.backend.camera.secondsSinceUpdate = 30;
+            await page.tick(page.app.config.STATUS_UPDATE_INTERVAL);
+
+            assert.equal(page.$('#myForm').style.display, 'none');
+            assert.equal(page.app.status.isOnline(), false);
+        });
+
+        it('pauses live while the camera is offline and resumes when it returns', async () => {
+            await open();
+            page.select('#webLiveSelect', 'on');
+            await page.tick(1000);
+
+            page.backend.camera.secondsSinceUpdate = 30;
+            await page.tick(4000);
+            assert.equal(page.app.live.isActive(), true, 'short outages are tolerated');
+
+            await page.tick(6000);
+            assert.equal(page.app.live.isActive(), false);
+            assert.match(page.$('#webLiveImage').src, /buffer\.jpg$/);
+            const polled = page.backend.requestsFor('live.jpg').length;
+
+            await page.tick(10000);
+            assert.equal(page.backend.requestsFor('live.jpg').length, polled, 'no polling while offline');
+
+            page.backend.camera.secondsSinceUpdate = 1;
+            await page.tick(3000);
+            assert.equal(page.app.live.isActive(), true);
+            assert.equal(page.$('#webLiveSelect').value, 'on');
+            assert.deepEqual(page.backend.writesTo('tmp/web_live.tmp'), ['on', 'on']);
+        });
+
+        it('does not start live on reconnect when it was off', async () => {
+            await open();
+
+            page.backend.camera.secondsSinceUpdate = 30;
+            await page.tick(12000);
+            page.backend.camera.secondsSinceUpdate = 1;
+            await page.tick(3000);
+
+            assert.equal(page.app.live.isActive(), false);
+            assert.deepEqual(page.backend.writesTo('tmp/web_live.tmp'), []);
+        });
+
+        it('shows "Camera Offline" when the server stops answering', async () => {
+            await open();
+
+            page.backend.camera.down = true;
+            await page.tick(page.app.config.STATUS_UPDATE_INTERVAL + 1000);
+
+            assert.equal(page.$('#id1').textContent, 'Camera Offline');
+            assert.equal(page.app.status.isOnline(), false);
+            assert.equal(page.backend.requestsFor('mode.php').length, 1 + 3, 'first load plus one try and two retries');
+
+            page.backend.camera.down = false;
+            await page.tick(page.app.config.STATUS_UPDATE_INTERVAL);
+            assert.equal(page.app.status.isOnline(), true);
+        });
+
+        it('warns when the browser itself is offline', async () => {
+            await open();
+
+            Object.defineProperty(page.window.navigator, 'onLine', { value: false, configurable: true });
+            await page.tick(page.app.config.STATUS_UPDATE_INTERVAL);
+
+            assert.equal(page.alerts.length, 1);
+            assert.match(page.alerts[0], /^Web browser without internet connection/);
+        });
+    });
+}
@@ -0,0 +1,251 @@
+/**
+ * websocket-client.js against the fake relay: captures through the relay,
+ * errors, binary live frames and the fallback to HTTP polling
+ */
+
+import fs from 'node:fs';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { openPage, PRESETS } from './harness/page.js';
+
+const SETTINGS_LINE = '3 5 33333 -35 0 none 100';
+
+/**
+ * Record window events (ws:connected, ws:fallback, ...) from the first script on
+ */
+function recordEvents(names) {
+    const events = [];
+    return {
+        events: events,
+        beforeScripts: page => names.forEach(name => {
+            page.window.addEventListener(name, () => events.push(name));
+        })
+    };
+}
+
+for (const preset of PRESETS) {
+    describe(`${preset} + websocket-client.js`, () => {
+        let page;
+
+        async function open(relay, options) {
+            page = await openPage(Object.assign({ preset: preset, relay: relay || true }, options));
+            await page.tick(100);
+        }
+
+        afterEach(() => {
+            assert.deepEqual(page.relay.violations, [], 'protocol violations');
+            page.close();
+        });
+
+        it('identifies as a browser for its camera', async () => {
+            await open(true, { token: 'signed-token' });
+
+            assert.deepEqual(page.relay.receivedOf('identify'), [
+                { type: 'identify', role: 'browser', cameras: ['cam1'], token: 'signed-token' }
+            ]);
+            assert.equal(page.window.CameraWS.isConnected(), true);
+            assert.equal(page.app.transport.name, 'ws');
+        });
+
+        it('captures through the relay without polling index.php', async () => {
+            await open();
+
+            page.click('#myBut');
+            await page.tick(100);
+            assert.equal(page.$('#myBut').textContent, 'Capturing...');
+            await page.tick(2000);
+
+            assert.deepEqual(page.relay.received.map(message => message.type), ['identify', 'settings', 'capture']);
+            assert.equal(page.relay.receivedOf('settings')[0].data, SETTINGS_LINE);
+            assert.equal(page.backend.captures.length, 0);
+            assert.equal(page.backend.requests.filter(request => request.query.includes('check_new_image')).length, 1,
+                'only the initial check_new_image');
+            assert.match(page.$('#imageSizeText').textContent, /^Image size: 1\.2 MB Time: 1\.\d\ds/);
+            assert.equal(page.$('#myBut').disabled, false);
+            assert.deepEqual(page.alerts, []);
+        });
+
+        it('shows the busy message when the relay reports a capture in progress', async () => {
+            await open({ captureReply: 'busy' });
+
+            page.click('#myBut');
+            await page.tick(500);
+
+            assert.deepEqual(page.alerts, ['Camera is busy. Please wait and try again.']);
+            assert.equal(page.backend.captures.length, 0);
+        });
+
+        it('shows the relay error when the camera is offline', async () => {
+            await open({ captureReply: 'offline' });
+
+            page.click('#myBut');
+            await page.tick(500);
+
+            assert.deepEqual(page.alerts, ['Camera offline']);
+            assert.equal(page.backend.captures.length, 0, 'no second attempt over HTTP');
+        });
+
+        it('times out when the camera never uploads', async () => {
+            await open({ captureReply: 'hang' });
+
+            page.click('#myBut');
+            await page.tick(60000);
+            assert.deepEqual(page.alerts, []);
+
+            await page.tick(6000);
+            assert.deepEqual(page.alerts, ['Image capture timed out. The Camera may be busy or offline. Please try again.']);
+            assert.equal(page.$('#myBut').disabled, false);
+        });
+
+        it('times out when the camera never acknowledges the settings', async () => {
+            await open({ settingsReply: 'hang' });
+
+            page.click('#myBut');
+            await page.tick(16000);
+
+            assert.deepEqual(page.alerts, ['Image capture timed out. The Camera may be busy or offline. Please try again.']);
+            assert.equal(page.relay.receivedOf('capture').length, 0);
+        });
+
+        it('fails a capture cut off by a disconnect without retrying over HTTP', async () => {
+            await open({ captureReply: 'hang' });
+
+            page.click('#myBut');
+            await page.tick(500);
+            page.relay.disconnectAll(1006);
+            await page.tick(100);
+
+            assert.deepEqual(page.alerts, ['WebSocket disconnected']);
+            assert.equal(page.backend.captures.length, 0);
+        });
+
+        it('captures over HTTP with a viewer token the relay refuses', async () => {
+            await open({ role: 'viewer' });
+
+            page.click('#myBut');
+            await page.tick(3000);
+
+            assert.deepEqual(page.relay.received.map(message => message.type), ['identify', 'settings']);
+            assert.equal(page.backend.captures.length, 1);
+            assert.match(page.$('#imageSizeText').textContent, /^Image size/);
+            assert.deepEqual(page.alerts, []);
+        });
+
+        it('uses HTTP while disconnected and the relay again once reconnected', async () => {
+            await open();
+
+            page.relay.options.reachable = false;
+            page.relay.disconnectAll(1006);
+            await page.tick(100);
+            assert.equal(page.window.CameraWS.isConnected(), false);
+            assert.equal(page.app.transport.name, 'http');
+
+            page.click('#myBut');
+            await page.tick(2000);
+            assert.equal(page.backend.captures.length, 1);
+            assert.equal(page.relay.receivedOf('capture').length, 0);
+
+            page.relay.options.reachable = true;
+            await page.tick(5000);
+            assert.equal(page.window.CameraWS.isConnected(), true);
+
+            page.click('#myBut');
+            await page.tick(2000);
+            assert.equal(page.backend.captures.length, 1);
+            assert.equal(page.relay.receivedOf('capture').length, 1);
+        });
+
+        it('falls back to HTTP mode when the relay is unreachable and retries later', async () => {
+            const recorder = recordEvents(['ws:connected', 'ws:disconnected', 'ws:fallback']);
+            await open({ reachable: false }, { beforeScripts: recorder.beforeScripts });
+            await page.tick(4000);
+            assert.equal(page.window.CameraWS.isHttpMode(), false, 'MAX_FAILURES attempts first');
+
+            await page.tick(2000);
+            assert.equal(page.window.CameraWS.isHttpMode(), true);
+            assert.deepEqual(recorder.events, ['ws:disconnected', 'ws:disconnected', 'ws:fallback']);
+            const attempts = page.relay.sockets.length;
+
+            page.click('#myBut');
+            await page.tick(2000);
+            assert.equal(page.backend.captures.length, 1);
+            assert.match(page.$('#imageSizeText').textContent, /^Image size/);
+
+            page.relay.options.reachable = true;
+            await page.tick(50000);
+            assert.equal(page.relay.sockets.length, attempts, 'no attempts during the pause');
+
+            await page.tick(10000);
+            assert.equal(page.window.CameraWS.isConnected(), true);
+            assert.equal(page.window.CameraWS.isHttpMode(), false);
+            assert.equal(recorder.events.at(-1), 'ws:connected');
+        });
+
+        it('falls back to HTTP mode when the token is rejected', async () => {
+            const recorder = recordEvents(['ws:unauthorized', 'ws:fallback']);
+            await open({ token: 'expected' }, { token: 'stale', beforeScripts: recorder.beforeScripts });
+
+            assert.deepEqual(recorder.events, ['ws:unauthorized', 'ws:fallback']);
+            assert.equal(page.window.CameraWS.isHttpMode(), true);
+
+            page.click('#myBut');
+            await page.tick(2000);
+            assert.equal(page.backend.captures.length, 1);
+        });
+
+        it('shows binary live frames and stops polling live.jpg while they flow', async () => {
+            await open();
+            page.select('#webLiveSelect', 'on');
+            await page.tick(1000);
+            assert.match(page.$('#webLiveImage').src, /\/live\.jpg\?v=/);
+
+            const polled = page.backend.requestsFor('live.jpg').length;
+            for (let i = 0; i < 10; i++) {
+                page.relay.sendFrame();
+                await page.tick(500);
+            }
+
+            assert.match(page.$('#webLiveImage').src, /^blob:/);
+            assert.equal(page.window.CameraWS.isStreaming(), true);
+            assert.ok(page.backend.requestsFor('live.jpg').length <= polled + 1, 'polling skipped');
+
+            // Frames stop - polling takes over again
+            await page.tick(6000);
+            assert.equal(page.window.CameraWS.isStreaming(), false);
+            assert.ok(page.backend.requestsFor('live.jpg').length >= polled + 2);
+        });
+
+        it('ignores frames for other cameras', async () => {
+            await open();
+            page.select('#webLiveSelect', 'on');
+            await page.tick(1000);
+
+            page.relay.sendFrame('cam2');
+            await page.tick(100);
+
+            assert.doesNotMatch(page.$('#webLiveImage').src, /^blob:/);
+            assert.equal(page.window.CameraWS.isStreaming(), false);
+        });
+    });
+}
+
+describe('websocket-client.js without a relay configured', () => {
+    it('stays disabled and the page captures over HTTP', async () => {
+        const page = await openPage({
+            preset: 'camera-control-vanilla.js',
+            beforeScripts: ({ window }) => {
+                window.eval(fs.readFileSync(new URL('../../assets/js/websocket-client.js', import.meta.url), 'utf8'));
+            }
+        });
+        await page.tick(100);
+
+        assert.equal(page.window.CameraWS.enabled, false);
+        assert.equal(page.app.transport.name, 'http');
+
+        page.click('#myBut');
+        await page.tick(2000);
+        assert.equal(page.backend.captures.length, 1);
+        page.close();
+    });
+});
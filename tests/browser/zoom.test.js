@@ -0,0 +1,170 @@
+/**
+ * Zoom viewer on the live stream and the captured image: pinch, wheel,
+ * pan, double-tap reset, 1:1 pixels, full screen
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { openPage, PRESETS } from './harness/page.js';
+
+/**
+ * jsdom has no layout - give the panel and its image the sizes a phone would
+ */
+function layout(page, viewport, image) {
+    Object.defineProperties(page.$(viewport), {
+        clientWidth: { value: 400, configurable: true },
+        clientHeight: { value: 300, configurable: true }
+    });
+    Object.defineProperties(page.$(image), {
+        clientWidth: { value: 400, configurable: true },
+        naturalWidth: { value: 3200, configurable: true }
+    });
+}
+
+for (const preset of PRESETS) {
+    describe(`${preset} - zoom`, () => {
+        let page;
+
+        async function openLive() {
+            page = await openPage({ preset: preset });
+            await page.tick(100);
+            page.select('#webLiveSelect', 'on');
+            await page.tick(1000);
+            layout(page, '#liveFeed', '#webLiveImage');
+        }
+
+        // Copied out of the page's realm so deepEqual compares values only
+        function zoomState() {
+            return { ...page.app.zoom.live.getState() };
+        }
+
+        function transform(viewport) {
+            return page.$(viewport + ' .zoom-content').style.transform;
+        }
+
+        function pinch(from, to) {
+            page.pointer('#webLiveImage', 'pointerdown', { pointerId: 1, clientX: 100, clientY: 100 });
+            page.pointer('#webLiveImage', 'pointerdown', { pointerId: 2, clientX: 100 + from, clientY: 100 });
+            page.pointer('#webLiveImage', 'pointermove', { pointerId: 2, clientX: 100 + to, clientY: 100 });
+            page.pointer('#webLiveImage', 'pointerup', { pointerId: 2, clientX: 100 + to, clientY: 100 });
+            page.pointer('#webLiveImage', 'pointerup', { pointerId: 1, clientX: 100, clientY: 100 });
+        }
+
+        afterEach(() => page.close());
+
+        it('zooms the live image with a pinch around the fingers', async () => {
+            await openLive();
+
+            pinch(100, 200);
+
+            // Fingers end centred on (200, 100) at twice the distance
+            assert.deepEqual(zoomState(), { scale: 2, x: -200, y: -100 });
+            assert.equal(transform('#liveFeed'), 'translate(-200px, -100px) scale(2)');
+            assert.ok(page.$('#liveFeed').classList.contains('zoomed'));
+        });
+
+        it('zooms with the wheel and lets the page scroll at fit size', async () => {
+            await openLive();
+
+            const wheel = deltaY => page.$('#webLiveImage').dispatchEvent(new page.window.WheelEvent('wheel',
+                { bubbles: true, cancelable: true, deltaY: deltaY, clientX: 0, clientY: 0 }));
+
+            assert.equal(wheel(100), true, 'not prevented');
+            assert.equal(zoomState().scale, 1);
+
+            assert.equal(wheel(-Math.log(4) / 0.002), false);
+            assert.ok(Math.abs(zoomState().scale - 4) < 1e-9);
+
+            wheel(-10000);
+            assert.equal(zoomState().scale, page.app.config.ZOOM_MAX);
+        });
+
+        it('pans a zoomed image by dragging and stops at its edges', async () => {
+            await openLive();
+
+            page.pointer('#webLiveImage', 'pointerdown', { clientX: 200, clientY: 150 });
+            page.pointer('#webLiveImage', 'pointermove', { clientX: 100, clientY: 150 });
+            page.pointer('#webLiveImage', 'pointerup', { clientX: 100, clientY: 150 });
+            assert.equal(transform('#liveFeed'), '', 'no panning at fit size');
+
+            pinch(100, 200);
+            page.pointer('#webLiveImage', 'pointerdown', { clientX: 200, clientY: 150 });
+            page.pointer('#webLiveImage', 'pointermove', { clientX: 150, clientY: 120 });
+            assert.deepEqual(zoomState(), { scale: 2, x: -250, y: -130 });
+
+            page.pointer('#webLiveImage', 'pointermove', { clientX: -1000, clientY: -1000 });
+            page.pointer('#webLiveImage', 'pointerup', { clientX: -1000, clientY: -1000 });
+            assert.deepEqual(zoomState(), { scale: 2, x: -400, y: -300 });
+        });
+
+        it('keeps the zoom while new live frames arrive', async () => {
+            await openLive();
+            pinch(100, 300);
+            const zoomed = transform('#liveFeed');
+            const src = page.$('#webLiveImage').src;
+
+            await page.tick(6000);
+
+            assert.notEqual(page.$('#webLiveImage').src, src, 'frames were refreshed');
+            assert.equal(transform('#liveFeed'), zoomed);
+        });
+
+        it('resets with a double tap', async () => {
+            await openLive();
+            pinch(100, 200);
+
+            page.pointer('#webLiveImage', 'pointerdown', { clientX: 50, clientY: 50 });
+            page.pointer('#webLiveImage', 'pointerup', { clientX: 50, clientY: 50 });
+            await page.tick(400);
+            page.pointer('#webLiveImage', 'pointerdown', { clientX: 50, clientY: 50 });
+            page.pointer('#webLiveImage', 'pointerup', { clientX: 50, clientY: 50 });
+            assert.equal(zoomState().scale, 2, 'too slow for a double tap');
+
+            await page.tick(200);
+            page.pointer('#webLiveImage', 'pointerdown', { clientX: 52, clientY: 50 });
+            page.pointer('#webLiveImage', 'pointerup', { clientX: 52, clientY: 50 });
+
+            assert.deepEqual(zoomState(), { scale: 1, x: 0, y: 0 });
+            assert.equal(transform('#liveFeed'), '');
+        });
+
+        it('shows 1:1 pixels around the centre and goes back to fit', async () => {
+            await openLive();
+
+            page.click('#liveFeed .zoom-one');
+            assert.deepEqual(zoomState(), { scale: 8, x: -1400, y: -1050 });
+
+            page.click('#liveFeed .zoom-one');
+            assert.deepEqual(zoomState(), { scale: 1, x: 0, y: 0 });
+        });
+
+        it('toggles full screen, and Escape leaves it', async () => {
+            await openLive();
+
+            page.click('#liveFeed .zoom-full');
+            assert.ok(page.$('#liveFeed').classList.contains('zoom-fullscreen'));
+
+            page.key('Escape');
+            assert.ok(!page.$('#liveFeed').classList.contains('zoom-fullscreen'));
+        });
+
+        it('zooms the captured image from the first capture on', async () => {
+            page = await openPage({ preset: preset });
+            await page.tick(100);
+            assert.equal(page.app.zoom.image, undefined);
+
+            page.click('#myBut');
+            await page.tick(2000);
+            layout(page, '#ImageFeed', '#Image');
+
+            assert.ok(page.$('#ImageFeed .zoom-content #Image'));
+            page.app.zoom.image.zoomAt(3, 0, 0);
+
+            page.click('#myBut');
+            await page.tick(2000);
+            assert.equal(page.$('#ImageFeed .zoom-content').style.transform, 'translate(0px, 0px) scale(3)');
+            assert.equal(page.document.querySelectorAll('#ImageFeed .zoom-toolbar').length, 1);
+        });
+    });
+}
@@ -0,0 +1,520 @@
+<?php
+
+declare(strict_types=1);
+
+/**
+ * Time-lapse Storage API
+ *
+ * Keeps every frame of a time-lapse run instead of letting the next capture
+ * overwrite pic.jpg. The browser drives the run (capture, then `keep`); this
+ * endpoint copies each new pic.jpg into timelapse/<session>/ and exports a
+ * run as an animated GIF or a zip.
+ *
+ * Actions:
+ * - POST start  (interval, duration)  → session
+ * - POST keep   (session)             → copy current pic.jpg as the next frame
+ * - POST stop   (session)
+ * - POST delete (session)
+ * - GET  list                         → sessions, newest first
+ * - GET  frames (session)             → session with frame URLs
+ * - GET  export (session, format=gif|zip) → download
+ *
+ * POST actions need the admin token (?token=), like admin/*.php.
+ *
+ * @category  API
+ * @package   TimeLapse
+ * @author    Net Storm
+ * @license   Proprietary
+ * @version   2.0.0
+ * @standards PSR-12, OWASP, Clean Code
+ */
+
+// =============================================================================
+// INITIALIZATION
+// =============================================================================
+
+require_once __DIR__ . '/config/app-config.php';
+require_once __DIR__ . '/includes/utilities.php';
+
+sendSecurityHeaders();
+sendNoCacheHeaders();
+
+// =============================================================================
+// SESSION STORAGE
+// =============================================================================
+
+/**
+ * Resolve a session ID to its folder
+ *
+ * @param string $sessionId Session ID (YYYYmmdd-HHMMSS)
+ *
+ * @return string|null Absolute folder path, null if the ID is malformed
+ */
+function sessionDir(string $sessionId): ?string
+{
+    if (!preg_match('/^\d{8}-\d{6}$/', $sessionId)) {
+        return null;
+    }
+    return TIMELAPSE_DIR . '/' . $sessionId;
+}
+
+/**
+ * Load a session's metadata
+ *
+ * @param string $sessionId Session ID
+ *
+ * @return array<string, mixed>|null Session data, null if it does not exist
+ */
+function loadSession(string $sessionId): ?array
+{
+    $dir = sessionDir($sessionId);
+    if ($dir === null || !is_file($dir . '/session.json')) {
+        return null;
+    }
+
+    $session = json_decode((string)file_get_contents($dir . '/session.json'), true);
+    return is_array($session) ? $session : null;
+}
+
+/**
+ * Save a session's metadata
+ *
+ * @param array<string, mixed> $session Session data
+ *
+ * @return bool True on success
+ */
+function saveSession(array $session): bool
+{
+    $json = (string)json_encode($session, JSON_UNESCAPED_SLASHES | JSON_PRETTY_PRINT);
+    return writeFileAtomic(sessionDir($session['id']) . '/session.json', $json);
+}
+
+/**
+ * Delete a session folder and its frames
+ *
+ * @param string $sessionId Session ID
+ *
+ * @return void
+ */
+function deleteSession(string $sessionId): void
+{
+    $dir = sessionDir($sessionId);
+    if ($dir === null || !is_dir($dir)) {
+        return;
+    }
+
+    foreach (glob($dir . '/*') ?: [] as $file) {
+        @unlink($file);
+    }
+    @rmdir($dir);
+}
+
+/**
+ * All sessions, newest first
+ *
+ * @return array<int, array<string, mixed>>
+ */
+function listSessions(): array
+{
+    $sessions = [];
+    foreach (glob(TIMELAPSE_DIR . '/*/session.json') ?: [] as $file) {
+        $session = loadSession(basename(dirname($file)));
+        if ($session !== null) {
+            $sessions[] = $session;
+        }
+    }
+
+    usort($sessions, static fn(array $a, array $b): int => $b['startedAt'] <=> $a['startedAt']);
+    return $sessions;
+}
+
+/**
+ * Whether a session is over: stopped, or past its duration
+ *
+ * The browser drives the run and stops it from unload(); a crashed tab, a
+ * sleeping device or a lost beacon leaves stoppedAt unset for good.
+ *
+ * @param array<string, mixed> $session Session data
+ *
+ * @return bool
+ */
+function isSessionFinished(array $session): bool
+{
+    return $session['stoppedAt'] !== null || time() >= $session['startedAt'] + $session['duration'];
+}
+
+/**
+ * Delete the oldest finished sessions so a new one fits
+ *
+ * @return void
+ */
+function pruneSessions(): void
+{
+    $sessions = listSessions();
+    $finished = array_values(array_filter($sessions, 'isSessionFinished'));
+    $excess = count($sessions) - TIMELAPSE_MAX_SESSIONS + 1;
+
+    for ($i = count($finished) - 1; $i >= 0 && $excess > 0; $i--, $excess--) {
+        deleteSession($finished[$i]['id']);
+        logMessage("Time-lapse pruned: {$finished[$i]['id']}", 'INFO');
+    }
+}
+
+/**
+ * Session summary for the browser (frame URLs instead of file names)
+ *
+ * @param array<string, mixed> $session    Session data
+ * @param bool                 $withFrames Include the frame list
+ *
+ * @return array<string, mixed>
+ */
+function describeSession(array $session, bool $withFrames): array
+{
+    $frames = $session['frames'];
+    unset($session['frames']);
+    $session['frameCount'] = count($frames);
+
+    if ($withFrames) {
+        $session['frames'] = array_map(static fn(array $frame): array => [
+            'url' => 'timelapse/' . $session['id'] . '/' . $frame['file'],
+            'time' => $frame['time'],
+            'size' => $frame['size']
+        ], $frames);
+    }
+
+    return $session;
+}
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+/**
+ * Build an animated GIF from JPEG frames with GD
+ *
+ * GD only writes single-frame GIFs, so each frame is encoded on its own and
+ * its image block is copied into one animated file, with the frame's palette
+ * as a local color table.
+ *
+ * Every frame is scaled to the size of the first one that decodes.
+ *
+ * @param array<int, string> $files JPEG paths in order
+ * @param int                $width Output width in pixels
+ * @param int                $delay Delay per frame in 1/100 s
+ *
+ * @return string|null GIF data, null if no frame could be decoded
+ */
+function buildAnimatedGif(array $files, int $width, int $delay): ?string
+{
+    $frames = '';
+    $height = 0;
+
+    foreach ($files as $file) {
+        $jpeg = @imagecreatefromjpeg($file);
+        if ($jpeg === false) {
+            continue;
+        }
+
+        $image = $height === 0 ? imagescale($jpeg, $width) : imagescale($jpeg, $width, $height);
+        imagedestroy($jpeg);
+        if ($image === false) {
+            continue;
+        }
+        imagetruecolortopalette($image, true, 256);
+        if ($height === 0) {
+            $height = imagesy($image);
+        }
+
+        ob_start();
+        imagegif($image);
+        $gif = (string)ob_get_clean();
+        imagedestroy($image);
+
+        $frames .= gifFrame($gif, $delay);
+    }
+
+    if ($frames === '') {
+        return null;
+    }
+
+    // Header, logical screen (no global palette), loop forever
+    return 'GIF89a'
+        . pack('vv', $width, $height) . "\x70\x00\x00"
+        . "\x21\xFF\x0BNETSCAPE2.0\x03\x01\x00\x00\x00"
+        . $frames
+        . "\x3B";
+}
+
+/**
+ * Turn a single-frame GIF (as written by GD) into an animation frame
+ *
+ * @param string $gif   Complete GIF file
+ * @param int    $delay Delay in 1/100 s
+ *
+ * @return string Graphic control extension + image descriptor + data
+ */
+function gifFrame(string $gif, int $delay): string
+{
+    $screen = ord($gif[10]);
+    $offset = 13;
+    $palette = '';
+    $paletteBits = 0;
+
+    if ($screen & 0x80) {
+        $paletteBits = $screen & 0x07;
+        $paletteSize = 3 * (2 << $paletteBits);
+        $palette = substr($gif, $offset, $paletteSize);
+        $offset += $paletteSize;
+    }
+
+    // Skip extensions GD may add before the image
+    while ($gif[$offset] === "\x21") {
+        $offset += 2;
+        while (($size = ord($gif[$offset])) !== 0) {
+            $offset += $size + 1;
+        }
+        $offset++;
+    }
+
+    $descriptor = substr($gif, $offset, 10);
+    $flags = ord($descriptor[9]);
+    $offset += 10;
+
+    // A local palette wins over the global one
+    if ($flags & 0x80) {
+        $paletteBits = $flags & 0x07;
+        $paletteSize = 3 * (2 << $paletteBits);
+        $palette = substr($gif, $offset, $paletteSize);
+        $offset += $paletteSize;
+    }
+
+    // LZW code size, then data sub-blocks up to the 0 terminator
+    $start = $offset;
+    $offset++;
+    while (($size = ord($gif[$offset])) !== 0) {
+        $offset += $size + 1;
+    }
+    $data = substr($gif, $start, $offset + 1 - $start);
+
+    return "\x21\xF9\x04\x04" . pack('v', $delay) . "\x00\x00"
+        . substr($descriptor, 0, 9) . chr(0x80 | ($flags & 0x40) | $paletteBits)
+        . $palette
+        . $data;
+}
+
+/**
+ * Pick at most $max items spread evenly over the list
+ *
+ * @param array<int, mixed> $items Items in order
+ * @param int               $max   Maximum count
+ *
+ * @return array<int, mixed>
+ */
+function sampleEvenly(array $items, int $max): array
+{
+    $count = count($items);
+    if ($count <= $max) {
+        return $items;
+    }
+
+    $picked = [];
+    for ($i = 0; $i < $max; $i++) {
+        $picked[] = $items[(int)floor($i * $count / $max)];
+    }
+    return $picked;
+}
+
+/**
+ * Stream a session as a download
+ *
+ * @param array<string, mixed> $session Session data
+ * @param string               $format  gif | zip
+ *
+ * @return void
+ */
+function exportSession(array $session, string $format): void
+{
+    $dir = sessionDir($session['id']);
+    $files = array_map(static fn(array $frame): string => $dir . '/' . $frame['file'], $session['frames']);
+    $name = CAMERA_ID . '_timelapse_' . $session['id'];
+
+    if (empty($files)) {
+        sendJsonResponse(['success' => false, 'error' => 'No frames to export'], 404);
+    }
+
+    set_time_limit(300);
+
+    if ($format === 'gif') {
+        if (!function_exists('imagecreatefromjpeg') || !function_exists('imagegif')) {
+            sendJsonResponse(['success' => false, 'error' => 'GIF export needs the PHP GD extension'], 501);
+        }
+
+        $gif = buildAnimatedGif(sampleEvenly($files, TIMELAPSE_GIF_MAX_FRAMES), TIMELAPSE_GIF_WIDTH, TIMELAPSE_GIF_DELAY);
+        if ($gif === null) {
+            logMessage("Time-lapse GIF failed: no readable frame in {$session['id']}", 'ERROR');
+            sendJsonResponse(['success' => false, 'error' => 'No frame could be decoded'], 500);
+        }
+        header('Content-Type: image/gif');
+        header('Content-Disposition: attachment; filename="' . $name . '.gif"');
+        header('Content-Length: ' . strlen($gif));
+        echo $gif;
+        exit;
+    }
+
+    if (!class_exists('ZipArchive')) {
+        sendJsonResponse(['success' => false, 'error' => 'Zip export needs the PHP zip extension'], 501);
+    }
+
+    $zipFile = tempnam(sys_get_temp_dir(), 'tl');
+    $zip = new ZipArchive();
+    if ($zipFile === false || $zip->open($zipFile, ZipArchive::OVERWRITE) !== true) {
+        logMessage("Time-lapse zip failed: {$session['id']}", 'ERROR');
+        sendJsonResponse(['success' => false, 'error' => 'Failed to create zip'], 500);
+    }
+
+    foreach ($files as $file) {
+        $zip->addFile($file, $name . '/' . basename($file));
+        $zip->setCompressionName($name . '/' . basename($file), ZipArchive::CM_STORE); // JPEG is already compressed
+    }
+    $zip->close();
+
+    header('Content-Type: application/zip');
+    header('Content-Disposition: attachment; filename="' . $name . '.zip"');
+    header('Content-Length: ' . filesize($zipFile));
+    readfile($zipFile);
+    unlink($zipFile);
+    exit;
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+$action = $_POST['action'] ?? $_GET['action'] ?? '';
+$sessionId = (string)($_POST['session'] ?? $_GET['session'] ?? '');
+
+if (in_array($action, ['start', 'keep', 'stop', 'delete'], true)) {
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+        sendJsonResponse(['success' => false, 'error' => 'POST required'], 405);
+    }
+    validateAdminToken();
+}
+
+switch ($action) {
+    case 'start':
+        $interval = sanitizeInteger($_POST['interval'] ?? 60, TIMELAPSE_MIN_INTERVAL, TIMELAPSE_MAX_INTERVAL, 60);
+        $duration = sanitizeInteger($_POST['duration'] ?? 3600, $interval, TIMELAPSE_MAX_DURATION, 3600);
+
+        pruneSessions();
+
+        $session = [
+            'id' => date('Ymd-His'),
+            'interval' => $interval,
+            'duration' => $duration,
+            'startedAt' => time(),
+            'endsAt' => time() + $duration,
+            'stoppedAt' => null,
+            'frames' => []
+        ];
+
+        if (loadSession($session['id']) !== null) {
+            sendJsonResponse(['success' => false, 'error' => 'A time-lapse was started this second'], 409);
+        }
+
+        if (!is_dir(sessionDir($session['id'])) && !mkdir(sessionDir($session['id']), 0755, true)) {
+            logMessage("Failed to create time-lapse folder: {$session['id']}", 'ERROR');
+            sendJsonResponse(['success' => false, 'error' => 'Failed to create storage'], 500);
+        }
+
+        saveSession($session);
+        logMessage("Time-lapse started: {$session['id']} (every {$interval}s for {$duration}s)", 'INFO');
+        sendJsonResponse(['success' => true, 'session' => describeSession($session, false)]);
+        break;
+
+    case 'keep':
+        $session = loadSession($sessionId);
+        if ($session === null) {
+            sendJsonResponse(['success' => false, 'error' => 'Unknown session'], 404);
+        }
+        if ($session['stoppedAt'] !== null) {
+            sendJsonResponse(['success' => false, 'error' => 'Time-lapse already stopped'], 409);
+        }
+        if (count($session['frames']) >= TIMELAPSE_MAX_FRAMES) {
+            sendJsonResponse(['success' => false, 'error' => 'Frame limit reached'], 409);
+        }
+
+        clearstatcache(true, IMAGE_CAPTURE_FILE);
+        $imageTime = file_exists(IMAGE_CAPTURE_FILE) ? filemtime(IMAGE_CAPTURE_FILE) : 0;
+        $lastFrame = end($session['frames']);
+        if ($imageTime === 0 || ($lastFrame !== false && $imageTime <= $lastFrame['time'])) {
+            sendJsonResponse(['success' => false, 'error' => 'No new image since the last frame'], 409);
+        }
+
+        $file = sprintf('frame_%04d.jpg', count($session['frames']) + 1);
+        if (!copy(IMAGE_CAPTURE_FILE, sessionDir($sessionId) . '/' . $file)) {
+            logMessage("Failed to keep time-lapse frame: $sessionId/$file", 'ERROR');
+            sendJsonResponse(['success' => false, 'error' => 'Failed to store frame'], 500);
+        }
+
+        $frame = ['file' => $file, 'time' => $imageTime, 'size' => filesize(IMAGE_CAPTURE_FILE)];
+        $session['frames'][] = $frame;
+        saveSession($session);
+
+        sendJsonResponse([
+            'success' => true,
+            'frame' => ['url' => "timelapse/$sessionId/$file", 'time' => $frame['time'], 'size' => $frame['size']],
+            'frameCount' => count($session['frames'])
+        ]);
+        break;
+
+    case 'stop':
+        $session = loadSession($sessionId);
+        if ($session === null) {
+            sendJsonResponse(['success' => false, 'error' => 'Unknown session'], 404);
+        }
+
+        if ($session['stoppedAt'] === null) {
+            $session['stoppedAt'] = time();
+            saveSession($session);
+            logMessage("Time-lapse stopped: $sessionId (" . count($session['frames']) . " frames)", 'INFO');
+        }
+        sendJsonResponse(['success' => true, 'session' => describeSession($session, false)]);
+        break;
+
+    case 'delete':
+        if (loadSession($sessionId) === null) {
+            sendJsonResponse(['success' => false, 'error' => 'Unknown session'], 404);
+        }
+
+        deleteSession($sessionId);
+        logMessage("Time-lapse deleted: $sessionId", 'INFO');
+        sendJsonResponse(['success' => true]);
+        break;
+
+    case 'list':
+        sendJsonResponse([
+            'success' => true,
+            'sessions' => array_map(static fn(array $s): array => describeSession($s, false), listSessions())
+        ]);
+        break;
+
+    case 'frames':
+        $session = loadSession($sessionId);
+        if ($session === null) {
+            sendJsonResponse(['success' => false, 'error' => 'Unknown session'], 404);
+        }
+        sendJsonResponse(['success' => true, 'session' => describeSession($session, true)]);
+        break;
+
+    case 'export':
+        $session = loadSession($sessionId);
+        if ($session === null) {
+            sendJsonResponse(['success' => false, 'error' => 'Unknown session'], 404);
+        }
+        exportSession($session, sanitizeStringWhitelist($_GET['format'] ?? 'zip', ['gif', 'zip'], 'zip'));
+        break;
+
+    default:
+        logMessage("Invalid time-lapse action: $action", 'WARNING');
+        sendJsonResponse(['success' => false, 'error' => 'Invalid action'], 400);
+}
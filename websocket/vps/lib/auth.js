@@ -0,0 +1,182 @@
+/**
+ * Relay Authentication - Signed tokens per camera
+ *
+ * Every `identify` must carry a token signed with the secret of the camera
+ * it targets. The PHP site signs browser tokens with the same secret
+ * (WEBSOCKET_AUTH_SECRET in config/api-keys.php), the camera signs its own.
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256)
+ * Payload:      { cam: 'cam1', role: 'camera'|'operator'|'viewer', exp: <unix seconds> }
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+// =============================================================================
+// ROLES
+// =============================================================================
+
+// Browser commands each role may send (camera role sends no commands)
+const ROLE_PERMISSIONS = {
+    camera: [],
+    viewer: ['live_start', 'live_stop', 'schedule_list'],
+    operator: ['live_start', 'live_stop', 'capture', 'settings', 'schedule_list', 'schedule_create', 'schedule_delete']
+};
+
+// WebSocket close codes (4000-4999 is reserved for applications)
+const CLOSE_CODES = {
+    UNAUTHORIZED: 4401,
+    FORBIDDEN: 4403,
+    RATE_LIMITED: 4429
+};
+
+// =============================================================================
+// SECRETS
+// =============================================================================
+
+/**
+ * Build the camera -> secret map.
+ *
+ * @param {string} perCamera "cam1:secret1,cam2:secret2"
+ * @param {string} fallback  Secret for cameras not listed in perCamera
+ * @returns {Map<string, string>} '*' holds the fallback
+ */
+function parseSecrets(perCamera, fallback) {
+    const secrets = new Map();
+
+    (perCamera || '').split(',').forEach(entry => {
+        const sep = entry.indexOf(':');
+        if (sep > 0) {
+            secrets.set(entry.slice(0, sep).trim(), entry.slice(sep + 1).trim());
+        }
+    });
+
+    if (fallback) {
+        secrets.set('*', fallback);
+    }
+
+    return secrets;
+}
+
+function getSecret(secrets, cameraId) {
+    return secrets.get(cameraId) || secrets.get('*') || null;
+}
+
+// =============================================================================
+// TOKENS
+// =============================================================================
+
+function base64url(buffer) {
+    return buffer.toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function hmac(secret, data) {
+    return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+/**
+ * Sign a token payload (used by tests and tooling; PHP has its own signer)
+ *
+ * @param {Object} payload { cam, role, exp }
+ * @param {string} secret
+ * @returns {string}
+ */
+function signToken(payload, secret) {
+    const body = base64url(Buffer.from(JSON.stringify(payload)));
+    return body + '.' + hmac(secret, body);
+}
+
+/**
+ * Verify a token for a camera
+ *
+ * @param {string} token
+ * @param {string} cameraId Camera the client wants access to
+ * @param {Map<string, string>} secrets
+ * @returns {{ok: boolean, role?: string, exp?: number, reason?: string}}
+ */
+function verifyToken(token, cameraId, secrets) {
+    if (typeof token !== 'string' || token.indexOf('.') === -1) {
+        return { ok: false, reason: 'Missing token' };
+    }
+
+    const secret = getSecret(secrets, cameraId);
+    if (!secret) {
+        return { ok: false, reason: 'No secret configured for camera' };
+    }
+
+    const [body, signature] = token.split('.', 2);
+    const expected = Buffer.from(hmac(secret, body));
+    const actual = Buffer.from(signature || '');
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { ok: false, reason: 'Invalid signature' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64').toString('utf8'));
+    } catch (err) {
+        return { ok: false, reason: 'Malformed token' };
+    }
+
+    if (payload.cam !== cameraId) {
+        return { ok: false, reason: 'Token not valid for this camera' };
+    }
+
+    if (!ROLE_PERMISSIONS.hasOwnProperty(payload.role)) {
+        return { ok: false, reason: 'Unknown role' };
+    }
+
+    if (typeof payload.exp !== 'number' || payload.exp * 1000 < Date.now()) {
+        return { ok: false, reason: 'Token expired' };
+    }
+
+    return { ok: true, role: payload.role, exp: payload.exp };
+}
+
+/**
+ * Check whether a role may send a browser command
+ *
+ * @param {string} role
+ * @param {string} type Message type
+ * @returns {boolean}
+ */
+function hasPermission(role, type) {
+    const allowed = ROLE_PERMISSIONS[role];
+    return !!allowed && allowed.indexOf(type) !== -1;
+}
+
+/**
+ * Check the relay admin key (WS_ADMIN_KEY). No key configured = admin disabled.
+ *
+ * @param {string} key      Key sent by the client
+ * @param {string} adminKey Configured key
+ * @returns {boolean}
+ */
+function verifyAdminKey(key, adminKey) {
+    if (!adminKey || typeof key !== 'string') {
+        return false;
+    }
+
+    const expected = Buffer.from(adminKey);
+    const actual = Buffer.from(key);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    CLOSE_CODES,
+    parseSecrets,
+    signToken,
+    verifyToken,
+    hasPermission,
+    verifyAdminKey
+};
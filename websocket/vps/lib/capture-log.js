@@ -0,0 +1,126 @@
+/**
+ * Capture Log - Persisted capture history
+ *
+ * One JSON object per line. The newest entries are kept in memory for
+ * queries; the file is appended asynchronously and compacted on startup
+ * once it holds more than twice the in-memory limit.
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {string} filePath JSON-lines file
+ * @param {Object} options  { maxEntries, onError }
+ */
+function createCaptureLog(filePath, options) {
+    const maxEntries = (options && options.maxEntries) || 5000;
+    const onError = (options && options.onError) || function() {};
+
+    let entries = [];
+    let writeQueue = Promise.resolve();
+
+    // =========================================================================
+    // LOAD
+    // =========================================================================
+
+    function load() {
+        let content;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                onError(err);
+            }
+            return;
+        }
+
+        const lines = content.split('\n').filter(Boolean);
+        lines.forEach(line => {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (err) {
+                // Skip a torn last line from a crash
+            }
+        });
+
+        if (entries.length > maxEntries) {
+            entries = entries.slice(-maxEntries);
+        }
+
+        if (lines.length > maxEntries * 2) {
+            try {
+                fs.writeFileSync(filePath, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+            } catch (err) {
+                onError(err);
+            }
+        }
+    }
+
+    // Appends are chained so lines never interleave
+    function persist(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        writeQueue = writeQueue
+            .then(() => fs.promises.appendFile(filePath, line))
+            .catch(onError);
+    }
+
+    // =========================================================================
+    // API
+    // =========================================================================
+
+    /**
+     * Record a finished capture
+     *
+     * @param {Object} entry { id, camera, client, startedAt, endedAt, duration, url, outcome, error }
+     */
+    function add(entry) {
+        entries.push(entry);
+        if (entries.length > maxEntries) {
+            entries.shift();
+        }
+        persist(entry);
+    }
+
+    /**
+     * Query captures, newest first
+     *
+     * @param {Object} filter { camera, since (ms), limit }
+     * @returns {Object[]}
+     */
+    function query(filter) {
+        const result = [];
+        const limit = filter.limit || 50;
+
+        for (let i = entries.length - 1; i >= 0 && result.length < limit; i--) {
+            const entry = entries[i];
+            if (filter.camera && entry.camera !== filter.camera) continue;
+            if (filter.since && entry.startedAt < filter.since) continue;
+            result.push(entry);
+        }
+
+        return result;
+    }
+
+    // Resolves once every pending append is on disk
+    function flush() {
+        return writeQueue;
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    } catch (err) {
+        onError(err);
+    }
+    load();
+
+    return { add, query, flush };
+}
+
+module.exports = { createCaptureLog };
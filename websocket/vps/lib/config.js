@@ -0,0 +1,260 @@
+/**
+ * Relay Configuration - JSON file + environment, validated against a schema
+ *
+ * Order: schema default < config file < environment variable.
+ * File keys are camelCase (pingInterval), env vars are WS_ + the CONFIG key
+ * (WS_PING_INTERVAL). File: WS_CONFIG or /etc/cam-websocket.json (optional).
+ *
+ * Example /etc/cam-websocket.json:
+ *   { "port": 8080, "captureTimeout": 60000, "allowedOrigins": ["https://cam.example.com"] }
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { checkZones } = require('./motion');
+
+const DEFAULT_FILE = '/etc/cam-websocket.json';
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+// { type: { burst, perMinute } } - see lib/rate-limit.js
+function checkRateLimits(value) {
+    for (const type of Object.keys(value)) {
+        const limit = value[type];
+        if (!limit || !Number.isInteger(limit.burst) || limit.burst < 1 ||
+            !Number.isInteger(limit.perMinute) || limit.perMinute < 1) {
+            return `"${type}" needs integer burst >= 1 and perMinute >= 1`;
+        }
+    }
+    return null;
+}
+
+/**
+ * type:    integer | string | boolean | list (array of strings, comma-separated in env)
+ *          | object (JSON in env, checked by `check`)
+ * restart: change only applies after a restart (SIGHUP keeps the old value)
+ */
+const SCHEMA = {
+    PORT: { type: 'integer', min: 1, max: 65535, default: 8080, restart: true },
+    PING_INTERVAL: { type: 'integer', min: 1000, default: 30000 },
+    CAMERA_TIMEOUT: { type: 'integer', min: 1000, default: 15000 },
+    HEARTBEAT_CHECK_INTERVAL: { type: 'integer', min: 500, default: 5000 },
+    CAPTURE_TIMEOUT: { type: 'integer', min: 1000, default: 60000 },
+    REQUEST_TIMEOUT: { type: 'integer', min: 1000, default: 10000 }, // Camera reply deadline for live/settings requests
+    MAX_MESSAGE_SIZE: { type: 'integer', min: 1024, default: 1024 * 10 },   // JSON messages
+    MAX_FRAME_SIZE: { type: 'integer', min: 1024, default: 1024 * 512, restart: true }, // Binary JPEG live frames
+    SLOW_CLIENT_BUFFER: { type: 'integer', min: 1024, default: 1024 * 256 }, // Queued bytes before status/frames start coalescing
+    MAX_CLIENT_BUFFER: { type: 'integer', min: 1024, default: 1024 * 1024 * 8 }, // Queued bytes before a browser is dropped
+    FLUSH_INTERVAL: { type: 'integer', min: 50, default: 250 },
+    LOG_FILE: { type: 'string', default: '/var/log/cam-websocket.log', restart: true },
+    LOG_LEVEL: { type: 'string', enum: ['debug', 'info', 'warn', 'error'], default: env => (env.NODE_ENV === 'production' ? 'info' : 'debug') },
+    LOG_MAX_SIZE: { type: 'integer', min: 1024, default: 1024 * 1024 * 10, restart: true },
+    LOG_MAX_FILES: { type: 'integer', min: 1, max: 100, default: 5, restart: true },
+    CAPTURE_LOG_FILE: { type: 'string', default: '/var/lib/cam-websocket/captures.jsonl', env: 'WS_CAPTURE_LOG', restart: true },
+    CAPTURE_LOG_ENTRIES: { type: 'integer', min: 1, default: 5000, restart: true }, // Kept in memory for /captures queries
+    CAPTURE_QUERY_LIMIT: { type: 'integer', min: 1, default: 500 },
+    DEFAULT_CAMERA: { type: 'string', pattern: /^[a-zA-Z0-9_-]{1,32}$/, default: 'cam1' }, // Used when identify has no camera ID
+    ALLOWED_ORIGINS: { type: 'list', default: [] }, // Browser origins allowed to use the relay ("*" = any, empty = any + warning)
+    DEV_ALLOW_LOCALHOST: { type: 'boolean', default: false }, // Also allow http(s)://localhost / 127.0.0.1 on any port
+    TRUST_PROXY: { type: 'boolean', default: false }, // Behind a reverse proxy: client IP = last X-Forwarded-For hop
+    // Browser messages per connection; '*' applies to every message
+    RATE_LIMITS: {
+        type: 'object',
+        check: checkRateLimits,
+        default: {
+            capture: { burst: 3, perMinute: 6 },
+            live_start: { burst: 3, perMinute: 10 },
+            live_stop: { burst: 3, perMinute: 10 },
+            settings: { burst: 5, perMinute: 20 },
+            schedule_create: { burst: 5, perMinute: 10 },
+            '*': { burst: 30, perMinute: 120 }
+        }
+    },
+    QUEUE_TYPES: { type: 'list', default: ['settings', 'capture'] }, // Commands a browser may queue for an offline camera
+    QUEUE_DEFAULT_TTL: { type: 'integer', min: 1000, default: 600000 },
+    QUEUE_MAX_TTL: { type: 'integer', min: 1000, default: 86400000 },
+    QUEUE_MAX_LENGTH: { type: 'integer', min: 1, default: 20 },           // Per camera
+    SCHEDULE_FILE: { type: 'string', default: '/var/lib/cam-websocket/schedules.json', restart: true },
+    SCHEDULE_HISTORY: { type: 'integer', min: 1, default: 50 },           // Runs kept per schedule
+    SCHEDULE_MIN_INTERVAL: { type: 'integer', min: 1000, default: 60000 },
+    SCHEDULE_MAX_PER_CAMERA: { type: 'integer', min: 1, default: 50 },
+    SCHEDULE_MISS_GRACE: { type: 'integer', min: 1000, default: 60000 }, // Later than this (relay down) = missed
+    MOTION_ENABLED: { type: 'boolean', default: false },                 // Decode frames and look for motion (see lib/motion.js)
+    MOTION_SAMPLE_INTERVAL: { type: 'integer', min: 250, default: 2000 }, // Per camera; frames in between are not decoded
+    MOTION_SNAPSHOT_INTERVAL: { type: 'integer', min: 0, default: 0 },    // Ask idle cameras for a snapshot this often (0 = live frames only)
+    MOTION_WIDTH: { type: 'integer', min: 16, max: 640, default: 96 },    // Comparison grid width
+    MOTION_PIXEL_THRESHOLD: { type: 'integer', min: 1, max: 255, default: 25 }, // Brightness change that counts
+    MOTION_MIN_AREA: { type: 'integer', min: 1, max: 1000, default: 10 }, // Changed cells per mille of a zone
+    MOTION_COOLDOWN: { type: 'integer', min: 0, default: 30000 },         // Per camera, between events
+    MOTION_ZONES: { type: 'object', check: checkZones, default: {} },     // { cam1: [{ name, x, y, w, h }] }, whole image otherwise
+    MOTION_DIR: { type: 'string', default: '/var/lib/cam-websocket/motion', restart: true },
+    MOTION_LOG_ENTRIES: { type: 'integer', min: 1, default: 1000, restart: true },
+    MOTION_THUMB_WIDTH: { type: 'integer', min: 16, max: 640, default: 160 },
+    RATE_LIMIT_IP_MULTIPLIER: { type: 'integer', min: 1, default: 3 }, // Per-IP buckets = limits x this
+    RATE_BAN_THRESHOLD: { type: 'integer', min: 1, default: 10 },      // Refusals within the window before a ban
+    RATE_BAN_WINDOW: { type: 'integer', min: 1000, default: 60000 },
+    RATE_BAN_DURATION: { type: 'integer', min: 1000, default: 600000 },
+    AUTH_SECRET: { type: 'string', default: '', secret: true },  // Fallback token secret
+    AUTH_SECRETS: { type: 'string', default: '', secret: true }, // "cam1:secret1,cam2:secret2"
+    ADMIN_KEY: { type: 'string', default: '', secret: true }     // Enables `admin` messages
+};
+
+// PING_INTERVAL -> pingInterval
+function fileKey(key) {
+    return key.toLowerCase().replace(/_([a-z])/g, (m, c) => c.toUpperCase());
+}
+
+function envKey(key) {
+    return SCHEMA[key].env || 'WS_' + key;
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+// Env values arrive as strings - convert before validating
+function fromEnv(rule, raw) {
+    switch (rule.type) {
+        case 'integer':
+            return /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+        case 'boolean':
+            if (/^(1|true|yes)$/i.test(raw)) return true;
+            if (/^(0|false|no)$/i.test(raw)) return false;
+            return raw;
+        case 'list':
+            return raw.split(',').map(item => item.trim()).filter(Boolean);
+        case 'object':
+            try {
+                return JSON.parse(raw);
+            } catch (err) {
+                return raw;
+            }
+        default:
+            return raw;
+    }
+}
+
+/**
+ * @returns {string|null} Error message, null when valid
+ */
+function checkValue(rule, value) {
+    switch (rule.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return 'must be an integer';
+            if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+            if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'list':
+            return Array.isArray(value) && value.every(item => typeof item === 'string')
+                ? null : 'must be an array of strings';
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+            return rule.check ? rule.check(value) : null;
+        default:
+            if (typeof value !== 'string') return 'must be a string';
+            if (rule.enum && rule.enum.indexOf(value) === -1) return `must be one of ${rule.enum.join(', ')}`;
+            if (rule.pattern && !rule.pattern.test(value)) return `must match ${rule.pattern}`;
+            return null;
+    }
+}
+
+function describe(value) {
+    return JSON.stringify(value);
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Load and validate the configuration.
+ *
+ * @param {Object} env process.env
+ * @returns {{config: Object, file: string|null, errors: string[]}}
+ */
+function load(env) {
+    const errors = [];
+    const config = {};
+    const explicitFile = env.WS_CONFIG;
+    const file = explicitFile || DEFAULT_FILE;
+    let fromFile = {};
+    let usedFile = null;
+
+    try {
+        fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+        usedFile = file;
+        if (!fromFile || typeof fromFile !== 'object' || Array.isArray(fromFile)) {
+            errors.push(`${file}: must contain a JSON object`);
+            fromFile = {};
+        }
+    } catch (err) {
+        // The default file is optional; an explicit WS_CONFIG is not
+        if (err.code !== 'ENOENT' || explicitFile) {
+            errors.push(`${file}: ${err.message}`);
+        }
+    }
+
+    const known = {};
+    Object.keys(SCHEMA).forEach(key => { known[fileKey(key)] = key; });
+
+    Object.keys(fromFile).forEach(name => {
+        if (!known[name]) {
+            errors.push(`${file}: unknown setting "${name}"`);
+        }
+    });
+
+    Object.keys(SCHEMA).forEach(key => {
+        const rule = SCHEMA[key];
+        const envName = envKey(key);
+        let value = typeof rule.default === 'function' ? rule.default(env) : rule.default;
+        let source = 'default';
+
+        if (fromFile[fileKey(key)] !== undefined) {
+            value = fromFile[fileKey(key)];
+            source = `${file} "${fileKey(key)}"`;
+        }
+
+        if (env[envName] !== undefined && env[envName] !== '') {
+            value = fromEnv(rule, env[envName]);
+            source = `env ${envName}`;
+        }
+
+        const problem = checkValue(rule, value);
+        if (problem) {
+            errors.push(`${source}: ${problem} (got ${rule.secret ? 'hidden' : describe(value)})`);
+            return;
+        }
+
+        config[key] = value;
+    });
+
+    if (config.MAX_CLIENT_BUFFER <= config.SLOW_CLIENT_BUFFER) {
+        errors.push('maxClientBuffer must be greater than slowClientBuffer');
+    }
+
+    return { config: config, file: usedFile, errors: errors };
+}
+
+/**
+ * Names of restart-only settings whose value differs between two configs
+ */
+function restartRequired(current, next) {
+    return Object.keys(SCHEMA).filter(key => {
+        return SCHEMA[key].restart && JSON.stringify(current[key]) !== JSON.stringify(next[key]);
+    });
+}
+
+module.exports = {
+    SCHEMA,
+    load,
+    restartRequired
+};
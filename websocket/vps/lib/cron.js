@@ -0,0 +1,152 @@
+/**
+ * Cron Expressions - "minute hour day-of-month month day-of-week"
+ *
+ * Each field takes *, lists (1,15), ranges (9-17) and steps (0-59/15, 9-17/2).
+ * Day of week is 0-7 (0 and 7 are Sunday). When both day fields are
+ * restricted a day matching either one runs, as in classic cron.
+ * Times are in the relay's local time zone (TZ).
+ *
+ *   "0 * * * *"      every hour on the hour
+ *   "30 8-18 * * 1-5" half past, 08:30-18:30, Monday to Friday
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up looking for a match after this long (e.g. "0 0 30 2 *")
+const SEARCH_LIMIT = 5 * 366 * 24 * 3600 * 1000;
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * @returns {{values?: Set<number>, any?: boolean, error?: string}}
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            return { error: `${field.name}: invalid "${part}"` };
+        }
+
+        const step = match[4] !== undefined ? Number(match[4]) : 1;
+        let low = field.min;
+        let high = field.max;
+
+        if (match[1] !== '*') {
+            low = Number(match[2]);
+            // "5/15" runs from 5 to the end of the range
+            high = match[3] !== undefined ? Number(match[3]) : (match[4] !== undefined ? field.max : low);
+        }
+
+        if (step < 1 || low < field.min || high > field.max || low > high) {
+            return { error: `${field.name}: "${part}" is outside ${field.min}-${field.max}` };
+        }
+
+        for (let value = low; value <= high; value += step) {
+            values.add(value);
+        }
+    }
+
+    return { values: values, any: text.charAt(0) === '*' };
+}
+
+/**
+ * @param {string} expression Five space-separated fields
+ * @returns {{ok: boolean, cron?: Object, error?: string}}
+ */
+function parse(expression) {
+    const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+    if (parts.length !== 5) {
+        return { ok: false, error: 'Cron needs 5 fields: minute hour day month weekday' };
+    }
+
+    const fields = [];
+    for (let i = 0; i < FIELDS.length; i++) {
+        const field = parseField(parts[i], FIELDS[i]);
+        if (field.error) {
+            return { ok: false, error: field.error };
+        }
+        fields.push(field);
+    }
+
+    // 7 is Sunday too
+    if (fields[4].values.delete(7)) {
+        fields[4].values.add(0);
+    }
+
+    return {
+        ok: true,
+        cron: {
+            minutes: fields[0].values,
+            hours: fields[1].values,
+            days: fields[2].values,
+            months: fields[3].values,
+            weekdays: fields[4].values,
+            anyDay: fields[2].any,
+            anyWeekday: fields[4].any
+        }
+    };
+}
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+function dayMatches(cron, date) {
+    const day = cron.days.has(date.getDate());
+    const weekday = cron.weekdays.has(date.getDay());
+
+    if (cron.anyDay || cron.anyWeekday) {
+        return day && weekday;
+    }
+    return day || weekday;
+}
+
+/**
+ * First matching minute strictly after a time
+ *
+ * @param {Object} cron  Parsed expression (parse().cron)
+ * @param {number} after Timestamp (ms)
+ * @returns {number|null} Timestamp (ms), null if nothing matches within 5 years
+ */
+function next(cron, after) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Jump a whole month/day/hour at a time when it can't match
+    while (date.getTime() - after <= SEARCH_LIMIT) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+
+    return null;
+}
+
+module.exports = { parse, next };
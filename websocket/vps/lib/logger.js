@@ -0,0 +1,175 @@
+/**
+ * Relay Logger - Async JSON lines with size-based rotation
+ *
+ * Writes go through a stream so the event loop never waits on the disk.
+ * When the file passes maxSize it is renamed to .1 (older ones shift up to
+ * maxFiles) and a fresh file is opened. The open stream keeps writing to the
+ * renamed inode until it drains, so no line is lost across a rotation.
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * @param {Object} options { file, level, maxSize, maxFiles, console }
+ */
+function createLogger(options) {
+    const file = options.file;
+    const maxSize = options.maxSize || 10 * 1024 * 1024;
+    const maxFiles = options.maxFiles || 5;
+    const toConsole = options.console !== false;
+
+    let level = normalizeLevel(options.level) || 'info';
+    let stream = null;
+    let size = 0;
+    let failed = false;
+
+    // =========================================================================
+    // FILE
+    // =========================================================================
+
+    // Keep running on console only - a full disk must not kill the relay
+    function fail(err) {
+        if (!failed) {
+            failed = true;
+            console.error(`Log file ${file} unavailable: ${err.message}`);
+        }
+        stream = null;
+    }
+
+    function open() {
+        // Opened synchronously (only at start and on rotation) so the file
+        // exists before the next rotation tries to rename it
+        let fd;
+        try {
+            fd = fs.openSync(file, 'a');
+            size = fs.fstatSync(fd).size;
+        } catch (err) {
+            fail(err);
+            return;
+        }
+
+        stream = fs.createWriteStream(null, { fd: fd });
+        stream.on('error', fail);
+    }
+
+    function rotate() {
+        try {
+            for (let i = maxFiles - 1; i >= 1; i--) {
+                if (fs.existsSync(`${file}.${i}`)) {
+                    fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+                }
+            }
+            fs.renameSync(file, `${file}.1`);
+            fs.rmSync(`${file}.${maxFiles + 1}`, { force: true });
+        } catch (err) {
+            console.error(`Log rotation failed: ${err.message}`);
+        }
+
+        stream.end();
+        stream = null;
+        open();
+    }
+
+    function write(line) {
+        if (toConsole) {
+            console.log(line);
+        }
+
+        if (!file || failed) {
+            return;
+        }
+
+        if (!stream) {
+            open();
+            if (!stream) {
+                return;
+            }
+        }
+
+        stream.write(line + '\n');
+        size += Buffer.byteLength(line) + 1;
+
+        if (size >= maxSize) {
+            rotate();
+        }
+    }
+
+    // =========================================================================
+    // API
+    // =========================================================================
+
+    /**
+     * @param {string} lvl     debug | info | warn | error (any case)
+     * @param {string} message
+     * @param {Object} context Extra fields (client, ip, camera...)
+     */
+    function log(lvl, message, context) {
+        const name = normalizeLevel(lvl) || 'info';
+        if (LEVELS[name] < LEVELS[level]) {
+            return;
+        }
+
+        write(JSON.stringify(Object.assign({
+            time: new Date().toISOString(),
+            level: name,
+            msg: message
+        }, context)));
+    }
+
+    /**
+     * Change the level at runtime. The change itself is always written,
+     * whatever the old or new level.
+     *
+     * @param {string} lvl
+     * @param {Object} context Who asked (connection, signal...)
+     * @returns {boolean} False for an unknown level
+     */
+    function setLevel(lvl, context) {
+        const name = normalizeLevel(lvl);
+        if (!name) {
+            return false;
+        }
+
+        write(JSON.stringify(Object.assign({
+            time: new Date().toISOString(),
+            level: 'info',
+            msg: `Log level ${level} -> ${name}`
+        }, context)));
+
+        level = name;
+        return true;
+    }
+
+    function getLevel() {
+        return level;
+    }
+
+    // Resolves once everything written so far is on disk
+    function close() {
+        return new Promise(resolve => {
+            if (!stream) {
+                resolve();
+                return;
+            }
+            stream.end(resolve);
+            stream = null;
+        });
+    }
+
+    return { log, setLevel, getLevel, close };
+}
+
+function normalizeLevel(lvl) {
+    const name = typeof lvl === 'string' ? lvl.toLowerCase() : '';
+    return LEVELS[name] ? name : null;
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,146 @@
+/**
+ * Relay Metrics - Prometheus text exposition, no dependencies
+ *
+ * Counters and histograms are keyed by label values. Gauges are read at
+ * scrape time through collectors so they never go stale.
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra) {
+    const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) {
+        pairs.push(extra);
+    }
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function labelKey(labelNames, labels) {
+    return labelNames.map(name => (labels && labels[name] !== undefined ? labels[name] : ''));
+}
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+function createRegistry(prefix) {
+    const metrics = [];
+
+    /**
+     * @param {string}   name
+     * @param {string}   help
+     * @param {string[]} labelNames
+     */
+    function counter(name, help, labelNames) {
+        labelNames = labelNames || [];
+        const values = new Map(); // JSON label values -> count
+
+        metrics.push({
+            render() {
+                const lines = [`# HELP ${prefix}${name} ${help}`, `# TYPE ${prefix}${name} counter`];
+                values.forEach((value, key) => {
+                    lines.push(`${prefix}${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+                });
+                return lines;
+            }
+        });
+
+        return {
+            inc(labels, amount) {
+                const key = JSON.stringify(labelKey(labelNames, labels));
+                values.set(key, (values.get(key) || 0) + (amount || 1));
+            }
+        };
+    }
+
+    /**
+     * @param {string}   name
+     * @param {string}   help
+     * @param {number[]} buckets Upper bounds, ascending
+     * @param {string[]} labelNames
+     */
+    function histogram(name, help, buckets, labelNames) {
+        labelNames = labelNames || [];
+        const series = new Map(); // JSON label values -> { counts, sum, count }
+
+        metrics.push({
+            render() {
+                const lines = [`# HELP ${prefix}${name} ${help}`, `# TYPE ${prefix}${name} histogram`];
+                series.forEach((entry, key) => {
+                    const values = JSON.parse(key);
+                    buckets.forEach((bound, i) => {
+                        lines.push(`${prefix}${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+                    });
+                    lines.push(`${prefix}${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+                    lines.push(`${prefix}${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+                    lines.push(`${prefix}${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+                });
+                return lines;
+            }
+        });
+
+        return {
+            observe(labels, value) {
+                const key = JSON.stringify(labelKey(labelNames, labels));
+                let entry = series.get(key);
+                if (!entry) {
+                    entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                    series.set(key, entry);
+                }
+                // Buckets are cumulative
+                buckets.forEach((bound, i) => {
+                    if (value <= bound) entry.counts[i]++;
+                });
+                entry.sum += value;
+                entry.count++;
+            }
+        };
+    }
+
+    /**
+     * Gauge read at scrape time
+     *
+     * @param {string}   name
+     * @param {string}   help
+     * @param {Function} collect Returns a number, or [{ labels, value }]
+     * @param {string[]} labelNames
+     */
+    function gauge(name, help, collect, labelNames) {
+        labelNames = labelNames || [];
+
+        metrics.push({
+            render() {
+                const lines = [`# HELP ${prefix}${name} ${help}`, `# TYPE ${prefix}${name} gauge`];
+                const result = collect();
+                const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+                samples.forEach(sample => {
+                    lines.push(`${prefix}${name}${formatLabels(labelNames, labelKey(labelNames, sample.labels))} ${sample.value}`);
+                });
+                return lines;
+            }
+        });
+    }
+
+    function render() {
+        return metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+    }
+
+    return { counter, histogram, gauge, render };
+}
+
+module.exports = {
+    createRegistry,
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
@@ -0,0 +1,167 @@
+/**
+ * Motion Log - Persisted motion events with thumbnails
+ *
+ * Events go to events.jsonl and each thumbnail to <id>.jpg in the same
+ * folder. Like the capture log, the newest entries are kept in memory for
+ * queries; a thumbnail is deleted when its event drops out of memory.
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ID_PATTERN = /^m[a-z0-9]{1,32}$/;
+
+/**
+ * @param {string} dir     Folder for events.jsonl and thumbnails
+ * @param {Object} options { maxEntries, onError }
+ */
+function createMotionLog(dir, options) {
+    const maxEntries = (options && options.maxEntries) || 1000;
+    const onError = (options && options.onError) || function() {};
+    const filePath = path.join(dir, 'events.jsonl');
+
+    let entries = [];
+    let writeQueue = Promise.resolve();
+    let seq = 0;
+
+    function thumbnailFile(id) {
+        return path.join(dir, id + '.jpg');
+    }
+
+    // =========================================================================
+    // LOAD
+    // =========================================================================
+
+    function load() {
+        let content;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                onError(err);
+            }
+            return;
+        }
+
+        const lines = content.split('\n').filter(Boolean);
+        lines.forEach(line => {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (err) {
+                // Skip a torn last line from a crash
+            }
+        });
+
+        if (entries.length > maxEntries) {
+            entries = entries.slice(-maxEntries);
+        }
+
+        if (lines.length > maxEntries * 2) {
+            try {
+                fs.writeFileSync(filePath, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+            } catch (err) {
+                onError(err);
+            }
+        }
+
+        // Thumbnails of events no longer kept
+        const kept = new Set(entries.map(entry => entry.id + '.jpg'));
+        fs.readdirSync(dir).forEach(name => {
+            if (name.endsWith('.jpg') && !kept.has(name)) {
+                fs.unlink(path.join(dir, name), () => {});
+            }
+        });
+    }
+
+    // Writes are chained so lines never interleave
+    function persist(entry, thumbnail) {
+        const line = JSON.stringify(entry) + '\n';
+        writeQueue = writeQueue
+            .then(() => thumbnail && fs.promises.writeFile(thumbnailFile(entry.id), thumbnail))
+            .then(() => fs.promises.appendFile(filePath, line))
+            .catch(onError);
+    }
+
+    // =========================================================================
+    // API
+    // =========================================================================
+
+    /**
+     * Record a motion event
+     *
+     * @param {Object} event     { camera, at, changed, zones, box }
+     * @param {Buffer} thumbnail JPEG, optional
+     * @returns {Object} The stored entry (with id and hasThumbnail)
+     */
+    function add(event, thumbnail) {
+        const entry = Object.assign({ id: 'm' + Date.now().toString(36) + (++seq).toString(36) }, event, {
+            hasThumbnail: !!thumbnail
+        });
+
+        entries.push(entry);
+        if (entries.length > maxEntries) {
+            const dropped = entries.shift();
+            if (dropped.hasThumbnail) {
+                writeQueue = writeQueue.then(() => fs.promises.unlink(thumbnailFile(dropped.id))).catch(onError);
+            }
+        }
+        persist(entry, thumbnail);
+        return entry;
+    }
+
+    /**
+     * Query events, newest first
+     *
+     * @param {Object} filter { camera, since (ms), limit }
+     * @returns {Object[]}
+     */
+    function query(filter) {
+        const result = [];
+        const limit = filter.limit || 50;
+
+        for (let i = entries.length - 1; i >= 0 && result.length < limit; i--) {
+            const entry = entries[i];
+            if (filter.camera && entry.camera !== filter.camera) continue;
+            if (filter.since && entry.at < filter.since) continue;
+            result.push(entry);
+        }
+
+        return result;
+    }
+
+    /**
+     * @returns {Promise<Buffer|null>} Thumbnail JPEG, null when the event or image is gone
+     */
+    function thumbnail(id, camera) {
+        if (!ID_PATTERN.test(id)) {
+            return Promise.resolve(null);
+        }
+        const entry = entries.find(e => e.id === id && e.camera === camera);
+        if (!entry || !entry.hasThumbnail) {
+            return Promise.resolve(null);
+        }
+        return writeQueue.then(() => fs.promises.readFile(thumbnailFile(id))).catch(() => null);
+    }
+
+    // Resolves once every pending write is on disk
+    function flush() {
+        return writeQueue;
+    }
+
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        load();
+    } catch (err) {
+        onError(err);
+    }
+
+    return { add, query, thumbnail, flush };
+}
+
+module.exports = { createMotionLog };
@@ -0,0 +1,274 @@
+/**
+ * Motion Detector - Pixel difference between sampled frames, per camera
+ *
+ * Each sampled JPEG is decoded, shrunk to a small grayscale grid and
+ * compared with the previous sample. A zone reports motion when more than
+ * `minArea` per mille of its cells changed brightness by more than
+ * `pixelThreshold`. The relay decides where frames come from (live frames
+ * or snapshots) and what to do with an event.
+ *
+ * Zones (fractions of the image), per camera; the whole image when none:
+ *   { name: 'door', x: 0.1, y: 0.2, w: 0.3, h: 0.5, pixelThreshold: 30, minArea: 5 }
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+const jpeg = require('jpeg-js');
+
+const WHOLE_IMAGE = [{ name: 'all', x: 0, y: 0, w: 1, h: 1 }];
+
+// Decoder limits - a live frame is far below these
+const DECODE_OPTIONS = { useTArray: true, formatAsRGBA: true, maxResolutionInMP: 12, maxMemoryUsageInMB: 64 };
+
+/**
+ * Check MOTION_ZONES ({ cameraId: [zone, ...] }) - used by lib/config.js
+ *
+ * @returns {string|null} Error message, null when valid
+ */
+function checkZones(value) {
+    for (const cameraId of Object.keys(value)) {
+        const zones = value[cameraId];
+        if (!Array.isArray(zones) || zones.length === 0) {
+            return `"${cameraId}" needs a non-empty array of zones`;
+        }
+        for (const zone of zones) {
+            const inside = ['x', 'y', 'w', 'h'].every(key => typeof zone[key] === 'number' && zone[key] >= 0 && zone[key] <= 1);
+            if (!inside || zone.w === 0 || zone.h === 0 || zone.x + zone.w > 1 || zone.y + zone.h > 1) {
+                return `"${cameraId}" zones need x, y, w, h between 0 and 1 inside the image`;
+            }
+            if (typeof zone.name !== 'string' || !/^[\w-]{1,32}$/.test(zone.name)) {
+                return `"${cameraId}" zones need a name (letters, digits, _ or -)`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {Object} options { width, pixelThreshold, minArea, cooldown, sampleInterval,
+ *                           maxGap, zones, thumbWidth, onError }
+ */
+function createMotionDetector(options) {
+    let settings = options;
+    const onError = options.onError || function() {};
+
+    const cameras = new Map(); // cameraId -> { previous, sampledAt, eventAt }
+
+    // =========================================================================
+    // IMAGE HELPERS
+    // =========================================================================
+
+    // RGBA image -> averaged grayscale grid `width` cells wide
+    function toGrid(image, width) {
+        const height = Math.max(1, Math.round(width * image.height / image.width));
+        const sums = new Float32Array(width * height);
+        const counts = new Uint16Array(width * height);
+        const data = image.data;
+
+        // Grid column of every image column, worked out once per frame
+        const columns = new Uint16Array(image.width);
+        for (let x = 0; x < image.width; x++) {
+            columns[x] = Math.floor(x * width / image.width);
+        }
+
+        for (let y = 0, i = 0; y < image.height; y++) {
+            const row = Math.floor(y * height / image.height) * width;
+            for (let x = 0; x < image.width; x++, i += 4) {
+                const cell = row + columns[x];
+                sums[cell] += (data[i] * 77 + data[i + 1] * 150 + data[i + 2] * 29) >> 8;
+                counts[cell]++;
+            }
+        }
+
+        const grid = new Uint8Array(width * height);
+        for (let i = 0; i < grid.length; i++) {
+            grid[i] = counts[i] ? sums[i] / counts[i] : 0;
+        }
+        return { cells: grid, width: width, height: height };
+    }
+
+    // Small JPEG of the frame with the changed area outlined in red
+    function thumbnail(image, box) {
+        const width = Math.min(settings.thumbWidth, image.width);
+        const height = Math.max(1, Math.round(width * image.height / image.width));
+        const data = Buffer.alloc(width * height * 4);
+
+        for (let y = 0; y < height; y++) {
+            const sy = Math.floor(y * image.height / height);
+            for (let x = 0; x < width; x++) {
+                const si = (sy * image.width + Math.floor(x * image.width / width)) * 4;
+                const di = (y * width + x) * 4;
+                data[di] = image.data[si];
+                data[di + 1] = image.data[si + 1];
+                data[di + 2] = image.data[si + 2];
+                data[di + 3] = 255;
+            }
+        }
+
+        const x0 = Math.floor(box.x * width);
+        const y0 = Math.floor(box.y * height);
+        const x1 = Math.min(width - 1, Math.ceil((box.x + box.w) * width) - 1);
+        const y1 = Math.min(height - 1, Math.ceil((box.y + box.h) * height) - 1);
+        const paint = (x, y) => {
+            const i = (y * width + x) * 4;
+            data[i] = 255;
+            data[i + 1] = 0;
+            data[i + 2] = 0;
+        };
+        for (let x = x0; x <= x1; x++) {
+            paint(x, y0);
+            paint(x, y1);
+        }
+        for (let y = y0; y <= y1; y++) {
+            paint(x0, y);
+            paint(x1, y);
+        }
+
+        return jpeg.encode({ data: data, width: width, height: height }, 70).data;
+    }
+
+    // =========================================================================
+    // DETECTION
+    // =========================================================================
+
+    /**
+     * Compare one zone of two grids
+     *
+     * @returns {{changed: number, box: Object|null}} changed = per mille of the zone's cells
+     */
+    function compareZone(previous, current, zone) {
+        const pixelThreshold = zone.pixelThreshold || settings.pixelThreshold;
+        const x0 = Math.floor(zone.x * current.width);
+        const y0 = Math.floor(zone.y * current.height);
+        const x1 = Math.max(x0 + 1, Math.ceil((zone.x + zone.w) * current.width));
+        const y1 = Math.max(y0 + 1, Math.ceil((zone.y + zone.h) * current.height));
+
+        let changed = 0;
+        let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const i = y * current.width + x;
+                if (Math.abs(current.cells[i] - previous.cells[i]) > pixelThreshold) {
+                    changed++;
+                    minX = Math.min(minX, x);
+                    maxX = Math.max(maxX, x);
+                    minY = Math.min(minY, y);
+                    maxY = Math.max(maxY, y);
+                }
+            }
+        }
+
+        return {
+            changed: Math.round(changed * 1000 / ((x1 - x0) * (y1 - y0))),
+            box: changed ? { x: minX, y: minY, x2: maxX + 1, y2: maxY + 1 } : null
+        };
+    }
+
+    /**
+     * Check a frame. Frames arriving before the camera's next sample is due
+     * are ignored without decoding.
+     *
+     * @param {string} cameraId
+     * @param {Buffer} frame JPEG
+     * @returns {Object|null} { at, changed, zones: [{ name, changed }], box, thumbnail } on motion
+     */
+    function analyze(cameraId, frame) {
+        const now = Date.now();
+        let camera = cameras.get(cameraId);
+        if (!camera) {
+            camera = { previous: null, sampledAt: 0, eventAt: 0 };
+            cameras.set(cameraId, camera);
+        }
+
+        if (now - camera.sampledAt < settings.sampleInterval) {
+            return null;
+        }
+
+        // Too long since the last sample (live stopped, camera away) - start over
+        if (now - camera.sampledAt > settings.maxGap) {
+            camera.previous = null;
+        }
+        camera.sampledAt = now;
+
+        let image;
+        try {
+            image = jpeg.decode(frame, DECODE_OPTIONS);
+        } catch (err) {
+            onError(new Error(`${cameraId}: frame not decodable (${err.message})`));
+            return null;
+        }
+
+        const current = toGrid(image, settings.width);
+        const previous = camera.previous;
+        camera.previous = current;
+
+        if (!previous || previous.width !== current.width || previous.height !== current.height) {
+            return null;
+        }
+
+        const zones = settings.zones[cameraId] || WHOLE_IMAGE;
+        const triggered = [];
+        let box = null;
+
+        zones.forEach(zone => {
+            const result = compareZone(previous, current, zone);
+            if (result.changed < (zone.minArea || settings.minArea)) {
+                return;
+            }
+            triggered.push({ name: zone.name, changed: result.changed });
+            box = box ? {
+                x: Math.min(box.x, result.box.x),
+                y: Math.min(box.y, result.box.y),
+                x2: Math.max(box.x2, result.box.x2),
+                y2: Math.max(box.y2, result.box.y2)
+            } : result.box;
+        });
+
+        if (triggered.length === 0 || now - camera.eventAt < settings.cooldown) {
+            return null;
+        }
+        camera.eventAt = now;
+
+        const round = value => Math.round(value * 1000) / 1000;
+        const fraction = {
+            x: round(box.x / current.width),
+            y: round(box.y / current.height),
+            w: round((box.x2 - box.x) / current.width),
+            h: round((box.y2 - box.y) / current.height)
+        };
+
+        let thumb = null;
+        try {
+            thumb = thumbnail(image, fraction);
+        } catch (err) {
+            onError(new Error(`${cameraId}: thumbnail failed (${err.message})`));
+        }
+
+        return {
+            at: now,
+            changed: Math.max.apply(null, triggered.map(zone => zone.changed)),
+            zones: triggered,
+            box: fraction,
+            thumbnail: thumb
+        };
+    }
+
+    // Forget the reference frame (camera reconnected)
+    function reset(cameraId) {
+        cameras.delete(cameraId);
+    }
+
+    // New thresholds and zones apply from the next frame
+    function configure(next) {
+        settings = Object.assign({}, settings, next);
+    }
+
+    return { analyze, reset, configure };
+}
+
+module.exports = { createMotionDetector, checkZones };
@@ -0,0 +1 @@
+../../../assets/js/websocket-protocol.js
\ No newline at end of file
@@ -0,0 +1,170 @@
+/**
+ * Rate Limiter - Token buckets per connection and per IP, with temporary bans
+ *
+ * Every browser message takes one token from the bucket for its type (if
+ * that type has a limit) and one from the '*' bucket. Connection buckets
+ * use the configured limits; IP buckets allow `ipMultiplier` times more so
+ * a few tabs behind one NAT still work. An IP that is refused
+ * `banThreshold` times within `banWindow` is banned for `banDuration`.
+ *
+ * limits: { capture: { burst: 3, perMinute: 6 }, '*': { burst: 30, perMinute: 120 } }
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+/**
+ * @param {Object} options { limits, ipMultiplier, banThreshold, banWindow, banDuration }
+ */
+function createRateLimiter(options) {
+    let settings = options;
+
+    const connections = new WeakMap(); // connection -> Map(type -> bucket)
+    const ips = new Map();             // ip -> Map(type -> bucket)
+    const violations = new Map();      // ip -> [timestamps]
+    const bans = new Map();            // ip -> banned until (ms)
+
+    // =========================================================================
+    // BUCKETS
+    // =========================================================================
+
+    function getBucket(store, type, limit, multiplier, now) {
+        let bucket = store.get(type);
+        if (!bucket) {
+            bucket = { tokens: limit.burst * multiplier, updatedAt: now };
+            store.set(type, bucket);
+        }
+
+        // Refill for the time elapsed since the last message
+        const capacity = limit.burst * multiplier;
+        const perMs = limit.perMinute * multiplier / 60000;
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * perMs);
+        bucket.updatedAt = now;
+        bucket.capacity = capacity;
+        bucket.perMs = perMs;
+
+        return bucket;
+    }
+
+    // Milliseconds until the bucket holds one token again
+    function waitFor(bucket) {
+        return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / bucket.perMs);
+    }
+
+    function bucketsFor(connection, ip, type, now) {
+        if (!connections.has(connection)) {
+            connections.set(connection, new Map());
+        }
+        if (!ips.has(ip)) {
+            ips.set(ip, new Map());
+        }
+
+        const buckets = [];
+        [type, '*'].forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(settings.limits, key)) return;
+            const limit = settings.limits[key];
+            buckets.push(getBucket(connections.get(connection), key, limit, 1, now));
+            buckets.push(getBucket(ips.get(ip), key, limit, settings.ipMultiplier, now));
+        });
+
+        return buckets;
+    }
+
+    function recordViolation(ip, now) {
+        const recent = (violations.get(ip) || []).filter(at => now - at < settings.banWindow);
+        recent.push(now);
+        violations.set(ip, recent);
+
+        if (recent.length >= settings.banThreshold) {
+            bans.set(ip, now + settings.banDuration);
+            violations.delete(ip);
+            return true;
+        }
+        return false;
+    }
+
+    // =========================================================================
+    // API
+    // =========================================================================
+
+    /**
+     * Take a token for a message
+     *
+     * @param {Object} connection Any object identifying the connection (the ws)
+     * @param {string} ip
+     * @param {string} type Message type
+     * @returns {{ok: boolean, retryAfter?: number, banned?: boolean}} banned: this refusal triggered a ban
+     */
+    function check(connection, ip, type) {
+        const now = Date.now();
+
+        // Messages still queued on a connection that is being closed for a ban
+        const banned = bannedFor(ip);
+        if (banned) {
+            return { ok: false, retryAfter: banned, banned: false };
+        }
+
+        const buckets = bucketsFor(connection, ip, type, now);
+        const retryAfter = Math.max.apply(null, buckets.map(waitFor).concat(0));
+
+        if (retryAfter > 0) {
+            return { ok: false, retryAfter: retryAfter, banned: recordViolation(ip, now) };
+        }
+
+        buckets.forEach(bucket => { bucket.tokens -= 1; });
+        return { ok: true };
+    }
+
+    /**
+     * @returns {number} Milliseconds left on the IP's ban, 0 if not banned
+     */
+    function bannedFor(ip) {
+        const until = bans.get(ip);
+        if (!until) {
+            return 0;
+        }
+        if (until <= Date.now()) {
+            bans.delete(ip);
+            return 0;
+        }
+        return until - Date.now();
+    }
+
+    // Drop state for IPs that have been quiet long enough to be full again
+    function prune() {
+        const now = Date.now();
+
+        ips.forEach((buckets, ip) => {
+            const full = Array.from(buckets.values()).every(bucket => {
+                return bucket.tokens + (now - bucket.updatedAt) * bucket.perMs >= bucket.capacity;
+            });
+            if (full) {
+                ips.delete(ip);
+            }
+        });
+
+        violations.forEach((times, ip) => {
+            if (times.every(at => now - at >= settings.banWindow)) {
+                violations.delete(ip);
+            }
+        });
+
+        bans.forEach((until, ip) => {
+            if (until <= now) {
+                bans.delete(ip);
+            }
+        });
+    }
+
+    // New limits apply to buckets as they refill
+    function configure(next) {
+        settings = next;
+    }
+
+    return { check, bannedFor, prune, configure };
+}
+
+module.exports = { createRateLimiter };
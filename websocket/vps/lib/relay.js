@@ -0,0 +1,1883 @@
+/**
+ * Relay - HTTP routes, WebSocket handlers and the camera/browser registry
+ *
+ * createRelay() builds a relay without touching the process: nothing
+ * listens and no timer runs until listen(), and close() undoes both.
+ * server.js wires one to the environment and signals; tests start their
+ * own on an ephemeral port.
+ *
+ *   const relay = createRelay(config.load(process.env).config);
+ *   relay.listen(8080).then(port => ...);
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+const WebSocket = require('ws');
+const http = require('http');
+const auth = require('./auth');
+const protocol = require('./protocol');
+const { createCaptureLog } = require('./capture-log');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+const config = require('./config');
+const { createRateLimiter } = require('./rate-limit');
+const { createScheduler } = require('./scheduler');
+const { createMotionDetector } = require('./motion');
+const { createMotionLog } = require('./motion-log');
+
+const CAMERA_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+// Sent to every client on close() - clients reconnect to the next relay
+const CLOSE_GOING_AWAY = 1001;
+
+/**
+ * @param {Object} settings Validated config (lib/config.js load().config), copied
+ * @param {Object} [options] { logger } - replaces the one built from LOG_* settings
+ * @returns {Object} Relay
+ */
+function createRelay(settings, options) {
+    options = options || {};
+
+    const CONFIG = Object.assign({}, settings);
+
+    // Token secrets: AUTH_SECRETS="cam1:secret1,cam2:secret2", AUTH_SECRET = fallback
+    let authSecrets = auth.parseSecrets(CONFIG.AUTH_SECRETS, CONFIG.AUTH_SECRET);
+
+    // =========================================================================
+    // LOGGING (Production-grade)
+    // =========================================================================
+
+    const logger = options.logger || createLogger({
+        file: CONFIG.LOG_FILE,
+        level: CONFIG.LOG_LEVEL,
+        maxSize: CONFIG.LOG_MAX_SIZE,
+        maxFiles: CONFIG.LOG_MAX_FILES
+    });
+
+    function log(level, message, context) {
+        logger.log(level, message, context);
+    }
+
+    // Per-connection fields attached to log lines
+    function connContext(ws) {
+        return {
+            client: ws.clientType,
+            ip: ws.ip,
+            camera: ws.cameraId || undefined
+        };
+    }
+
+    // =========================================================================
+    // CAPTURE HISTORY
+    // =========================================================================
+
+    const captureLog = createCaptureLog(CONFIG.CAPTURE_LOG_FILE, {
+        maxEntries: CONFIG.CAPTURE_LOG_ENTRIES,
+        onError: err => log('ERROR', `Capture log: ${err.message}`)
+    });
+
+    // =========================================================================
+    // SCHEDULED CAPTURES
+    // =========================================================================
+
+    function scheduleSettings() {
+        return {
+            historySize: CONFIG.SCHEDULE_HISTORY,
+            minInterval: CONFIG.SCHEDULE_MIN_INTERVAL,
+            maxPerCamera: CONFIG.SCHEDULE_MAX_PER_CAMERA,
+            missGrace: CONFIG.SCHEDULE_MISS_GRACE
+        };
+    }
+
+    // Runs are handled in the SCHEDULES section below
+    const scheduler = createScheduler(CONFIG.SCHEDULE_FILE, Object.assign(scheduleSettings(), {
+        run: runScheduledCapture,
+        onResult: reportScheduledRun,
+        onError: err => log('ERROR', `Schedules: ${err.message}`)
+    }));
+
+    // =========================================================================
+    // MOTION DETECTION
+    // =========================================================================
+
+    function motionSettings() {
+        return {
+            width: CONFIG.MOTION_WIDTH,
+            pixelThreshold: CONFIG.MOTION_PIXEL_THRESHOLD,
+            minArea: CONFIG.MOTION_MIN_AREA,
+            cooldown: CONFIG.MOTION_COOLDOWN,
+            sampleInterval: CONFIG.MOTION_SAMPLE_INTERVAL,
+            maxGap: Math.max(CONFIG.MOTION_SAMPLE_INTERVAL, CONFIG.MOTION_SNAPSHOT_INTERVAL) * 3,
+            zones: CONFIG.MOTION_ZONES,
+            thumbWidth: CONFIG.MOTION_THUMB_WIDTH
+        };
+    }
+
+    // Frames are fed in the MOTION section below
+    const motionDetector = createMotionDetector(Object.assign(motionSettings(), {
+        onError: err => log('WARN', `Motion: ${err.message}`)
+    }));
+
+    const motionLog = createMotionLog(CONFIG.MOTION_DIR, {
+        maxEntries: CONFIG.MOTION_LOG_ENTRIES,
+        onError: err => log('ERROR', `Motion log: ${err.message}`)
+    });
+
+    // =========================================================================
+    // RATE LIMITING
+    // =========================================================================
+
+    function rateLimitSettings() {
+        return {
+            limits: CONFIG.RATE_LIMITS,
+            ipMultiplier: CONFIG.RATE_LIMIT_IP_MULTIPLIER,
+            banThreshold: CONFIG.RATE_BAN_THRESHOLD,
+            banWindow: CONFIG.RATE_BAN_WINDOW,
+            banDuration: CONFIG.RATE_BAN_DURATION
+        };
+    }
+
+    const rateLimiter = createRateLimiter(rateLimitSettings());
+
+    // =========================================================================
+    // STATE MANAGEMENT
+    // =========================================================================
+
+    const state = {
+        cameras: new Map(),     // cameraId -> camera entry (see getCamera)
+        browsers: new Set(),
+        pendingRequests: new Map(), // relay request ID -> { ws, cameraId, respond, timer }
+        requestSeq: 0
+    };
+
+    /**
+     * Get (or create) the registry entry for a camera.
+     * Entries are kept after disconnect so browsers still get the last status.
+     */
+    function getCamera(cameraId) {
+        let camera = state.cameras.get(cameraId);
+        if (!camera) {
+            camera = {
+                id: cameraId,
+                ws: null,
+                status: {
+                    online: false,
+                    data: 'N/A,N/A,N/A,N/A',
+                    timestamp: 0,
+                    capturing: false,
+                    liveActive: false
+                },
+                pendingCaptures: new Map(), // captureId -> { timer, onFinish, record }
+                lastFrameAt: 0,
+                snapshotRequested: false, // Next frame answers a motion snapshot, not live
+                connectedAt: 0,
+                queue: [],        // Commands waiting for the camera (see OFFLINE QUEUE)
+                flushing: false
+            };
+            state.cameras.set(cameraId, camera);
+        }
+        return camera;
+    }
+
+    function isValidCameraId(cameraId) {
+        return typeof cameraId === 'string' && CAMERA_ID_PATTERN.test(cameraId);
+    }
+
+    // =========================================================================
+    // METRICS
+    // =========================================================================
+
+    const MESSAGE_TYPES = [
+        'identify', 'heartbeat', 'capture_done', 'capture_error', 'live_frame', 'live_status',
+        'settings_ack', 'subscribe', 'unsubscribe', 'capture', 'live_start', 'live_stop', 'settings', 'admin',
+        'schedule_create', 'schedule_list', 'schedule_delete'
+    ];
+
+    const registry = metrics.createRegistry('cam_ws_');
+
+    const stats = {
+        messages: registry.counter('messages_total', 'Messages received by client type and message type', ['client', 'type']),
+        unknownMessages: registry.counter('unknown_messages_total', 'Messages with an unknown type', ['client']),
+        invalidMessages: registry.counter('invalid_messages_total', 'Messages rejected by schema validation', ['client', 'type']),
+        capturesRequested: registry.counter('captures_requested_total', 'Captures sent to a camera', ['camera']),
+        capturesFinished: registry.counter('captures_finished_total', 'Captures by outcome (done, failed, timeout, disconnected)', ['camera', 'outcome']),
+        captureDuration: registry.histogram('capture_duration_seconds', 'Time from request to capture_done',
+            [1, 2, 5, 10, 20, 30, 45, 60], ['camera']),
+        framesRelayed: registry.counter('live_frames_relayed_total', 'Live frames fanned out to browsers', ['camera', 'kind']),
+        cameraConnects: registry.counter('camera_connects_total', 'Camera identify handshakes', ['camera']),
+        cameraReconnects: registry.counter('camera_reconnects_total', 'Camera connects after the first since relay start', ['camera']),
+        heartbeatGap: registry.histogram('camera_heartbeat_gap_seconds', 'Time between camera heartbeats',
+            [1, 2, 5, 10, 15, 30, 60], ['camera']),
+        originRejected: registry.counter('origin_rejected_total', 'Requests from origins not in the allow-list', ['transport']),
+        rateLimited: registry.counter('rate_limited_total', 'Browser messages refused by the rate limiter', ['type']),
+        bans: registry.counter('rate_bans_total', 'IPs temporarily banned for repeated rate limit hits'),
+        scheduledRuns: registry.counter('scheduled_runs_total', 'Scheduled captures by outcome (done, failed, timeout, disconnected, skipped, missed)', ['camera', 'outcome']),
+        motionEvents: registry.counter('motion_events_total', 'Motion events detected by the relay', ['camera']),
+        snapshotsRequested: registry.counter('snapshots_requested_total', 'Snapshots requested from idle cameras for motion detection', ['camera'])
+    };
+
+    registry.gauge('camera_up', 'Camera connected (1) or not (0)', () => {
+        return Array.from(state.cameras.values()).map(camera => ({
+            labels: { camera: camera.id },
+            value: camera.ws ? 1 : 0
+        }));
+    }, ['camera']);
+    registry.gauge('browsers', 'Connected browsers', () => state.browsers.size);
+    registry.gauge('pending_requests', 'Commands waiting for a camera reply', () => state.pendingRequests.size);
+    registry.gauge('schedules', 'Capture schedules still due to run', () => scheduler.list().filter(s => s.nextRunAt !== null).length);
+    registry.gauge('uptime_seconds', 'Relay uptime', () => Math.floor(process.uptime()));
+    registry.gauge('heap_used_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed);
+
+    // =========================================================================
+    // ORIGIN POLICY
+    // =========================================================================
+
+    const LOCALHOST_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+    function normalizeOrigin(origin) {
+        return String(origin).trim().toLowerCase().replace(/\/+$/, '');
+    }
+
+    /**
+     * Browsers always send Origin; cameras (websocat), curl and Prometheus
+     * don't, and are let through - they still need a token where one applies.
+     */
+    function isOriginAllowed(origin) {
+        if (!origin) {
+            return true;
+        }
+
+        const allowed = CONFIG.ALLOWED_ORIGINS.map(normalizeOrigin);
+        const normalized = normalizeOrigin(origin);
+
+        if (allowed.length === 0 || allowed.indexOf('*') !== -1) {
+            return true;
+        }
+
+        if (CONFIG.DEV_ALLOW_LOCALHOST && LOCALHOST_ORIGIN.test(normalized)) {
+            return true;
+        }
+
+        return allowed.indexOf(normalized) !== -1;
+    }
+
+    /**
+     * Client IP for logs, rate limits and bans. X-Forwarded-For is set by
+     * the client unless a proxy rewrites it, so it only counts with
+     * TRUST_PROXY - and then only the hop our proxy appended (the last).
+     */
+    function clientIp(req) {
+        const forwarded = CONFIG.TRUST_PROXY ? String(req.headers['x-forwarded-for'] || '') : '';
+        const hops = forwarded.split(',').map(hop => hop.trim()).filter(Boolean);
+        return hops.length > 0 ? hops[hops.length - 1] : req.socket.remoteAddress;
+    }
+
+    // =========================================================================
+    // HTTP SERVER
+    // =========================================================================
+
+    const httpServer = http.createServer((req, res) => {
+        const origin = req.headers.origin;
+
+        if (!isOriginAllowed(origin)) {
+            stats.originRejected.inc({ transport: 'http' });
+            log('WARN', `Rejected HTTP ${req.method} ${req.url.split('?')[0]} from origin ${origin}`, { ip: clientIp(req) });
+            sendJson(res, 403, { error: 'Origin not allowed' });
+            return;
+        }
+
+        // CORS headers (only for allowed browser origins)
+        if (origin) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Vary', 'Origin');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE');
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/captures') {
+            handleCapturesQuery(req, res, url);
+            return;
+        }
+
+        if (url.pathname === '/schedules' || url.pathname.startsWith('/schedules/')) {
+            handleSchedulesRequest(req, res, url);
+            return;
+        }
+
+        if (url.pathname === '/motion' || url.pathname.startsWith('/motion/')) {
+            handleMotionQuery(req, res, url);
+            return;
+        }
+
+        if (url.pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': metrics.CONTENT_TYPE });
+            res.end(registry.render());
+            return;
+        }
+
+        if (url.pathname === '/health') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            const cameras = {};
+            state.cameras.forEach((camera, cameraId) => {
+                cameras[cameraId] = camera.ws ? 'connected' : 'disconnected';
+            });
+
+            // Public endpoint: per-client backpressure, no addresses
+            const clients = [];
+            state.browsers.forEach(client => {
+                clients.push({
+                    cameras: Array.from(client.subscriptions.keys()),
+                    buffered: client.bufferedAmount,
+                    deferred: client.deferred.size,
+                    dropped: client.dropped
+                });
+            });
+
+            res.end(JSON.stringify({
+                status: 'healthy',
+                cameras: cameras,
+                browsers: state.browsers.size,
+                clients: clients,
+                uptime: Math.floor(process.uptime()),
+                memory: Math.floor(process.memoryUsage().heapUsed / 1024 / 1024) + 'MB'
+            }));
+            return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('Camera WebSocket Server v2.0');
+    });
+
+    function sendJson(res, statusCode, body) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * GET /captures?camera=cam1&since=<ms|ISO>&limit=50
+     * Needs a viewer/operator token for the camera, as a Bearer header or ?token=
+     * Who asked for each capture (client.ip) is only shown to operators.
+     */
+    function handleCapturesQuery(req, res, url) {
+        const cameraId = url.searchParams.get('camera');
+        const role = authorizeHttp(req, res, url, cameraId);
+        if (!role) {
+            return;
+        }
+
+        const since = parseSince(url);
+        if (isNaN(since)) {
+            sendJson(res, 400, { error: 'Invalid since' });
+            return;
+        }
+
+        const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 50, CONFIG.CAPTURE_QUERY_LIMIT);
+
+        let captures = captureLog.query({ camera: cameraId, since: since, limit: limit });
+        if (role !== 'operator') {
+            captures = captures.map(capture => {
+                if (!capture.client) return capture;
+                const client = Object.assign({}, capture.client);
+                delete client.ip;
+                return Object.assign({}, capture, { client: client });
+            });
+        }
+
+        sendJson(res, 200, { camera: cameraId, captures: captures });
+    }
+
+    /**
+     * GET /motion?camera=cam1&since=<ms|ISO>&limit=50  events, newest first
+     * GET /motion/<id>.jpg?camera=cam1                 thumbnail
+     * Same token rules as /captures (?token= lets an <img> load thumbnails)
+     */
+    function handleMotionQuery(req, res, url) {
+        const cameraId = url.searchParams.get('camera');
+        if (!authorizeHttp(req, res, url, cameraId)) {
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        const thumbnail = /^\/motion\/([^/]+)\.jpg$/.exec(url.pathname);
+        if (thumbnail) {
+            motionLog.thumbnail(thumbnail[1], cameraId).then(image => {
+                if (!image) {
+                    sendJson(res, 404, { error: 'No such thumbnail' });
+                    return;
+                }
+                res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Cache-Control': 'private, max-age=86400' });
+                res.end(image);
+            });
+            return;
+        }
+
+        if (url.pathname !== '/motion') {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        const since = parseSince(url);
+        if (isNaN(since)) {
+            sendJson(res, 400, { error: 'Invalid since' });
+            return;
+        }
+
+        const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 50, CONFIG.CAPTURE_QUERY_LIMIT);
+
+        sendJson(res, 200, {
+            camera: cameraId,
+            enabled: CONFIG.MOTION_ENABLED,
+            events: motionLog.query({ camera: cameraId, since: since, limit: limit })
+        });
+    }
+
+    /**
+     * ?since= as ms or an ISO date
+     *
+     * @returns {number} 0 when absent, NaN when invalid
+     */
+    function parseSince(url) {
+        const since = url.searchParams.get('since');
+        if (!since) {
+            return 0;
+        }
+        return /^\d+$/.test(since) ? Number(since) : Date.parse(since);
+    }
+
+    /**
+     * Check the browser token of an HTTP request (Bearer header or ?token=)
+     *
+     * @returns {string|null} The token's role, null once an error was sent
+     */
+    function authorizeHttp(req, res, url, cameraId) {
+        if (!isValidCameraId(cameraId)) {
+            sendJson(res, 400, { error: 'Invalid camera ID' });
+            return null;
+        }
+
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+        const verified = auth.verifyToken(token, cameraId, authSecrets);
+        if (!verified.ok || verified.role === 'camera') {
+            sendJson(res, 401, { error: verified.ok ? 'Browser token required' : verified.reason });
+            return null;
+        }
+
+        return verified.role;
+    }
+
+    function readJsonBody(req, limit) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > limit) {
+                    reject(new Error('Body too large'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+
+            req.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch (err) {
+                    reject(new Error('Invalid JSON'));
+                }
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * GET    /schedules?camera=cam1       list (viewer/operator)
+     * POST   /schedules?camera=cam1       create, JSON body = schedule (operator)
+     * DELETE /schedules/<id>?camera=cam1  delete (operator)
+     * Same token rules as /captures; bodies go through the same schema as WebSocket messages
+     */
+    function handleSchedulesRequest(req, res, url) {
+        const cameraId = url.searchParams.get('camera');
+        const role = authorizeHttp(req, res, url, cameraId);
+        if (!role) {
+            return;
+        }
+
+        const id = url.pathname.slice('/schedules/'.length);
+        let type;
+        if (req.method === 'GET' && !id) {
+            type = 'schedule_list';
+        } else if (req.method === 'POST' && !id) {
+            type = 'schedule_create';
+        } else if (req.method === 'DELETE' && id) {
+            type = 'schedule_delete';
+        } else {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        if (!auth.hasPermission(role, type)) {
+            sendJson(res, 403, { error: 'Not permitted: ' + type });
+            return;
+        }
+
+        const respond = message => {
+            const problem = protocol.validate('browser', message);
+            if (problem) {
+                sendJson(res, 400, { error: problem.message, code: problem.code });
+                return;
+            }
+
+            const outcome = scheduleCommand(cameraId, message, { ip: clientIp(req), role: role });
+            if (!outcome.ok) {
+                sendJson(res, outcome.code === 'not_found' ? 404 : 400, { error: outcome.error, code: outcome.code });
+                return;
+            }
+            sendJson(res, type === 'schedule_create' ? 201 : 200, Object.assign({ camera: cameraId }, outcome.result));
+        };
+
+        const message = { type: type, camera: cameraId, requestId: '' };
+
+        if (type !== 'schedule_create') {
+            respond(Object.assign(message, { id: id ? decodeURIComponent(id) : undefined }));
+            return;
+        }
+
+        readJsonBody(req, CONFIG.MAX_MESSAGE_SIZE).then(
+            body => respond(Object.assign(message, { schedule: body })),
+            err => sendJson(res, 400, { error: err.message })
+        );
+    }
+
+    // =========================================================================
+    // WEBSOCKET SERVER
+    // =========================================================================
+
+    const wss = new WebSocket.Server({
+        server: httpServer,
+        maxPayload: CONFIG.MAX_FRAME_SIZE,
+        verifyClient: (info, done) => {
+            const bannedFor = rateLimiter.bannedFor(clientIp(info.req));
+            if (bannedFor) {
+                log('DEBUG', 'Refused upgrade from banned IP', { ip: clientIp(info.req) });
+                done(false, 429, 'Too many requests', { 'Retry-After': Math.ceil(bannedFor / 1000) });
+                return;
+            }
+
+            if (isOriginAllowed(info.origin)) {
+                done(true);
+                return;
+            }
+            stats.originRejected.inc({ transport: 'websocket' });
+            log('WARN', `Rejected WebSocket upgrade from origin ${info.origin}`, { ip: clientIp(info.req) });
+            done(false, 403, 'Origin not allowed');
+        }
+    });
+
+    // =========================================================================
+    // BACKPRESSURE
+    // =========================================================================
+
+    // Only the latest of these matters - older ones may be replaced for slow browsers
+    const COALESCED_TYPES = ['status', 'live_frame', 'frame'];
+
+    function sendRaw(client, data, binary) {
+        try {
+            client.send(data, { binary: binary });
+        } catch (err) {
+            log('ERROR', `Send to browser failed: ${err.message}`, connContext(client));
+        }
+    }
+
+    /**
+     * Deliver a message to one browser, respecting its outgoing queue.
+     * While the browser is behind, coalesced types wait in a one-slot mailbox
+     * per camera+type; a newer message replaces the waiting one (counted as
+     * dropped). Every other type (capture_done, errors...) is always sent.
+     */
+    function deliver(client, cameraId, type, data, binary) {
+        if (client.bufferedAmount > CONFIG.MAX_CLIENT_BUFFER) {
+            log('WARN', `Browser exceeded ${CONFIG.MAX_CLIENT_BUFFER} queued bytes - terminating`, connContext(client));
+            client.terminate();
+            return;
+        }
+
+        if (COALESCED_TYPES.indexOf(type) === -1) {
+            sendRaw(client, data, binary);
+            return;
+        }
+
+        const key = cameraId + ':' + type;
+
+        if (client.deferred.has(key)) {
+            client.deferred.delete(key);
+            client.dropped[type] = (client.dropped[type] || 0) + 1;
+        }
+
+        if (client.bufferedAmount > CONFIG.SLOW_CLIENT_BUFFER) {
+            client.deferred.set(key, { data: data, binary: binary });
+            return;
+        }
+
+        sendRaw(client, data, binary);
+    }
+
+    // Send waiting coalesced messages to browsers that caught up
+    function flushDeferred() {
+        state.browsers.forEach(client => {
+            if (client.deferred.size === 0 || client.readyState !== WebSocket.OPEN) {
+                return;
+            }
+            if (client.bufferedAmount > CONFIG.SLOW_CLIENT_BUFFER) {
+                return;
+            }
+            client.deferred.forEach(pending => sendRaw(client, pending.data, pending.binary));
+            client.deferred.clear();
+        });
+    }
+
+    // Broadcast to browsers subscribed to a camera
+    function broadcast(cameraId, message) {
+        const data = JSON.stringify(Object.assign({ camera: cameraId }, message));
+        state.browsers.forEach(client => {
+            if (client.readyState === WebSocket.OPEN && client.subscriptions.has(cameraId)) {
+                deliver(client, cameraId, message.type, data, false);
+            }
+        });
+    }
+
+    /**
+     * Fan a binary JPEG frame out to a camera's subscribers.
+     * Wire format: [1 byte ID length][camera ID][JPEG bytes], so browsers
+     * watching several cameras can tell frames apart.
+     */
+    function broadcastFrame(cameraId, jpeg) {
+        const id = Buffer.from(cameraId, 'ascii');
+        const frame = Buffer.concat([Buffer.from([id.length]), id, jpeg]);
+
+        state.browsers.forEach(client => {
+            if (client.readyState === WebSocket.OPEN && client.subscriptions.has(cameraId)) {
+                deliver(client, cameraId, 'frame', frame, true);
+            }
+        });
+    }
+
+    // Send to camera
+    function sendToCamera(cameraId, message) {
+        const camera = state.cameras.get(cameraId);
+        if (!camera || !camera.ws || camera.ws.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        try {
+            camera.ws.send(JSON.stringify(message));
+            return true;
+        } catch (err) {
+            log('ERROR', `Send to camera failed: ${err.message}`, { camera: cameraId });
+            return false;
+        }
+    }
+
+    // =========================================================================
+    // REQUEST / RESPONSE
+    // =========================================================================
+
+    /**
+     * Reply to a browser with an error, echoing its requestId if it sent one
+     */
+    function replyError(ws, request, message, fields) {
+        const reply = Object.assign({ type: 'error', message: message }, fields);
+        if (request && request.requestId) {
+            reply.requestId = request.requestId;
+        }
+        ws.send(JSON.stringify(reply));
+    }
+
+    function sendResponse(ws, requestId, cameraId, outcome) {
+        if (ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        ws.send(JSON.stringify(Object.assign({
+            type: 'response',
+            requestId: requestId,
+            camera: cameraId
+        }, outcome)));
+    }
+
+    /**
+     * Forward a browser command to its camera and track the reply.
+     * The relay swaps in its own request ID so IDs from different browsers
+     * can't collide; the camera echoes it back on its reply.
+     *
+     * @returns {boolean} Whether the command reached the camera
+     */
+    function forwardRequest(ws, cameraId, request, command, timeoutMs) {
+        if (!request.requestId) {
+            return sendToCamera(cameraId, command);
+        }
+
+        return trackCommand(cameraId, command, timeoutMs, outcome => {
+            sendResponse(ws, request.requestId, cameraId, outcome);
+        }, ws);
+    }
+
+    /**
+     * Send a command under a relay request ID and call respond(outcome) once
+     * the camera replies, the deadline passes or the camera disconnects.
+     *
+     * @param {Object} owner Browser that asked (dropped with it on disconnect), or null
+     * @returns {boolean} Whether the command reached the camera
+     */
+    function trackCommand(cameraId, command, timeoutMs, respond, owner) {
+        const relayId = String(++state.requestSeq);
+        command.requestId = relayId;
+
+        if (!sendToCamera(cameraId, command)) {
+            return false;
+        }
+
+        const timer = setTimeout(() => {
+            state.pendingRequests.delete(relayId);
+            respond({
+                ok: false,
+                code: 'timeout',
+                error: 'Camera did not reply in time'
+            });
+        }, timeoutMs || CONFIG.REQUEST_TIMEOUT);
+
+        state.pendingRequests.set(relayId, {
+            ws: owner || null,
+            cameraId: cameraId,
+            respond: respond,
+            timer: timer
+        });
+        return true;
+    }
+
+    /**
+     * Settle a tracked request from the camera's reply
+     *
+     * @param {string} relayId requestId echoed by the camera (may be undefined)
+     * @param {Object} outcome { ok: true, result } or { ok: false, code, error }
+     */
+    function completeRequest(relayId, outcome) {
+        const pending = relayId && state.pendingRequests.get(relayId);
+        if (!pending) {
+            return;
+        }
+        clearTimeout(pending.timer);
+        state.pendingRequests.delete(relayId);
+        pending.respond(outcome);
+    }
+
+    // Fail every pending request matching a predicate (disconnects)
+    function failRequests(predicate, outcome) {
+        state.pendingRequests.forEach((pending, relayId) => {
+            if (predicate(pending)) {
+                completeRequest(relayId, outcome);
+            }
+        });
+    }
+
+    // =========================================================================
+    // CONNECTION HANDLER
+    // =========================================================================
+
+    wss.on('connection', (ws, req) => {
+        const ip = clientIp(req);
+
+        ws.isAlive = true;
+        ws.clientType = 'unknown';
+        ws.ip = ip;
+
+        log('INFO', 'New connection', connContext(ws));
+
+        ws.on('pong', () => { ws.isAlive = true; });
+
+        ws.on('message', (rawMessage, isBinary) => {
+            if (isBinary) {
+                handleBinaryMessage(ws, rawMessage, ip);
+                return;
+            }
+
+            if (rawMessage.length > CONFIG.MAX_MESSAGE_SIZE) {
+                log('WARN', `Oversized message (${rawMessage.length} bytes)`, connContext(ws));
+                replyError(ws, null, 'Message too large', { code: 'too_large' });
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(rawMessage);
+            } catch (err) {
+                log('WARN', 'Invalid JSON', connContext(ws));
+                replyError(ws, null, 'Invalid JSON', { code: 'invalid_message' });
+                return;
+            }
+
+            handleMessage(ws, message, ip);
+        });
+
+        ws.on('close', () => {
+            handleDisconnect(ws, ip);
+        });
+
+        ws.on('error', (err) => {
+            log('ERROR', `WebSocket error: ${err.message}`, connContext(ws));
+        });
+    });
+
+    // =========================================================================
+    // MESSAGE HANDLERS
+    // =========================================================================
+
+    function handleMessage(ws, message, ip) {
+        // JSON.parse can return null, numbers or arrays - protocol.validate rejects those
+        const type = message && typeof message === 'object' ? message.type : undefined;
+
+        stats.messages.inc({
+            client: ws.clientType,
+            type: MESSAGE_TYPES.includes(type) ? type : 'other'
+        });
+
+        log('DEBUG', `Received ${type}`, connContext(ws));
+
+        // Browsers and unidentified clients pay for every message, valid or not
+        if (ws.clientType !== 'camera' && !enforceRateLimit(ws, message, type)) {
+            return;
+        }
+
+        // Schema check (lib/protocol.js) before any field is trusted
+        const isCamera = ws.clientType === 'camera' || (type === 'identify' && message.role === 'camera');
+        const problem = protocol.validate(isCamera ? 'camera' : 'browser', message);
+        if (problem) {
+            rejectMessage(ws, message, problem);
+            return;
+        }
+
+        // Relay administration (any connection holding the admin key)
+        if (type === 'admin') {
+            handleAdminMessage(ws, message);
+            return;
+        }
+
+        // Identification
+        if (type === 'identify') {
+            if (message.role === 'camera') {
+                identifyAsCamera(ws, message, ip);
+            } else if (message.role === 'browser') {
+                identifyAsBrowser(ws, message, ip);
+            }
+            return;
+        }
+
+        // Camera messages
+        if (ws.clientType === 'camera') {
+            handleCameraMessage(ws, message);
+            return;
+        }
+
+        // Browser messages
+        if (ws.clientType === 'browser') {
+            handleBrowserMessage(ws, message);
+            return;
+        }
+
+        stats.unknownMessages.inc({ client: ws.clientType });
+        log('WARN', `Unidentified client sent: ${type}`, connContext(ws));
+    }
+
+    /**
+     * { type: 'admin', key, command: 'log_level', level: 'debug'|'info'|'warn'|'error', requestId }
+     */
+    function handleAdminMessage(ws, message) {
+        if (!auth.verifyAdminKey(message.key, CONFIG.ADMIN_KEY)) {
+            log('WARN', 'Rejected admin message', connContext(ws));
+            replyError(ws, message, 'Unauthorized', { code: 'unauthorized' });
+            return;
+        }
+
+        switch (message.command) {
+            case 'log_level':
+                if (!logger.setLevel(message.level, connContext(ws))) {
+                    replyError(ws, message, 'Invalid log level', { code: 'invalid' });
+                    return;
+                }
+                sendResponse(ws, message.requestId, null, { ok: true, result: { level: logger.getLevel() } });
+                break;
+
+            default:
+                replyError(ws, message, 'Unknown admin command', { code: 'invalid' });
+        }
+    }
+
+    function rejectMessage(ws, message, problem) {
+        const type = message && message.type;
+
+        if (problem.code === 'unknown_type') {
+            stats.unknownMessages.inc({ client: ws.clientType });
+        } else {
+            stats.invalidMessages.inc({
+                client: ws.clientType,
+                type: MESSAGE_TYPES.includes(type) ? type : 'other'
+            });
+        }
+
+        log('WARN', `Rejected message: ${problem.message}`, connContext(ws));
+
+        // Only echo a requestId that passed validation
+        const echo = problem.code === 'invalid_message' && problem.field !== 'requestId' && problem.field !== '';
+        replyError(ws, echo ? message : null, problem.message, {
+            code: problem.code,
+            field: problem.field
+        });
+    }
+
+    // Reject a client that failed authentication and close its socket
+    function rejectClient(ws, ip, reason) {
+        log('WARN', `Unauthorized identify: ${reason}`, connContext(ws));
+        ws.send(JSON.stringify({ type: 'error', code: 'unauthorized', message: reason }));
+        ws.close(auth.CLOSE_CODES.UNAUTHORIZED, reason);
+    }
+
+    function identifyAsCamera(ws, message, ip) {
+        const cameraId = message.camera || CONFIG.DEFAULT_CAMERA;
+
+        if (!isValidCameraId(cameraId)) {
+            rejectClient(ws, ip, 'Invalid camera ID');
+            return;
+        }
+
+        const result = auth.verifyToken(message.token, cameraId, authSecrets);
+        if (!result.ok || result.role !== 'camera') {
+            rejectClient(ws, ip, result.ok ? 'Token is not a camera token' : result.reason);
+            return;
+        }
+
+        // Same socket re-identifying under a different ID
+        if (ws.cameraId && ws.cameraId !== cameraId) {
+            const previous = getCamera(ws.cameraId);
+            previous.ws = null;
+            previous.status.online = false;
+        }
+
+        const camera = getCamera(cameraId);
+
+        if (camera.ws && camera.ws !== ws) {
+            log('WARN', 'Replacing existing camera connection', { camera: cameraId });
+            camera.ws.cameraId = null;
+            camera.ws.close();
+        }
+
+        stats.cameraConnects.inc({ camera: cameraId });
+        if (camera.connectedAt) {
+            stats.cameraReconnects.inc({ camera: cameraId });
+        }
+
+        camera.ws = ws;
+        camera.connectedAt = Date.now();
+        ws.clientType = 'camera';
+        ws.cameraId = cameraId;
+        camera.status.online = true;
+        camera.status.timestamp = Date.now();
+
+        log('INFO', 'Camera connected', connContext(ws));
+
+        broadcast(cameraId, {
+            type: 'camera_online',
+            timestamp: Date.now()
+        });
+
+        flushQueue(camera);
+    }
+
+    function identifyAsBrowser(ws, message, ip) {
+        ws.subscriptions = new Map();    // cameraId -> { role, exp } granted by token
+
+        const cameras = message.cameras || [message.camera || CONFIG.DEFAULT_CAMERA];
+        subscribe(ws, cameras, message);
+
+        if (ws.subscriptions.size === 0) {
+            rejectClient(ws, ip, 'No valid token for requested cameras');
+            return;
+        }
+
+        state.browsers.add(ws);
+        ws.clientType = 'browser';
+        ws.deferred = new Map();    // 'cameraId:type' -> { data, binary } waiting for the queue to drain
+        ws.dropped = {};            // type -> messages replaced before they could be sent
+
+        log('INFO', `Browser connected (total: ${state.browsers.size})`, connContext(ws));
+    }
+
+    /**
+     * Subscribe a browser to cameras and send each one's current status.
+     * A camera's token comes from `tokens[cameraId]`, falling back to `token`.
+     */
+    function subscribe(ws, cameras, message) {
+        if (!Array.isArray(cameras)) {
+            cameras = [cameras];
+        }
+
+        cameras.forEach(cameraId => {
+            if (!isValidCameraId(cameraId)) {
+                ws.send(JSON.stringify({ type: 'error', camera: cameraId, message: 'Invalid camera ID' }));
+                return;
+            }
+
+            const token = (message.tokens && message.tokens[cameraId]) || message.token;
+            const result = auth.verifyToken(token, cameraId, authSecrets);
+
+            if (!result.ok || result.role === 'camera') {
+                ws.send(JSON.stringify({
+                    type: 'error',
+                    code: 'unauthorized',
+                    camera: cameraId,
+                    message: result.ok ? 'Camera tokens cannot subscribe' : result.reason
+                }));
+                return;
+            }
+
+            ws.subscriptions.set(cameraId, { role: result.role, exp: result.exp });
+            ws.send(JSON.stringify({
+                type: 'init',
+                camera: cameraId,
+                role: result.role,
+                status: getCamera(cameraId).status,
+                queue: getCamera(cameraId).queue.map(describeQueued)
+            }));
+        });
+    }
+
+    function unsubscribe(ws, cameras) {
+        if (!Array.isArray(cameras)) {
+            cameras = [cameras];
+        }
+        cameras.forEach(cameraId => ws.subscriptions.delete(cameraId));
+    }
+
+    /**
+     * Resolve which camera a browser command targets.
+     * Explicit `camera` wins; otherwise a browser with a single subscription
+     * is assumed to mean that camera.
+     */
+    function resolveTargetCamera(ws, message) {
+        if (message.camera) {
+            return ws.subscriptions.has(message.camera) ? message.camera : null;
+        }
+        if (ws.subscriptions.size === 1) {
+            return ws.subscriptions.keys().next().value;
+        }
+        return null;
+    }
+
+    function handleCameraMessage(ws, message) {
+        const { type } = message;
+        const cameraId = ws.cameraId;
+
+        // Connection was replaced by a newer one for the same camera
+        if (!cameraId) {
+            return;
+        }
+
+        const camera = getCamera(cameraId);
+
+        switch (type) {
+            case 'heartbeat':
+                stats.heartbeatGap.observe({ camera: cameraId }, (Date.now() - camera.status.timestamp) / 1000);
+                camera.status.data = message.data || camera.status.data;
+                camera.status.timestamp = Date.now();
+                camera.status.online = true;
+                broadcast(cameraId, { type: 'status', status: camera.status });
+                break;
+
+            case 'capture_done':
+                camera.status.capturing = false;
+                const captureId = message.id;
+
+                log('INFO', `Capture complete: ${captureId} (${message.duration}ms)`, connContext(ws));
+
+                const done = {
+                    type: 'capture_done',
+                    id: captureId,
+                    url: message.url + '?t=' + Date.now(),
+                    duration: message.duration
+                };
+
+                broadcast(cameraId, done);
+                completeRequest(message.requestId, { ok: true, result: done });
+                finishCapture(camera, captureId, 'done', { url: message.url });
+                break;
+
+            case 'capture_error':
+                camera.status.capturing = false;
+
+                log('WARN', `Capture failed: ${message.id} (${message.error || 'unknown'})`, connContext(ws));
+
+                broadcast(cameraId, {
+                    type: 'capture_failed',
+                    id: message.id,
+                    error: message.error || 'Capture failed'
+                });
+                completeRequest(message.requestId, {
+                    ok: false,
+                    code: 'capture_failed',
+                    error: message.error || 'Capture failed'
+                });
+
+                finishCapture(camera, message.id, 'failed', { error: message.error || 'Capture failed' });
+                break;
+
+            case 'live_frame':
+                stats.framesRelayed.inc({ camera: cameraId, kind: 'url' });
+                broadcast(cameraId, {
+                    type: 'live_frame',
+                    url: 'live.jpg?t=' + Date.now()
+                });
+                break;
+
+            case 'live_status':
+                camera.status.liveActive = message.active;
+                broadcast(cameraId, { type: 'live_status', active: message.active });
+                completeRequest(message.requestId, { ok: true, result: { active: message.active } });
+                break;
+
+            case 'settings_ack':
+                completeRequest(message.requestId, message.ok === false
+                    ? { ok: false, code: 'settings_failed', error: message.error || 'Settings rejected' }
+                    : { ok: true, result: {} });
+                break;
+
+            default:
+                log('WARN', `Unknown camera message: ${type}`, connContext(ws));
+        }
+    }
+
+    // Binary messages are live JPEG frames, accepted from cameras only
+    function handleBinaryMessage(ws, data, ip) {
+        if (ws.clientType !== 'camera' || !ws.cameraId) {
+            log('WARN', 'Unexpected binary message', connContext(ws));
+            return;
+        }
+
+        // JPEG SOI marker
+        if (data.length < 4 || data[0] !== 0xFF || data[1] !== 0xD8) {
+            log('WARN', 'Invalid live frame', connContext(ws));
+            return;
+        }
+
+        const camera = getCamera(ws.cameraId);
+        camera.lastFrameAt = Date.now();
+
+        // Snapshots are for motion detection only - browsers aren't watching live
+        if (camera.snapshotRequested) {
+            camera.snapshotRequested = false;
+        } else {
+            stats.framesRelayed.inc({ camera: ws.cameraId, kind: 'binary' });
+            broadcastFrame(ws.cameraId, data);
+        }
+
+        detectMotion(ws.cameraId, data);
+    }
+
+    /**
+     * Take a rate limit token for a message from a browser (or a client that
+     * has not identified yet).
+     * Refused: error with retryAfter (ms). Repeat offenders: every browser
+     * from that IP is disconnected and the IP banned for RATE_BAN_DURATION.
+     *
+     * @returns {boolean} Whether the message may be processed
+     */
+    function enforceRateLimit(ws, message, type) {
+        const key = MESSAGE_TYPES.includes(type) ? type : 'other';
+        const result = rateLimiter.check(ws, ws.ip, key);
+        if (result.ok) {
+            return true;
+        }
+
+        stats.rateLimited.inc({ type: key });
+
+        if (!result.banned) {
+            log('DEBUG', `Rate limited ${key} (retry in ${result.retryAfter}ms)`, connContext(ws));
+            replyError(ws, key === 'other' ? null : message, `Too many ${key} requests`, {
+                code: 'rate_limited',
+                retryAfter: result.retryAfter
+            });
+            return false;
+        }
+
+        stats.bans.inc();
+        log('WARN', `IP banned for ${CONFIG.RATE_BAN_DURATION / 1000}s after repeated rate limit hits`, connContext(ws));
+
+        state.browsers.forEach(client => {
+            if (client.ip === ws.ip) {
+                replyError(client, client === ws ? message : null, 'Too many requests - temporarily banned', {
+                    code: 'banned',
+                    retryAfter: CONFIG.RATE_BAN_DURATION
+                });
+                client.close(auth.CLOSE_CODES.RATE_LIMITED, 'Rate limit');
+            }
+        });
+
+        // Not yet identified, so not in state.browsers
+        ws.close(auth.CLOSE_CODES.RATE_LIMITED, 'Rate limit');
+        return false;
+    }
+
+    function handleBrowserMessage(ws, message) {
+        const { type } = message;
+
+        // Subscription management (no target camera needed)
+        if (type === 'subscribe') {
+            subscribe(ws, message.cameras || message.camera, message);
+            return;
+        }
+
+        if (type === 'unsubscribe') {
+            unsubscribe(ws, message.cameras || message.camera);
+            return;
+        }
+
+        const cameraId = resolveTargetCamera(ws, message);
+        if (!cameraId) {
+            replyError(ws, message, 'Camera not specified or not subscribed');
+            return;
+        }
+
+        const grant = ws.subscriptions.get(cameraId);
+
+        if (grant.exp * 1000 < Date.now()) {
+            replyError(ws, message, 'Token expired', { code: 'unauthorized', camera: cameraId });
+            ws.close(auth.CLOSE_CODES.UNAUTHORIZED, 'Token expired');
+            return;
+        }
+
+        if (!auth.hasPermission(grant.role, type)) {
+            log('WARN', `Forbidden ${type} from ${grant.role}`, Object.assign(connContext(ws), { camera: cameraId }));
+            replyError(ws, message, 'Not permitted: ' + type, { code: 'forbidden', camera: cameraId });
+            return;
+        }
+
+        // Camera away and the browser asked to wait for it
+        if (message.queue && !getCamera(cameraId).ws && CONFIG.QUEUE_TYPES.includes(type)) {
+            queueCommand(ws, cameraId, message);
+            return;
+        }
+
+        let sent;
+
+        switch (type) {
+            case 'capture':
+                requestCapture(ws, cameraId, message);
+                return;
+
+            case 'schedule_create':
+            case 'schedule_list':
+            case 'schedule_delete':
+                sendResponse(ws, message.requestId, cameraId,
+                    scheduleCommand(cameraId, message, { ip: ws.ip, role: grant.role }));
+                return;
+
+            case 'live_start':
+                sent = forwardRequest(ws, cameraId, message, {
+                    type: 'live_start',
+                    quality: message.quality || 'medium'
+                });
+                break;
+
+            case 'live_stop':
+                sent = forwardRequest(ws, cameraId, message, { type: 'live_stop' });
+                break;
+
+            case 'settings':
+                sent = forwardRequest(ws, cameraId, message, {
+                    type: 'settings',
+                    data: message.data
+                });
+                log('INFO', 'Settings update sent', Object.assign(connContext(ws), { camera: cameraId }));
+                break;
+
+            default:
+                log('WARN', `Unknown browser message: ${type}`, connContext(ws));
+                return;
+        }
+
+        if (!sent) {
+            replyError(ws, message, 'Camera offline', { code: 'offline', camera: cameraId });
+        }
+    }
+
+    function requestCapture(ws, cameraId, request) {
+        const grant = ws.subscriptions.get(cameraId);
+
+        const result = startCapture(cameraId, {
+            client: {
+                ip: ws.ip,
+                role: grant ? grant.role : null,
+                requestId: request.requestId || null
+            },
+            respond: request.requestId ? outcome => sendResponse(ws, request.requestId, cameraId, outcome) : null,
+            owner: ws
+        });
+
+        if (!result.ok) {
+            replyError(ws, request, result.error, { code: result.code, camera: cameraId });
+            return;
+        }
+
+        log('INFO', `Capture requested: ${result.captureId}`, Object.assign(connContext(ws), { camera: cameraId }));
+    }
+
+    /**
+     * Start a capture on behalf of a browser, the offline queue or the scheduler.
+     *
+     * @param {Object} origin { client (recorded in history), respond(outcome), owner, onFinish(outcome, record) }
+     * @returns {{ok: boolean, captureId?: string, code?: string, error?: string}}
+     */
+    function startCapture(cameraId, origin) {
+        const camera = getCamera(cameraId);
+
+        if (!camera.status.online) {
+            return { ok: false, code: 'offline', error: 'Camera offline' };
+        }
+
+        if (camera.status.capturing) {
+            return { ok: false, code: 'busy', error: 'Capture in progress' };
+        }
+
+        const captureId = Date.now().toString();
+        const command = { type: 'capture', id: captureId };
+        const sent = origin.respond
+            ? trackCommand(cameraId, command, CONFIG.CAPTURE_TIMEOUT, origin.respond, origin.owner)
+            : sendToCamera(cameraId, command);
+
+        if (!sent) {
+            return { ok: false, code: 'offline', error: 'Failed to send command' };
+        }
+
+        camera.status.capturing = true;
+        stats.capturesRequested.inc({ camera: cameraId });
+        broadcast(cameraId, { type: 'capture_started', id: captureId });
+
+        // Timeout protection
+        const timer = setTimeout(() => {
+            if (camera.status.capturing) {
+                camera.status.capturing = false;
+                broadcast(cameraId, { type: 'capture_timeout', id: captureId });
+                log('WARN', `Capture timeout: ${captureId}`, { camera: cameraId });
+            }
+            finishCapture(camera, captureId, 'timeout');
+        }, CONFIG.CAPTURE_TIMEOUT);
+
+        camera.pendingCaptures.set(captureId, {
+            timer: timer,
+            onFinish: origin.onFinish || null,
+            record: {
+                id: captureId,
+                camera: cameraId,
+                client: origin.client,
+                startedAt: Date.now()
+            }
+        });
+
+        return { ok: true, captureId: captureId };
+    }
+
+    /**
+     * Close a pending capture and append it to the history.
+     * outcome: 'done' | 'failed' | 'timeout' | 'disconnected'
+     */
+    function finishCapture(camera, captureId, outcome, fields) {
+        const pending = camera.pendingCaptures.get(captureId);
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        camera.pendingCaptures.delete(captureId);
+
+        const endedAt = Date.now();
+        stats.capturesFinished.inc({ camera: camera.id, outcome: outcome });
+        if (outcome === 'done') {
+            stats.captureDuration.observe({ camera: camera.id }, (endedAt - pending.record.startedAt) / 1000);
+        }
+
+        const record = Object.assign(pending.record, {
+            endedAt: endedAt,
+            duration: endedAt - pending.record.startedAt,
+            outcome: outcome,
+            url: null,
+            error: null
+        }, fields);
+
+        captureLog.add(record);
+
+        if (pending.onFinish) {
+            pending.onFinish(outcome, record);
+        }
+    }
+
+    // =========================================================================
+    // OFFLINE QUEUE
+    // =========================================================================
+
+    /**
+     * Hold a command (browser sent `queue: true`) until the camera re-identifies.
+     * Replies at once with { queued: true, id, expiresAt }; progress follows as
+     * `queued_command` broadcasts: queued -> sent -> done | failed, or expired.
+     */
+    function queueCommand(ws, cameraId, message) {
+        const camera = getCamera(cameraId);
+
+        if (camera.queue.length >= CONFIG.QUEUE_MAX_LENGTH) {
+            replyError(ws, message, 'Command queue full', { code: 'queue_full', camera: cameraId });
+            return;
+        }
+
+        const ttl = Math.min(message.ttl || CONFIG.QUEUE_DEFAULT_TTL, CONFIG.QUEUE_MAX_TTL);
+        const grant = ws.subscriptions.get(cameraId);
+        const entry = {
+            id: 'q' + (++state.requestSeq),
+            command: message.type,
+            data: message.data,
+            client: { ip: ws.ip, role: grant.role, requestId: message.requestId || null, queued: true },
+            queuedAt: Date.now(),
+            expiresAt: Date.now() + ttl
+        };
+
+        entry.timer = setTimeout(() => {
+            camera.queue.splice(camera.queue.indexOf(entry), 1);
+            log('INFO', `Queued ${entry.command} expired: ${entry.id}`, { camera: cameraId });
+            broadcastQueued(cameraId, entry, 'expired');
+        }, ttl);
+
+        camera.queue.push(entry);
+        log('INFO', `Queued ${entry.command} for offline camera: ${entry.id}`, Object.assign(connContext(ws), { camera: cameraId }));
+
+        if (message.requestId) {
+            sendResponse(ws, message.requestId, cameraId, {
+                ok: true,
+                result: { queued: true, id: entry.id, expiresAt: entry.expiresAt }
+            });
+        }
+        broadcastQueued(cameraId, entry, 'queued');
+    }
+
+    function describeQueued(entry) {
+        return { id: entry.id, command: entry.command, queuedAt: entry.queuedAt, expiresAt: entry.expiresAt };
+    }
+
+    function broadcastQueued(cameraId, entry, status, error) {
+        broadcast(cameraId, Object.assign({ type: 'queued_command', status: status, error: error }, describeQueued(entry)));
+    }
+
+    /**
+     * Run queued commands in order, one at a time (a capture blocks the next
+     * command until it finishes). Stops if the camera drops again; whatever is
+     * left waits for the next identify.
+     */
+    function flushQueue(camera) {
+        if (camera.flushing || !camera.ws || camera.queue.length === 0) {
+            return;
+        }
+
+        const entry = camera.queue.shift();
+        clearTimeout(entry.timer);
+        camera.flushing = true;
+
+        const done = outcome => {
+            camera.flushing = false;
+            broadcastQueued(camera.id, entry, outcome.ok ? 'done' : 'failed', outcome.error);
+            flushQueue(camera);
+        };
+
+        let error = null;
+        if (entry.command === 'capture') {
+            const result = startCapture(camera.id, {
+                client: entry.client,
+                onFinish: (outcome, record) => done({ ok: outcome === 'done', error: record.error || undefined })
+            });
+            error = result.ok ? null : result.error;
+        } else if (!trackCommand(camera.id, { type: 'settings', data: entry.data }, CONFIG.REQUEST_TIMEOUT, done)) {
+            error = 'Failed to send command';
+        }
+
+        if (error) {
+            done({ ok: false, error: error });
+            return;
+        }
+
+        log('INFO', `Sent queued ${entry.command}: ${entry.id}`, { camera: camera.id });
+        broadcastQueued(camera.id, entry, 'sent');
+    }
+
+    // =========================================================================
+    // SCHEDULES
+    // =========================================================================
+
+    /**
+     * schedule_create { schedule } | schedule_list | schedule_delete { id }
+     * Shared by WebSocket messages and the /schedules routes.
+     *
+     * @param {Object} client Who asked ({ ip, role })
+     * @returns {{ok: boolean, result?: Object, code?: string, error?: string}}
+     */
+    function scheduleCommand(cameraId, message, client) {
+        switch (message.type) {
+            case 'schedule_create': {
+                const created = scheduler.create(cameraId, message.schedule, client);
+                if (!created.ok) {
+                    return { ok: false, code: 'invalid_schedule', error: created.error };
+                }
+                log('INFO', `Schedule created: ${created.schedule.id} (${message.schedule.type})`, Object.assign({ camera: cameraId }, client));
+                return { ok: true, result: { schedule: created.schedule } };
+            }
+
+            case 'schedule_list':
+                return { ok: true, result: { schedules: scheduler.list(cameraId) } };
+
+            case 'schedule_delete':
+                if (!scheduler.remove(message.id, cameraId)) {
+                    return { ok: false, code: 'not_found', error: 'No such schedule' };
+                }
+                log('INFO', `Schedule deleted: ${message.id}`, Object.assign({ camera: cameraId }, client));
+                return { ok: true, result: { deleted: message.id } };
+
+            default:
+                return { ok: false, code: 'unknown_type', error: 'Unknown schedule command' };
+        }
+    }
+
+    /**
+     * Scheduler run: capture like a browser would. startCapture refuses while
+     * the camera is capturing (skipped) or offline (missed); neither is retried.
+     */
+    function runScheduledCapture(schedule, done) {
+        const result = startCapture(schedule.camera, {
+            client: { scheduler: schedule.id },
+            onFinish: (outcome, record) => done({
+                outcome: outcome,
+                captureId: record.id,
+                url: record.url,
+                error: record.error
+            })
+        });
+
+        if (!result.ok) {
+            done({ outcome: result.code === 'busy' ? 'skipped' : 'missed', error: result.error });
+            return;
+        }
+
+        log('INFO', `Scheduled capture started: ${result.captureId} (${schedule.id})`, { camera: schedule.camera });
+    }
+
+    // Every run result (including skips and misses) goes to the log, metrics and browsers
+    function reportScheduledRun(schedule, entry) {
+        stats.scheduledRuns.inc({ camera: schedule.camera, outcome: entry.outcome });
+        log(entry.outcome === 'done' ? 'INFO' : 'WARN',
+            `Scheduled capture ${entry.outcome}: ${schedule.id}${entry.error ? ' - ' + entry.error : ''}`,
+            { camera: schedule.camera });
+        broadcast(schedule.camera, Object.assign({ type: 'schedule_run', id: schedule.id }, entry));
+    }
+
+    // =========================================================================
+    // MOTION
+    // =========================================================================
+
+    /**
+     * Look for motion in a frame (live or snapshot). Events are logged with a
+     * thumbnail and sent to subscribed browsers, whether or not anyone watches.
+     */
+    function detectMotion(cameraId, frame) {
+        if (!CONFIG.MOTION_ENABLED) {
+            return;
+        }
+
+        const motion = motionDetector.analyze(cameraId, frame);
+        if (!motion) {
+            return;
+        }
+
+        const entry = motionLog.add({
+            camera: cameraId,
+            at: motion.at,
+            changed: motion.changed,
+            zones: motion.zones,
+            box: motion.box
+        }, motion.thumbnail);
+
+        stats.motionEvents.inc({ camera: cameraId });
+        log('INFO', `Motion detected: ${entry.id} (${motion.zones.map(zone => zone.name).join(', ')}, ${motion.changed}/1000)`, { camera: cameraId });
+
+        broadcast(cameraId, {
+            type: 'motion',
+            id: entry.id,
+            at: entry.at,
+            changed: entry.changed,
+            zones: entry.zones,
+            box: entry.box,
+            thumbnail: entry.hasThumbnail ? `/motion/${entry.id}.jpg` : undefined
+        });
+    }
+
+    // Cameras not streaming live are asked for a still, so detection keeps
+    // running with every browser closed
+    function requestSnapshots() {
+        const now = Date.now();
+        state.cameras.forEach((camera, cameraId) => {
+            if (!camera.ws || camera.status.capturing || now - camera.lastFrameAt < CONFIG.MOTION_SNAPSHOT_INTERVAL) {
+                return;
+            }
+            if (sendToCamera(cameraId, { type: 'snapshot' })) {
+                camera.snapshotRequested = true;
+                stats.snapshotsRequested.inc({ camera: cameraId });
+            }
+        });
+    }
+
+    function handleDisconnect(ws, ip) {
+        if (ws.clientType === 'camera') {
+            const cameraId = ws.cameraId;
+
+            // Replaced connections have already been detached from the registry
+            if (!cameraId) {
+                log('INFO', 'Replaced camera connection closed', connContext(ws));
+                return;
+            }
+
+            const camera = getCamera(cameraId);
+            camera.ws = null;
+            camera.status.online = false;
+            camera.status.capturing = false;
+            camera.status.liveActive = false;
+            camera.snapshotRequested = false;
+
+            log('INFO', 'Camera disconnected', connContext(ws));
+            motionDetector.reset(cameraId);
+
+            Array.from(camera.pendingCaptures.keys()).forEach(captureId => {
+                finishCapture(camera, captureId, 'disconnected', { error: 'Camera disconnected' });
+            });
+
+            failRequests(pending => pending.cameraId === cameraId, {
+                ok: false,
+                code: 'disconnected',
+                error: 'Camera disconnected'
+            });
+
+            broadcast(cameraId, {
+                type: 'camera_offline',
+                timestamp: Date.now()
+            });
+        } else if (ws.clientType === 'browser') {
+            state.browsers.delete(ws);
+
+            // Nobody left to answer - just drop the timers
+            state.pendingRequests.forEach((pending, relayId) => {
+                if (pending.ws === ws) {
+                    clearTimeout(pending.timer);
+                    state.pendingRequests.delete(relayId);
+                }
+            });
+            log('INFO', `Browser disconnected (total: ${state.browsers.size})`, connContext(ws));
+        }
+    }
+
+    // =========================================================================
+    // HEALTH CHECKS
+    // =========================================================================
+
+    let timers = [];
+
+    // Run while listening; restarted on config reload so new intervals take effect
+    function startTimers() {
+        stopTimers();
+
+        timers = [
+            // Camera timeout check
+            setInterval(() => {
+                const now = Date.now();
+                state.cameras.forEach((camera, cameraId) => {
+                    if (camera.status.online && now - camera.status.timestamp > CONFIG.CAMERA_TIMEOUT) {
+                        camera.status.online = false;
+                        log('WARN', 'Camera timeout - no heartbeat', { camera: cameraId });
+                        broadcast(cameraId, { type: 'camera_offline', reason: 'timeout' });
+                    }
+                });
+            }, CONFIG.HEARTBEAT_CHECK_INTERVAL),
+
+            // Deliver coalesced messages once slow browsers catch up
+            setInterval(flushDeferred, CONFIG.FLUSH_INTERVAL),
+
+            // Client ping
+            setInterval(() => {
+                wss.clients.forEach(ws => {
+                    if (ws.isAlive === false) {
+                        log('INFO', 'Terminating dead connection', connContext(ws));
+                        return ws.terminate();
+                    }
+                    ws.isAlive = false;
+                    ws.ping();
+                });
+            }, CONFIG.PING_INTERVAL),
+
+            // Forget rate limit state for quiet IPs
+            setInterval(() => rateLimiter.prune(), 60000),
+
+            // Due capture schedules
+            setInterval(() => scheduler.tick(), 1000)
+        ];
+
+        if (CONFIG.MOTION_ENABLED && CONFIG.MOTION_SNAPSHOT_INTERVAL > 0) {
+            timers.push(setInterval(requestSnapshots, CONFIG.MOTION_SNAPSHOT_INTERVAL));
+        }
+    }
+
+    function stopTimers() {
+        timers.forEach(clearInterval);
+        timers = [];
+    }
+
+    // =========================================================================
+    // CONFIG RELOAD
+    // =========================================================================
+
+    /**
+     * Apply a freshly loaded config in place (server.js: kill -HUP <pid>).
+     * Connections stay open; restart-only settings keep their current value
+     * until a restart.
+     *
+     * @param {Object} next lib/config.js load() result
+     * @returns {boolean} False when the new config was rejected
+     */
+    function reloadConfig(next) {
+        if (next.errors.length) {
+            next.errors.forEach(error => log('ERROR', `Config reload rejected: ${error}`));
+            return false;
+        }
+
+        config.restartRequired(CONFIG, next.config).forEach(key => {
+            log('WARN', `${key} changed - takes effect after a restart`);
+            next.config[key] = CONFIG[key];
+        });
+
+        if (next.config.LOG_LEVEL !== CONFIG.LOG_LEVEL) {
+            logger.setLevel(next.config.LOG_LEVEL, { signal: 'SIGHUP' });
+        }
+
+        Object.assign(CONFIG, next.config);
+        authSecrets = auth.parseSecrets(CONFIG.AUTH_SECRETS, CONFIG.AUTH_SECRET);
+        rateLimiter.configure(rateLimitSettings());
+        scheduler.configure(scheduleSettings());
+        motionDetector.configure(motionSettings());
+        if (httpServer.listening) {
+            startTimers();
+        }
+
+        log('INFO', `Config reloaded${next.file ? ' from ' + next.file : ''}`);
+        return true;
+    }
+
+    // =========================================================================
+    // LIFECYCLE
+    // =========================================================================
+
+    let closing = null;
+
+    /**
+     * Start accepting connections and run the health check timers
+     *
+     * @param {number} port 0 picks a free port
+     * @param {string} [host] Default 0.0.0.0
+     * @returns {Promise<number>} The port listened on
+     */
+    function listen(port, host) {
+        return new Promise((resolve, reject) => {
+            httpServer.once('error', reject);
+            httpServer.listen(port, host || '0.0.0.0', () => {
+                httpServer.removeListener('error', reject);
+                startTimers();
+                resolve(httpServer.address().port);
+            });
+        });
+    }
+
+    /**
+     * Graceful shutdown: stop the timers, close every connection (browsers
+     * and cameras reconnect elsewhere), then write out the capture log,
+     * schedules and motion log and close the logger. Pending captures end
+     * as 'disconnected', like any camera drop.
+     *
+     * @returns {Promise<void>} Same promise on every call
+     */
+    function close() {
+        if (closing) {
+            return closing;
+        }
+
+        log('INFO', 'Shutting down gracefully...');
+        stopTimers();
+
+        closing = new Promise(resolve => {
+            // ws waits for its clients before 'close'; the HTTP server for open requests
+            wss.close(() => {
+                if (!httpServer.listening) {
+                    resolve();
+                    return;
+                }
+                httpServer.close(() => resolve());
+            });
+            wss.clients.forEach(ws => ws.close(CLOSE_GOING_AWAY, 'Server shutting down'));
+        }).then(() => {
+            state.cameras.forEach(camera => {
+                camera.queue.forEach(entry => clearTimeout(entry.timer));
+            });
+            return Promise.all([captureLog.flush(), scheduler.flush(), motionLog.flush(), logger.close()]);
+        }).then(() => undefined);
+
+        return closing;
+    }
+
+    return {
+        httpServer: httpServer,
+        wss: wss,
+        state: state,
+        logger: logger,
+        log: log,
+        listen: listen,
+        close: close,
+        reloadConfig: reloadConfig,
+
+        // Current settings, including reloads
+        get config() {
+            return CONFIG;
+        },
+
+        // Token secrets in use (AUTH_SECRETS / AUTH_SECRET)
+        get authSecrets() {
+            return authSecrets;
+        }
+    };
+}
+
+module.exports = {
+    createRelay
+};
@@ -0,0 +1,268 @@
+/**
+ * Capture Scheduler - One-shot, interval and cron schedules per camera
+ *
+ * Owns the schedules, their timing and their run history; the relay decides
+ * what a run does. tick() (called every second by the relay) hands each due
+ * schedule to `run(schedule, done)`, and `done({ outcome, ... })` records
+ * the result. A run found more than `missGrace` late (the relay was down)
+ * is recorded as missed without running. Everything is saved to one JSON
+ * file so schedules survive restarts.
+ *
+ * Schedule input:
+ *   { type: 'once', at: <ms> }
+ *   { type: 'interval', every: <ms>, start: <ms, optional> }
+ *   { type: 'cron', cron: '0 * * * *' }   (see lib/cron.js)
+ *   + optional label
+ *
+ * @version 2.0.0
+ * @author Net Storm
+ * @license Proprietary
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('./cron');
+
+/**
+ * @param {string} filePath JSON file holding every schedule
+ * @param {Object} options  { historySize, minInterval, maxPerCamera, missGrace,
+ *                            run(schedule, done), onResult(schedule, entry), onError }
+ */
+function createScheduler(filePath, options) {
+    let settings = options;
+    const onError = options.onError || function() {};
+
+    const schedules = new Map(); // id -> schedule
+    const crons = new Map();     // id -> parsed cron expression
+    let writeQueue = Promise.resolve();
+    let seq = 0;
+
+    // =========================================================================
+    // STORAGE
+    // =========================================================================
+
+    function load() {
+        let list;
+        try {
+            list = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                onError(err);
+            }
+            return;
+        }
+
+        (Array.isArray(list) ? list : []).forEach(schedule => {
+            if (schedule.type === 'cron') {
+                const parsed = cron.parse(schedule.cron);
+                if (!parsed.ok) {
+                    onError(new Error(`Schedule ${schedule.id}: ${parsed.error}`));
+                    return;
+                }
+                crons.set(schedule.id, parsed.cron);
+            }
+            schedules.set(schedule.id, schedule);
+        });
+    }
+
+    // Whole file rewritten through a temp file; writes are chained so the
+    // last one always wins
+    function save() {
+        const content = JSON.stringify(Array.from(schedules.values()), null, 2) + '\n';
+        const temp = filePath + '.tmp';
+        writeQueue = writeQueue
+            .then(() => fs.promises.writeFile(temp, content))
+            .then(() => fs.promises.rename(temp, filePath))
+            .catch(onError);
+    }
+
+    // =========================================================================
+    // TIMING
+    // =========================================================================
+
+    /**
+     * @returns {number|null} Next run after `now`, null when finished
+     */
+    function nextRun(schedule, now) {
+        switch (schedule.type) {
+            case 'once':
+                return schedule.at > now ? schedule.at : null;
+            case 'interval': {
+                // Keep the original cadence across skipped slots
+                const first = schedule.start || schedule.createdAt + schedule.every;
+                if (first > now) {
+                    return first;
+                }
+                return first + (Math.floor((now - first) / schedule.every) + 1) * schedule.every;
+            }
+            case 'cron':
+                return cron.next(crons.get(schedule.id), now);
+            default:
+                return null;
+        }
+    }
+
+    function record(schedule, entry) {
+        schedule.lastRun = entry;
+        schedule.history.unshift(entry);
+        if (schedule.history.length > settings.historySize) {
+            schedule.history.length = settings.historySize;
+        }
+        save();
+
+        if (settings.onResult) {
+            settings.onResult(schedule, entry);
+        }
+    }
+
+    /**
+     * Run every schedule that is due. Call about once a second.
+     */
+    function tick() {
+        const now = Date.now();
+
+        schedules.forEach(schedule => {
+            if (schedule.nextRunAt === null || schedule.nextRunAt > now) {
+                return;
+            }
+
+            const due = schedule.nextRunAt;
+            schedule.nextRunAt = nextRun(schedule, now);
+            save();
+
+            if (now - due > settings.missGrace) {
+                record(schedule, { at: due, outcome: 'missed', error: 'Relay was not running' });
+                return;
+            }
+
+            let finished = false;
+            settings.run(schedule, result => {
+                if (finished || !schedules.has(schedule.id)) {
+                    return;
+                }
+                finished = true;
+                record(schedule, Object.assign({ at: due, finishedAt: Date.now() }, result));
+            });
+        });
+    }
+
+    // =========================================================================
+    // API
+    // =========================================================================
+
+    /**
+     * @param {string} camera
+     * @param {Object} input     { type, at, every, start, cron, label }
+     * @param {Object} createdBy Who asked ({ ip, role })
+     * @returns {{ok: boolean, schedule?: Object, error?: string}}
+     */
+    function create(camera, input, createdBy) {
+        const now = Date.now();
+
+        // Finished one-shots stay listed with their history but do not count
+        const active = list(camera).filter(schedule => schedule.nextRunAt !== null);
+        if (active.length >= settings.maxPerCamera) {
+            return { ok: false, error: `At most ${settings.maxPerCamera} active schedules per camera` };
+        }
+
+        const schedule = {
+            id: 's' + now.toString(36) + (++seq).toString(36),
+            camera: camera,
+            type: input.type,
+            label: input.label || '',
+            createdAt: now,
+            createdBy: createdBy,
+            nextRunAt: null,
+            lastRun: null,
+            history: []
+        };
+
+        switch (input.type) {
+            case 'once':
+                if (!Number.isInteger(input.at) || input.at <= now) {
+                    return { ok: false, error: 'at must be a future timestamp (ms)' };
+                }
+                schedule.at = input.at;
+                break;
+
+            case 'interval':
+                if (!Number.isInteger(input.every) || input.every < settings.minInterval) {
+                    return { ok: false, error: `every must be at least ${settings.minInterval}ms` };
+                }
+                if (input.start !== undefined && !Number.isInteger(input.start)) {
+                    return { ok: false, error: 'start must be a timestamp (ms)' };
+                }
+                schedule.every = input.every;
+                schedule.start = input.start || null;
+                break;
+
+            case 'cron': {
+                const parsed = cron.parse(input.cron);
+                if (!parsed.ok) {
+                    return { ok: false, error: parsed.error };
+                }
+                schedule.cron = input.cron.trim();
+                crons.set(schedule.id, parsed.cron);
+                break;
+            }
+
+            default:
+                return { ok: false, error: 'type must be once, interval or cron' };
+        }
+
+        schedule.nextRunAt = nextRun(schedule, now);
+        if (schedule.nextRunAt === null) {
+            crons.delete(schedule.id);
+            return { ok: false, error: 'Schedule never runs' };
+        }
+
+        schedules.set(schedule.id, schedule);
+        save();
+        return { ok: true, schedule: schedule };
+    }
+
+    /**
+     * @returns {Object[]} Schedules for one camera (every camera when omitted), oldest first
+     */
+    function list(camera) {
+        return Array.from(schedules.values()).filter(schedule => !camera || schedule.camera === camera);
+    }
+
+    /**
+     * @returns {boolean} False when no such schedule exists for the camera
+     */
+    function remove(id, camera) {
+        const schedule = schedules.get(id);
+        if (!schedule || schedule.camera !== camera) {
+            return false;
+        }
+
+        schedules.delete(id);
+        crons.delete(id);
+        save();
+        return true;
+    }
+
+    // New limits apply from the next tick or create
+    function configure(next) {
+        settings = Object.assign({}, settings, next);
+    }
+
+    // Resolves once the file reflects every change so far
+    function flush() {
+        return writeQueue;
+    }
+
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    } catch (err) {
+        onError(err);
+    }
+    load();
+
+    return { create, list, remove, tick, configure, flush };
+}
+
+module.exports = { createScheduler };
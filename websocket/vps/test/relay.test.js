@@ -0,0 +1,500 @@
+/**
+ * Relay (lib/relay.js) on an ephemeral port with real WebSocket clients
+ * playing camera and browser. Timers and Date are mocked, so timeouts,
+ * heartbeats and pings are driven with mock.timers.tick().
+ *
+ * RELAY_LOG=1 npm test prints the relay log.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { once } = require('events');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const auth = require('../lib/auth');
+const config = require('../lib/config');
+const protocol = require('../lib/protocol');
+const { createLogger } = require('../lib/logger');
+const { createRelay } = require('../lib/relay');
+
+const SECRET = 'test-secret';
+const START_TIME = Date.UTC(2025, 0, 15, 14, 30, 0);
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function token(cameraId, role) {
+    return auth.signToken({ cam: cameraId, role: role, exp: Math.floor(Date.now() / 1000) + 3600 }, SECRET);
+}
+
+/**
+ * Config as server.js would load it, with every file in `dir`
+ */
+function loadConfig(dir, settings) {
+    const file = path.join(dir, 'cam-websocket.json');
+    fs.writeFileSync(file, JSON.stringify(Object.assign({
+        authSecret: SECRET,
+        logFile: '',
+        captureLogFile: path.join(dir, 'captures.jsonl'),
+        scheduleFile: path.join(dir, 'schedules.json'),
+        motionDir: path.join(dir, 'motion')
+    }, settings)));
+
+    const loaded = config.load({ WS_CONFIG: file });
+    assert.deepEqual(loaded.errors, []);
+    return loaded.config;
+}
+
+/**
+ * Connect a client and keep every message it gets, checked against the
+ * relay -> camera or relay -> browser schema
+ *
+ * @param {string} role 'camera' | 'browser'
+ * @param {Object} [wsOptions] ws client options (autoPong...)
+ */
+async function connect(port, role, wsOptions) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/`, wsOptions);
+    const client = {
+        ws: ws,
+        messages: [],
+        violations: [],
+        waiting: [],
+        closed: new Promise(resolve => ws.once('close', (code, reason) => resolve({ code: code, reason: String(reason) }))),
+
+        send(message) {
+            ws.send(JSON.stringify(message));
+        },
+
+        of(type) {
+            return client.messages.filter(message => message.type === type);
+        },
+
+        /**
+         * First message of a type not yet returned by next()
+         */
+        next(type) {
+            const found = client.messages.find(message => message.type === type && !message.seen);
+            if (found) {
+                found.seen = true;
+                return Promise.resolve(found);
+            }
+            return new Promise(resolve => client.waiting.push({ type: type, resolve: resolve }));
+        }
+    };
+
+    ws.on('message', data => {
+        const message = JSON.parse(data);
+        // Errors (identify rejected...) reach cameras too, in the browser shape
+        const direction = role === 'camera' && message.type !== 'error' ? 'relayToCamera' : 'relayToBrowser';
+        const problem = protocol.validate(direction, message);
+        if (problem) {
+            client.violations.push(`${message.type}: ${problem.message}`);
+        }
+
+        Object.defineProperty(message, 'seen', { value: false, writable: true, enumerable: false });
+        client.messages.push(message);
+
+        const waiter = client.waiting.find(entry => entry.type === message.type);
+        if (waiter) {
+            client.waiting.splice(client.waiting.indexOf(waiter), 1);
+            message.seen = true;
+            waiter.resolve(message);
+        }
+    });
+
+    await once(ws, 'open');
+    return client;
+}
+
+/**
+ * Status of a WebSocket upgrade: 101 when it opens, the HTTP refusal otherwise
+ */
+function upgradeStatus(port, headers) {
+    return new Promise(resolve => {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/`, { headers: headers });
+        ws.on('open', () => {
+            ws.terminate();
+            resolve(101);
+        });
+        ws.on('unexpected-response', (req, res) => {
+            req.destroy();
+            resolve(res.statusCode);
+        });
+        ws.on('error', () => {});
+    });
+}
+
+function httpGet(port, pathname) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: port, path: pathname, agent: false }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        }).on('error', reject);
+    });
+}
+
+// =============================================================================
+// SCENARIOS
+// =============================================================================
+
+// Waits on sockets that never see a reply fail here instead of hanging
+describe('relay', { timeout: 20000 }, () => {
+    let dir;
+    let relay;
+    let port;
+    let clients;
+
+    async function start(settings) {
+        relay = createRelay(loadConfig(dir, settings), {
+            logger: createLogger({ level: 'debug', console: !!process.env.RELAY_LOG })
+        });
+        port = await relay.listen(0, '127.0.0.1');
+    }
+
+    async function browser(cameraId, role) {
+        const client = await connect(port, 'browser');
+        clients.push(client);
+        client.send({ type: 'identify', role: 'browser', cameras: [cameraId || 'cam1'], token: token(cameraId || 'cam1', role || 'operator') });
+        await client.next('init');
+        return client;
+    }
+
+    /**
+     * Connected and identified; `watcher` (a browser) sees it come online
+     */
+    async function camera(watcher, wsOptions) {
+        const client = await connect(port, 'camera', wsOptions);
+        clients.push(client);
+        client.send({ type: 'identify', role: 'camera', camera: 'cam1', token: token('cam1', 'camera') });
+        await watcher.next('camera_online');
+        return client;
+    }
+
+    // Everything the relay sent a browser before now has arrived
+    async function sync(client) {
+        client.send({ type: 'subscribe', cameras: ['cam1'], token: token('cam1', 'operator') });
+        await client.next('init');
+    }
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cam-relay-'));
+        clients = [];
+        mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: START_TIME });
+        await start();
+    });
+
+    afterEach(async () => {
+        clients.forEach(client => client.ws.terminate());
+        await relay.close();
+        mock.timers.reset();
+        fs.rmSync(dir, { recursive: true, force: true });
+
+        clients.forEach(client => assert.deepEqual(client.violations, [], 'protocol violations'));
+    });
+
+    describe('identify', () => {
+        it('sends a browser the camera status and role from its token', async () => {
+            const viewer = await browser('cam1', 'viewer');
+
+            assert.deepEqual(viewer.of('init').map(message => [message.camera, message.role, message.status.online]), [
+                ['cam1', 'viewer', false]
+            ]);
+            assert.equal(relay.state.browsers.size, 1);
+        });
+
+        it('tells browsers when the camera comes online', async () => {
+            const operator = await browser();
+            await camera(operator);
+
+            assert.equal(operator.of('camera_online').length, 1);
+            assert.equal(relay.state.cameras.get('cam1').status.online, true);
+        });
+
+        it('rejects a camera without a valid camera token', async () => {
+            const client = await connect(port, 'camera');
+            clients.push(client);
+            client.send({ type: 'identify', role: 'camera', camera: 'cam1', token: token('cam1', 'operator') });
+
+            assert.deepEqual(await client.closed, { code: auth.CLOSE_CODES.UNAUTHORIZED, reason: 'Token is not a camera token' });
+            assert.equal(client.of('error')[0].code, 'unauthorized');
+        });
+
+        it('rejects a browser without a token for its camera', async () => {
+            const client = await connect(port, 'browser');
+            clients.push(client);
+            client.send({ type: 'identify', role: 'browser', cameras: ['cam1'], token: token('cam2', 'operator') });
+
+            assert.equal((await client.closed).code, auth.CLOSE_CODES.UNAUTHORIZED);
+            assert.equal(relay.state.browsers.size, 0);
+        });
+    });
+
+    describe('capture', () => {
+        it('relays a capture to the camera and its result to the browser', async () => {
+            const operator = await browser();
+            const cam = await camera(operator);
+
+            operator.send({ type: 'capture', requestId: 'r1' });
+            const command = await cam.next('capture');
+            assert.equal(command.id, String(START_TIME));
+            assert.notEqual(command.requestId, 'r1', 'relay uses its own request IDs');
+            assert.equal((await operator.next('capture_started')).id, command.id);
+
+            mock.timers.tick(1500);
+            cam.send({ type: 'capture_done', id: command.id, requestId: command.requestId, url: 'pic.jpg', duration: 1500 });
+
+            const done = await operator.next('capture_done');
+            assert.equal(done.url, `pic.jpg?t=${START_TIME + 1500}`);
+            const response = await operator.next('response');
+            assert.equal(response.requestId, 'r1');
+            assert.equal(response.ok, true);
+            assert.equal(response.result.id, command.id);
+
+            const history = await httpGet(port, `/captures?camera=cam1&token=${token('cam1', 'viewer')}`);
+            assert.deepEqual(history.body.captures.map(capture => [capture.id, capture.outcome, capture.duration, capture.url]), [
+                [command.id, 'done', 1500, 'pic.jpg']
+            ]);
+            assert.equal(history.body.captures[0].client.role, 'operator');
+            assert.equal('ip' in history.body.captures[0].client, false, 'no addresses for viewers');
+
+            const full = await httpGet(port, `/captures?camera=cam1&token=${token('cam1', 'operator')}`);
+            assert.equal(full.body.captures[0].client.ip, '127.0.0.1');
+        });
+
+        it('refuses a second capture while one is running', async () => {
+            const operator = await browser();
+            const cam = await camera(operator);
+
+            operator.send({ type: 'capture' });
+            await cam.next('capture');
+            operator.send({ type: 'capture', requestId: 'r2' });
+
+            const error = await operator.next('error');
+            assert.equal(error.code, 'busy');
+            assert.equal(error.requestId, 'r2');
+        });
+
+        it('reports a capture the camera never finishes', async () => {
+            const operator = await browser();
+            const cam = await camera(operator);
+
+            operator.send({ type: 'capture', requestId: 'r1' });
+            const command = await cam.next('capture');
+
+            mock.timers.tick(relay.config.CAPTURE_TIMEOUT - 1);
+            await sync(operator);
+            assert.equal(operator.of('capture_timeout').length, 0);
+
+            mock.timers.tick(1);
+            assert.equal((await operator.next('capture_timeout')).id, command.id);
+            const response = await operator.next('response');
+            assert.equal(response.ok, false);
+            assert.equal(response.code, 'timeout');
+            assert.equal(relay.state.cameras.get('cam1').status.capturing, false);
+
+            const history = await httpGet(port, `/captures?camera=cam1&token=${token('cam1', 'viewer')}`);
+            assert.deepEqual(history.body.captures.map(capture => capture.outcome), ['timeout']);
+
+            // The camera is free again (and still there)
+            cam.send({ type: 'heartbeat' });
+            await operator.next('status');
+            operator.send({ type: 'capture' });
+            await cam.next('capture');
+        });
+    });
+
+    describe('camera heartbeat', () => {
+        it('marks a camera offline once its heartbeats stop', async () => {
+            const operator = await browser();
+            const cam = await camera(operator);
+            const { CAMERA_TIMEOUT, HEARTBEAT_CHECK_INTERVAL } = relay.config;
+
+            mock.timers.tick(10000);
+            cam.send({ type: 'heartbeat', data: '21.5,80,OK,1' });
+            assert.equal((await operator.next('status')).status.data, '21.5,80,OK,1');
+
+            // Last heartbeat at +10s: still online at the check that lands on the limit
+            mock.timers.tick(CAMERA_TIMEOUT);
+            await sync(operator);
+            assert.equal(operator.of('camera_offline').length, 0);
+
+            mock.timers.tick(HEARTBEAT_CHECK_INTERVAL);
+            assert.equal((await operator.next('camera_offline')).reason, 'timeout');
+            assert.equal(relay.state.cameras.get('cam1').status.online, false);
+
+            operator.send({ type: 'capture', requestId: 'r1' });
+            assert.equal((await operator.next('error')).code, 'offline');
+            assert.equal(cam.of('capture').length, 0);
+        });
+
+        it('brings the camera back with its next heartbeat', async () => {
+            const operator = await browser();
+            const cam = await camera(operator);
+
+            mock.timers.tick(relay.config.CAMERA_TIMEOUT + relay.config.HEARTBEAT_CHECK_INTERVAL);
+            await operator.next('camera_offline');
+
+            cam.send({ type: 'heartbeat' });
+            assert.equal((await operator.next('status')).status.online, true);
+            operator.send({ type: 'capture' });
+            await cam.next('capture');
+        });
+    });
+
+    describe('camera replacement', () => {
+        it('hands the camera ID to the newest connection and closes the old one', async () => {
+            const operator = await browser();
+            const first = await camera(operator);
+            const second = await camera(operator);
+
+            assert.equal((await first.closed).code, 1005);
+            await sync(operator);
+            assert.equal(operator.of('camera_online').length, 2);
+            assert.equal(operator.of('camera_offline').length, 0, 'closing the old connection is not a disconnect');
+
+            operator.send({ type: 'capture' });
+            await second.next('capture');
+            assert.equal(first.of('capture').length, 0);
+        });
+
+        it('fails the captures of a camera that disconnects', async () => {
+            const operator = await browser();
+            const cam = await camera(operator);
+
+            operator.send({ type: 'capture', requestId: 'r1' });
+            await cam.next('capture');
+            cam.ws.close();
+
+            await operator.next('camera_offline');
+            const response = await operator.next('response');
+            assert.equal(response.code, 'disconnected');
+        });
+    });
+
+    describe('dead connections', () => {
+        it('terminates a client that stops answering pings', async () => {
+            const operator = await browser();
+            const cam = await camera(operator, { autoPong: false });
+            const [operatorSocket] = relay.state.browsers;
+
+            mock.timers.tick(relay.config.PING_INTERVAL);
+            await once(operatorSocket, 'pong');
+
+            mock.timers.tick(relay.config.PING_INTERVAL);
+            assert.equal((await cam.closed).code, 1006);
+            await operator.next('camera_offline');
+            assert.equal(relay.state.cameras.get('cam1').ws, null);
+
+            // The browser answered and stays connected
+            await sync(operator);
+            assert.equal(operator.ws.readyState, WebSocket.OPEN);
+        });
+    });
+
+    describe('schedules', () => {
+        it('does not count finished one-shot schedules toward the limit', async () => {
+            await relay.close();
+            await start({ scheduleMaxPerCamera: 1 });
+            const operator = await browser();
+
+            const create = async (requestId, schedule) => {
+                operator.send({ type: 'schedule_create', requestId: requestId, schedule: schedule });
+                const response = await operator.next('response');
+                assert.equal(response.requestId, requestId);
+                return response;
+            };
+
+            assert.equal((await create('r1', { type: 'once', at: Date.now() + 5000 })).ok, true);
+            assert.deepEqual(await create('r2', { type: 'interval', every: 60000 }),
+                { type: 'response', requestId: 'r2', camera: 'cam1', ok: false, code: 'invalid_schedule', error: 'At most 1 active schedules per camera' });
+
+            // The one-shot runs (missed - no camera) and is done
+            mock.timers.tick(6000);
+            assert.equal((await create('r3', { type: 'interval', every: 60000 })).ok, true);
+
+            operator.send({ type: 'schedule_list', requestId: 'r4' });
+            assert.equal((await operator.next('response')).result.schedules.length, 2, 'the finished one keeps its history');
+        });
+    });
+
+    describe('bans', () => {
+        // One capture a minute, banned on the first refusal
+        const STRICT = { rateLimits: { capture: { burst: 1, perMinute: 1 } }, rateBanThreshold: 1 };
+
+        async function getBanned(headers) {
+            const client = await connect(port, 'browser', { headers: headers });
+            clients.push(client);
+            client.send({ type: 'identify', role: 'browser', cameras: ['cam1'], token: token('cam1', 'operator') });
+            await client.next('init');
+
+            client.send({ type: 'capture', requestId: 'r1' });
+            client.send({ type: 'capture', requestId: 'r2' });
+            assert.equal((await client.closed).code, auth.CLOSE_CODES.RATE_LIMITED);
+        }
+
+        it('bans the connection address whatever X-Forwarded-For says', async () => {
+            await relay.close();
+            await start(STRICT);
+
+            await getBanned({ 'X-Forwarded-For': '198.51.100.1' });
+
+            assert.equal(await upgradeStatus(port, { 'X-Forwarded-For': '198.51.100.2' }), 429);
+            assert.equal(await upgradeStatus(port, {}), 429);
+        });
+
+        it('uses the hop the proxy appended with trustProxy', async () => {
+            await relay.close();
+            await start(Object.assign({ trustProxy: true }, STRICT));
+
+            // The client made up the first address, the proxy added the second
+            await getBanned({ 'X-Forwarded-For': '198.51.100.1, 203.0.113.7' });
+
+            assert.equal(await upgradeStatus(port, { 'X-Forwarded-For': '203.0.113.7' }), 429);
+            assert.equal(await upgradeStatus(port, { 'X-Forwarded-For': '203.0.113.7, 203.0.113.8' }), 101);
+        });
+    });
+
+    describe('health', () => {
+        it('reports each browser without its address', async () => {
+            const operator = await browser();
+            await camera(operator);
+
+            const { status, body } = await httpGet(port, '/health');
+
+            assert.equal(status, 200);
+            assert.deepEqual(body.cameras, { cam1: 'connected' });
+            assert.deepEqual(body.clients.map(client => Object.keys(client).sort()),
+                [['buffered', 'cameras', 'deferred', 'dropped']]);
+            assert.doesNotMatch(JSON.stringify(body), /127\.0\.0\.1/);
+        });
+    });
+
+    describe('graceful shutdown', () => {
+        it('closes every connection, ends pending captures and writes the history', async () => {
+            const operator = await browser();
+            const cam = await camera(operator);
+            operator.send({ type: 'capture' });
+            const command = await cam.next('capture');
+
+            await relay.close();
+
+            assert.deepEqual(await operator.closed, { code: 1001, reason: 'Server shutting down' });
+            assert.deepEqual(await cam.closed, { code: 1001, reason: 'Server shutting down' });
+            assert.equal(relay.httpServer.listening, false);
+
+            const history = fs.readFileSync(path.join(dir, 'captures.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assert.deepEqual(history.map(capture => [capture.id, capture.outcome]), [[command.id, 'disconnected']]);
+
+            await assert.rejects(connect(port, 'browser'), { code: 'ECONNREFUSED' });
+        });
+    });
+});